@@ -1,8 +1,169 @@
 import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { diskEmissionChunk } from './src/shaders/disk.js';
+import {
+    geodesicLensingVertexShader,
+    geodesicLensingFragmentShader
+} from './src/shaders/geodesicLensing.js';
+import { kerrChunk } from './src/shaders/kerr.js';
+import { blackbodyChunk } from './src/shaders/blackbody.js';
+import { observerMotionChunk } from './src/shaders/relativity.js';
+import { volumeFragmentShader, volumeVertexShader } from './src/shaders/volume.js';
+import { particlePositionShader, particleVelocityShader } from './src/shaders/particles.js';
+import { skyFragmentShader, skyVertexShader, starFragmentShader, starVertexShader } from './src/shaders/sky.js';
+import { chromaticAberrationShader, filmGrainShader } from './src/shaders/post.js';
+import {
+    boyerLindquistRadius,
+    circularOrbitSpeed,
+    clampSpin,
+    diskRadii,
+    horizonRadius,
+    iscoRadius,
+    marginallyBoundRadius,
+    photonOrbitRadius,
+    shadowPolarRadii
+} from './src/physics/kerr.js';
+import {
+    BLACKBODY_LOG_TEMPERATURE_RANGE,
+    blackbodyColor,
+    createBlackbodyTable,
+    diskTemperatureScale,
+    peakDiskTemperature
+} from './src/physics/blackbody.js';
+import { pseudoNewtonianAngularVelocity, pseudoNewtonianRadius } from './src/physics/pseudoNewtonian.js';
+import { tidalRadius } from './src/physics/tidalDisruption.js';
+import { aberrateDirection } from './src/physics/relativity.js';
+import {
+    binaryPhase,
+    binarySeparation,
+    mergerSeparation,
+    mergerTime,
+    radiatedEnergyFraction,
+    remnantSpin,
+    rocheLobeRadius
+} from './src/physics/binary.js';
+import { DEFAULT_OPTIONS, resolveOptions } from './src/options.js';
+import { createControlPanel } from './src/controlPanel.js';
+import { SimulationClock } from './src/clock.js';
+import { RANDOM_STREAMS, createRandom } from './src/random.js';
+import { canvasToBlob, createWebMRecorder, createZip, frameFileName } from './src/exporter.js';
+import { APPROACH_GARGANTUA, cameraPathDuration, parseCameraPath, sampleCameraPath } from './src/cameraPath.js';
+import { BRIGHT_STARS, createStarAttributes, parseStarCatalog } from './src/starCatalog.js';
+import { AnamorphicGlarePass, BloomPass, LensingPass, createPostMaterial } from './src/postProcessing.js';
+import { MultiViewRenderer, OUTPUT_MODES } from './src/multiView.js';
+import { QUALITY_SETTINGS, QUALITY_TIERS, QualityGovernor } from './src/quality.js';
+import { binaryReadoutLines, physicsReadoutLines, probeReadoutLines, tidalDisruptionReadoutLines } from './src/physicsReadout.js';
+import { SCRIPTED_EVENTS } from './src/events.js';
+import { Probe } from './src/probe.js';
+import { EducationalOverlay } from './src/overlays.js';
 
-class BlackHoleVisualizer {
-    constructor() {
-        this.init();
+export { DEFAULT_OPTIONS, parseQueryOptions } from './src/options.js';
+export { BUILTIN_PRESETS } from './src/presets.js';
+export { APPROACH_GARGANTUA } from './src/cameraPath.js';
+
+// 屏幕空间阴影轮廓的极坐标采样数
+const SHADOW_SAMPLES = 64;
+// 屏幕空间透镜 pass 支持的透镜 (黑洞) 数量上限
+const MAX_LENSES = 4;
+// 双黑洞中吸积盘被伴星的潮汐截断在洛希瓣半径的这一比例处
+const BINARY_DISK_TRUNCATION = 0.9;
+// 同时存在的探测器数量上限, 超出时移除最早发射的
+const MAX_PROBES = 8;
+// 快捷触发的潮汐瓦解事件中, 近心点至少为边缘束缚轨道半径 r_mb 的这么多倍
+const TDE_PERICENTER_MARGIN = 1.5;
+// 粒子大小以该数量为基准, 数量增加时按面积守恒缩小, 保持总覆盖面积与亮度不变
+const REFERENCE_PARTICLE_COUNT = 5000;
+// 粒子状态检查点的初始间隔 (步) 与数量上限; 超出上限时间隔加倍, 丢弃不在新间隔上的检查点
+// 每个检查点保存完整的位置与速度浮点纹理, 数量另受显存预算限制 (百万粒子时约 32 MB 一个, 只保留 2 个)
+const PARTICLE_CHECKPOINT_INTERVAL = 1200;
+const MAX_PARTICLE_CHECKPOINTS = 8;
+const PARTICLE_CHECKPOINT_BUDGET = 64 * 1024 * 1024;
+// 参数名 (见 src/options.js) 与可视化器字段的对应关系
+const PARAM_FIELDS = {
+    schwarzschildRadius: 'blackHoleRadius',
+    spin: 'blackHoleSpin',
+    massSolar: 'blackHoleMassSolar',
+    eddingtonRatio: 'eddingtonRatio',
+    diskInnerRadius: 'diskInnerRadiusSetting',
+    diskOuterRadius: 'diskOuterRadiusSetting',
+    diskModel: 'diskModel',
+    diskScaleHeight: 'diskScaleHeight',
+    diskOpacity: 'diskOpacity',
+    jets: 'jets',
+    jetSpeed: 'jetSpeed',
+    jetOpeningAngle: 'jetOpeningAngle',
+    jetLength: 'jetLength',
+    jetBrightness: 'jetBrightness',
+    tdeStarMass: 'tdeStarMass',
+    tdeStarRadius: 'tdeStarRadius',
+    tdePenetration: 'tdePenetration',
+    binary: 'binary',
+    binaryMassRatio: 'binaryMassRatio',
+    binarySeparation: 'binarySeparation',
+    binaryTimeScale: 'binaryTimeScale',
+    binaryInspiralScale: 'binaryInspiralScale',
+    probeSpeed: 'probeSpeed',
+    probeTimeScale: 'probeTimeScale',
+    overlays: 'overlays',
+    outputMode: 'outputMode',
+    stereoSeparation: 'stereoSeparation',
+    particleCount: 'particleCount',
+    particleViscosity: 'particleViscosity',
+    starCount: 'starCount',
+    starCatalogUrl: 'starCatalogUrl',
+    skyBackground: 'skyBackground',
+    panoramaUrl: 'panoramaUrl',
+    lensStrength: 'lensStrengthBase',
+    lensingMode: 'lensingMode',
+    orbitalTimeScale: 'orbitalTimeScale',
+    autoRotate: 'autoRotate',
+    autoRotateSpeed: 'autoRotateSpeed',
+    starRotationSpeed: 'starRotationSpeed',
+    exposure: 'exposure',
+    physicsHud: 'physicsHud',
+    bloom: 'bloom',
+    bloomStrength: 'bloomStrength',
+    bloomThreshold: 'bloomThreshold',
+    bloomRadius: 'bloomRadius',
+    glare: 'glare',
+    glareStrength: 'glareStrength',
+    glareThreshold: 'glareThreshold',
+    glareLength: 'glareLength',
+    chromaticAberration: 'chromaticAberration',
+    chromaticAberrationStrength: 'chromaticAberrationStrength',
+    filmGrain: 'filmGrain',
+    grainIntensity: 'grainIntensity',
+    vignetteIntensity: 'vignetteIntensity',
+    dopplerBeaming: 'dopplerBeaming',
+    gravitationalRedshift: 'gravitationalRedshift',
+    observerMotion: 'observerMotion',
+    observerSpeedScale: 'observerSpeedScale',
+    maxObserverSpeed: 'maxObserverSpeed',
+    minDistance: 'minDistance',
+    maxDistance: 'maxDistance',
+    minPolarAngle: 'minPolarAngle',
+    maxPolarAngle: 'maxPolarAngle',
+    maxPanDistance: 'maxPanDistance',
+    enablePan: 'enablePan',
+    enableDamping: 'enableDamping',
+    dampingTime: 'dampingTime',
+    rotateSpeed: 'rotateSpeed',
+    zoomSpeed: 'zoomSpeed',
+    panSpeed: 'panSpeed',
+    quality: 'quality',
+    targetFps: 'targetFps',
+    seed: 'seed',
+    timeScale: 'timeScale'
+};
+
+// 可嵌入的黑洞可视化器: 挂载到任意元素, 随元素尺寸自适应, 同一页面可运行多个实例
+// container: 挂载的元素 (默认 document.body); controlPanel: 是否显示控制面板; 其余为可配置参数
+export class BlackHoleVisualizer {
+    constructor({ container = document.body, controlPanel = true, ...options } = {}) {
+        this.init(container, options);
         this.createScene();
         this.createCamera();
         this.createRenderer();
@@ -11,44 +172,82 @@ class BlackHoleVisualizer {
         // 在相机创建后再创建黑洞和其他效果
         this.createBlackHole();
         this.createAccretionDisk();
+        this.resetBinary();
         this.createGravitationalLensing();
+        this.createGeodesicLensing();
+        this.createPostProcessing();
         
         this.setupEventListeners();
-        this.animate();
+        if (controlPanel) {
+            this.controlPanel = createControlPanel(this, { container });
+        }
+        this.mount(container);
+        this.resume();
         
         // 隐藏加载界面，显示控制信息
         this.hideLoading();
     }
     
-    init() {
-        // 基本参数
-        this.container = document.body;
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    init(container, options) {
+        // 基本参数 (画布尺寸取挂载元素的尺寸, 由 ResizeObserver 保持同步)
+        this.container = container;
+        this.width = Math.max(1, container.clientWidth);
+        this.height = Math.max(1, container.clientHeight);
+        this.animationFrameId = null;
+        this.disposed = false;
+        this.exporting = false;
+        this.controlPanel = null;
+        this.animate = this.animate.bind(this);
+        
+        // 可配置参数 (默认值见 src/options.js), 运行时通过 setParams() 修改
+        const params = { ...DEFAULT_OPTIONS, ...resolveOptions(options) };
+        Object.entries(PARAM_FIELDS).forEach(([key, field]) => {
+            this[field] = params[key];
+        });
         
         // 物理常数 (简化)
-        this.blackHoleRadius = 2.0;  // 史瓦西半径
-        this.eventHorizonRadius = this.blackHoleRadius * 1.5;
-        this.accretionDiskInnerRadius = this.blackHoleRadius * 3;
-        this.accretionDiskOuterRadius = this.blackHoleRadius * 12;
+        // blackHoleRadius: 史瓦西半径; blackHoleSpin: 无量纲自旋 a (0: 史瓦西, 接近 1: 极端克尔)
+        // blackHoleMassSolar 与 eddingtonRatio 决定盘面温度
+        this.blackHoleSpin = clampSpin(this.blackHoleSpin);
+        this.gargantuaSpin = 0.999;  // 《星际穿越》中 Gargantua 的近极端自旋
+        this.blackbodyTexture = this.createBlackbodyTexture();
+        this.updateBlackHoleRadii();
         
         // 动画参数
+        // orbitalTimeScale: 几何时间 (M) 与动画时间的换算比例
+        // particleCount: 吸积盘粒子数量; particleViscosity: 粘滞系数, 决定粒子向内旋进的快慢
+        // 相对论效应开关 dopplerBeaming / gravitationalRedshift 全部关闭即为《星际穿越》电影中的对称盘面
+        // 所有动画由模拟时钟驱动, 相同的种子与时间总是得到相同的画面
+        this.clock = new SimulationClock({ timeScale: this.timeScale });
         this.time = 0;
-        this.rotationSpeed = 0.01;
+        this.particleTimeStep = 1 / 120;   // 粒子积分的固定步长 (动画时间), 与帧率无关
+        this.particleMaxSubsteps = 16;     // 单帧最多积分步数, 超出部分在后续帧中追赶
+        this.particleStepCount = 0;        // 已积分的步数, 粒子状态对应时间 particleStepCount * particleTimeStep
+        this.particleReplaySubsteps = 240; // 跳转或重建后追赶时单帧最多积分步数, 重新积分分摊到多帧, 不阻塞页面
+        this.particleReplaying = false;
         
         // 用户交互状态
-        this.mouse = new THREE.Vector2();
-        this.isMouseDown = false;
-        this.lastMousePosition = new THREE.Vector2();
-        
-        // 动画状态
-        this.autoRotate = false;
-        this.autoRotateSpeed = 0.5;
+        // activePointers: 按下的指针 (鼠标或手指) 的当前位置; dragMode: rotate / pan / pinch
+        this.activePointers = new Map();
+        this.dragMode = null;
         
         // 性能监控
         this.frameCount = 0;
         this.lastTime = performance.now();
         this.fps = 60;
+        this.lastReadoutTime = 0;  // 物理量读数每 100 毫秒刷新一次
+        
+        // 画质等级: quality 为 auto 时由调节器按帧率在各等级间切换, 初始为 high
+        this.qualityModes = ['auto', ...QUALITY_TIERS];
+        if (!this.qualityModes.includes(this.quality)) {
+            console.warn(`未知的画质 ${this.quality}`);
+            this.quality = 'auto';
+        }
+        this.setQualityFields(this.quality === 'auto' ? 'high' : this.quality);
+        this.qualityGovernor = new QualityGovernor({
+            targetFps: this.targetFps,
+            level: QUALITY_TIERS.indexOf(this.qualityTier)
+        });
 
         // 图层设置 (0: 前景, 1: 背景)
         this.foregroundLayer = 0;
@@ -57,17 +256,422 @@ class BlackHoleVisualizer {
         // 引力透镜辅助数据
         this.blackHoleScreenPosition = new THREE.Vector2(0.5, 0.5);
         this.blackHoleScreenRadius = 0.1;
-        this.lensStrengthBase = 1.2;
+        // 引力透镜模式: off (关闭) / screen (屏幕空间近似) / geodesic (测地线光线追踪)
+        this.lensingModes = ['off', 'screen', 'geodesic'];
+        // 输出模式: normal (单视图) / stereo (左右并排立体) / anaglyph (红青立体) / equirect (360° 等距柱状全景)
+        this.outputModes = OUTPUT_MODES;
+        this.skyCubeSize = 512;
+        // 背景天空: stars (星表) / panorama (全景图) / grid (经纬网格) / checker (棋盘格)
+        this.skyBackgrounds = ['stars', 'panorama', 'grid', 'checker'];
+        this.skyRadius = 1000;
+        this.starCatalog = BRIGHT_STARS;
+        this.panoramaTexture = null;
+        this._drawingBufferSize = new THREE.Vector2();
+        this.geodesicStepScale = 0.05;
         this._lensTmpVecA = new THREE.Vector3();
         this._lensTmpVecB = new THREE.Vector3();
         this._lensTmpVecC = new THREE.Vector3();
         this._lensTmpVecD = new THREE.Vector3();
+        this._lensTmpVecE = new THREE.Vector3();
+        this._shadowShapeState = null;
+        
+        // 观测者运动: off (静止) / camera (由相机位移求速度) / orbit (当地顺行圆轨道速度)
+        // 速度以光速为单位, 通过共享的 uniform 传给所有参与光行差与多普勒频移的材质
+        this.observerMotionModes = ['off', 'camera', 'orbit'];
+        if (!this.observerMotionModes.includes(this.observerMotion)) {
+            console.warn(`未知的观测者运动模式 ${this.observerMotion}`);
+            this.observerMotion = 'off';
+        }
+        this.observerSmoothingTime = 0.2;  // camera 模式下速度的平滑时间常数 (秒)
+        this.observerVelocity = new THREE.Vector3();
+        this.observerUniforms = { observerVelocity: { value: new THREE.Vector3() } };
+        this._observerLastPosition = null;
+        
+        // 吸积盘模型: thin (几何薄盘) / thick (光线步进的体积厚盘); 喷流可与任一模型叠加
+        // 厚盘与喷流的参数通过共享的 uniforms 传给体积网格与测地线着色器
+        this.diskModels = ['thin', 'thick'];
+        if (!this.diskModels.includes(this.diskModel)) {
+            console.warn(`未知的吸积盘模型 ${this.diskModel}`);
+            this.diskModel = 'thin';
+        }
+        this.volumeUniforms = {
+            diskScaleHeight: { value: 0 },
+            diskOpacity: { value: 0 },
+            jetSpeed: { value: 0 },
+            jetOpeningAngle: { value: 0 },
+            jetLength: { value: 0 },
+            jetBaseRadius: { value: 0 },
+            jetBrightness: { value: 0 },
+            volumeSteps: { value: this.volumeSteps }
+        };
+        
+        // 脚本事件 (见 src/events.js): 同一时刻只播放一个, 状态由触发后经过的模拟时间决定
+        // diskHeating 随盘面材质共享; 事件物体的点大小与透镜分割 uniforms 由事件物体共享
+        this.scriptedEvent = null;
+        this.scriptedEventType = null;
+        this.scriptedEventStart = 0;
+        
+        // 双黑洞: 旋近从 binaryStartTime 开始按模拟时间解析计算; binaryState 为当前的间距与轨道相位
+        // 合并后 binaryProgenitor 保存合并前的主黑洞参数, 时间跳回合并之前时恢复
+        this.companionGroup = null;
+        this.binaryStartTime = 0;
+        this.binaryState = null;
+        this.binaryProgenitor = null;
+        // 自由下落的探测器 (见 src/probe.js), 按发射后经过的模拟时间推进
+        this.probes = [];
+        // 教学叠加层 (见 src/overlays.js), 按当前半径随黑洞一同重建
+        this.overlay = null;
+        this.eventUniforms = { diskHeating: { value: 1 } };
+        this.eventObjectUniforms = {
+            pointScale: { value: 1 },
+            lensSplitSide: { value: 0 },
+            lensSplitCamera: { value: new THREE.Vector3() },
+            blackHolePos: { value: new THREE.Vector3() }
+        };
+        this._observerTmpVecA = new THREE.Vector3();
+        this._observerTmpVecB = new THREE.Vector3();
+        this._probeTmpVecA = new THREE.Vector3();
+        this._probeTmpVecB = new THREE.Vector3();
+    }
+    
+    // 由质量与自旋推导各特征半径 (场景单位, 几何质量 M = rs / 2)
+    updateBlackHoleRadii() {
+        this.blackHoleMass = this.blackHoleRadius / 2;
+        this.horizonRadius = this.blackHoleMass * horizonRadius(this.blackHoleSpin);
+        this.photonSphereRadius = this.blackHoleMass * photonOrbitRadius(this.blackHoleSpin, true);
+        this.iscoRadius = this.blackHoleMass * iscoRadius(this.blackHoleSpin);
+        // 视界网格半径为真实视界的 1.5 倍
+        this.eventHorizonRadius = this.horizonRadius * 1.5;
+        // 盘面半径设置以 M 为单位, 内缘默认取 ISCO
+        const [diskInner, diskOuter] = diskRadii(this.blackHoleSpin, this.diskInnerRadiusSetting, this.diskOuterRadiusSetting);
+        this.accretionDiskInnerRadius = this.blackHoleMass * diskInner;
+        this.accretionDiskOuterRadius = this.blackHoleMass * diskOuter;
+        // 史瓦西光子球半径, 屏幕空间阴影以其投影为基准按自旋变形
+        this.shadowReferenceRadius = this.blackHoleRadius * 1.5;
+        
+        // 双黑洞: 伴星为无自旋黑洞 (质量 q·M), 两个盘都按初始间距截断在各自的洛希瓣以内
+        // 初始间距至少为合并间距的 1.5 倍
+        this.companionMassRatio = THREE.MathUtils.clamp(this.binaryMassRatio, 0.05, 1);
+        const q = this.companionMassRatio;
+        this.binaryInitialSeparation = Math.max(this.binarySeparation, mergerSeparation(q) * 1.5);
+        const separation = this.blackHoleMass * this.binaryInitialSeparation;
+        this.companionMass = this.blackHoleMass * q;
+        this.companionHorizonRadius = this.companionMass * horizonRadius(0) * 1.5;
+        this.companionShadowRadius = this.companionMass * 3;
+        this.companionDiskInnerRadius = this.companionMass * iscoRadius(0);
+        this.companionDiskOuterRadius = separation * BINARY_DISK_TRUNCATION * rocheLobeRadius(q);
+        if (this.binary && !this.binaryProgenitor) {
+            const truncation = separation * BINARY_DISK_TRUNCATION * rocheLobeRadius(1 / q);
+            this.accretionDiskOuterRadius = Math.max(
+                Math.min(this.accretionDiskOuterRadius, truncation),
+                this.accretionDiskInnerRadius * 1.1
+            );
+        }
+        this.updateDiskTemperature();
+    }
+    
+    // 薄盘温度分布: 由真实质量、吸积率与自旋 (辐射效率与内缘) 决定
+    updateDiskTemperature() {
+        const innerRadius = this.accretionDiskInnerRadius / this.blackHoleMass;
+        this.diskTemperatureScale = diskTemperatureScale(this.blackHoleMassSolar, this.eddingtonRatio, this.blackHoleSpin);
+        this.peakDiskTemperature = peakDiskTemperature(innerRadius, this.diskTemperatureScale);
+        // 以静止系峰值温度的亮度作为显示亮度 1
+        this.blackbodyReferenceLuminance = blackbodyColor(this.peakDiskTemperature).logLuminance;
+    }
+    
+    createBlackbodyTexture() {
+        const size = 1024;
+        const texture = new THREE.DataTexture(createBlackbodyTable(size), size, 1, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    // 吸积盘、粒子与测地线透镜共用的颜色模型 uniforms
+    createDiskUniforms() {
+        return {
+            blackHoleMass: { value: this.blackHoleMass },
+            blackHoleSpin: { value: this.blackHoleSpin },
+            orbitalTimeScale: { value: this.orbitalTimeScale },
+            dopplerBeaming: { value: this.dopplerBeaming ? 1 : 0 },
+            gravitationalRedshift: { value: this.gravitationalRedshift ? 1 : 0 },
+            blackbodyReferenceLuminance: { value: this.blackbodyReferenceLuminance },
+            diskTemperatureScale: { value: this.diskTemperatureScale },
+            ...this.createBlackbodyUniforms(),
+            ...this.observerUniforms,
+            ...this.eventUniforms
+        };
+    }
+    
+    // 黑体查找表 uniforms (星点与天球只用到色度与相对亮度, 不需要盘面的归一化参数)
+    createBlackbodyUniforms() {
+        return {
+            blackbodyLUT: { value: this.blackbodyTexture },
+            blackbodyRange: { value: new THREE.Vector2(...BLACKBODY_LOG_TEMPERATURE_RANGE) }
+        };
+    }
+    
+    updateDiskUniforms() {
+        [this.accretionDisk, this.diskVolume, this.jetVolume, this.accretionParticles, this.geodesicMesh].forEach(object => {
+            if (!object) {
+                return;
+            }
+            const uniforms = object.material.uniforms;
+            uniforms.blackHoleMass.value = this.blackHoleMass;
+            uniforms.blackHoleSpin.value = this.blackHoleSpin;
+            uniforms.orbitalTimeScale.value = this.orbitalTimeScale;
+            uniforms.dopplerBeaming.value = this.dopplerBeaming ? 1 : 0;
+            uniforms.gravitationalRedshift.value = this.gravitationalRedshift ? 1 : 0;
+            uniforms.blackbodyReferenceLuminance.value = this.blackbodyReferenceLuminance;
+            uniforms.diskTemperatureScale.value = this.diskTemperatureScale;
+        });
+        
+        // 伴星的小盘使用自身的质量与温度 (无自旋), 显示亮度仍以主黑洞盘面为基准
+        if (this.companionDisk) {
+            const uniforms = this.companionDisk.material.uniforms;
+            uniforms.blackHoleMass.value = this.companionMass;
+            uniforms.blackHoleSpin.value = 0;
+            uniforms.orbitalTimeScale.value = this.orbitalTimeScale;
+            uniforms.dopplerBeaming.value = this.dopplerBeaming ? 1 : 0;
+            uniforms.gravitationalRedshift.value = this.gravitationalRedshift ? 1 : 0;
+            uniforms.blackbodyReferenceLuminance.value = this.blackbodyReferenceLuminance;
+            uniforms.diskTemperatureScale.value = diskTemperatureScale(
+                this.blackHoleMassSolar * this.companionMassRatio,
+                this.eddingtonRatio,
+                0
+            );
+        }
+    }
+    
+    // 厚盘与喷流的共享 uniforms, 以及两个体积网格的包围盒与可见性 (厚盘取代薄盘网格)
+    updateVolumeUniforms() {
+        const uniforms = this.volumeUniforms;
+        uniforms.diskScaleHeight.value = this.diskScaleHeight;
+        uniforms.diskOpacity.value = this.diskOpacity;
+        uniforms.jetSpeed.value = THREE.MathUtils.clamp(this.jetSpeed, 0, 0.999);
+        uniforms.jetOpeningAngle.value = this.jetOpeningAngle;
+        uniforms.jetLength.value = this.jetLength * this.blackHoleMass;
+        uniforms.jetBaseRadius.value = this.horizonRadius * 2;
+        uniforms.jetBrightness.value = this.jetBrightness;
+        uniforms.volumeSteps.value = this.volumeSteps;
+        
+        const thick = this.diskModel === 'thick';
+        if (this.accretionDisk) {
+            this.accretionDisk.visible = !thick;
+        }
+        if (this.diskVolume) {
+            // 高斯垂直分布取到 3 倍标高
+            const outerRadius = this.accretionDiskOuterRadius;
+            const halfHeight = Math.max(3 * this.diskScaleHeight * outerRadius, 0.5);
+            this.diskVolume.scale.set(outerRadius, halfHeight, outerRadius);
+            this.diskVolume.material.uniforms.volumeExtent.value.copy(this.diskVolume.scale);
+            this.diskVolume.visible = thick;
+        }
+        if (this.jetVolume) {
+            // 与着色器中的喷流宽度一致, 截面取到 3 倍宽度
+            const length = uniforms.jetLength.value;
+            const halfWidth = 3 * (uniforms.jetBaseRadius.value * 0.3 + Math.tan(this.jetOpeningAngle) * length);
+            this.jetVolume.scale.set(halfWidth, length, halfWidth);
+            this.jetVolume.material.uniforms.volumeExtent.value.copy(this.jetVolume.scale);
+            this.jetVolume.visible = this.jets;
+        }
+    }
+    
+    setAccretionParameters({ massSolar = this.blackHoleMassSolar, eddingtonRatio = this.eddingtonRatio } = {}) {
+        this.setParams({ massSolar, eddingtonRatio });
+    }
+    
+    // 当前参数快照, 参数名与构造函数选项一致; 合并后的剩余黑洞由模拟时间决定, 参数仍为合并前的主黑洞
+    getParams() {
+        const params = {};
+        Object.entries(PARAM_FIELDS).forEach(([key, field]) => {
+            params[key] = this[field];
+        });
+        if (this.binaryProgenitor) {
+            Object.assign(params, this.binaryProgenitor);
+        }
+        return params;
+    }
+    
+    // 运行时修改参数, 只重建受影响的网格与材质, 并释放旧资源
+    setParams(options = {}) {
+        const params = resolveOptions(options);
+        const current = this.getParams();
+        const changed = Object.keys(params).filter(key => key in PARAM_FIELDS && params[key] !== current[key]);
+        if (changed.length === 0) {
+            return;
+        }
+        const has = (...keys) => keys.some(key => changed.includes(key));
+        // 合并后修改主黑洞或双星参数: 先恢复合并前的主黑洞, 之后按新参数重建并重新判断是否已合并
+        const unmerged = Boolean(this.binaryProgenitor) && has('schwarzschildRadius', 'spin', 'massSolar', 'binary', 'binaryMassRatio', 'binarySeparation', 'binaryTimeScale', 'binaryInspiralScale');
+        if (unmerged) {
+            this.restoreBinaryProgenitor();
+        }
+        changed.forEach(key => {
+            this[PARAM_FIELDS[key]] = params[key];
+        });
+        
+        if (has('spin')) {
+            this.blackHoleSpin = clampSpin(this.blackHoleSpin);
+        }
+        if (has('skyBackground') && !this.skyBackgrounds.includes(this.skyBackground)) {
+            console.warn(`未知的背景天空 ${this.skyBackground}`);
+            this.skyBackground = current.skyBackground;
+        }
+        if (has('quality') && !this.qualityModes.includes(this.quality)) {
+            console.warn(`未知的画质 ${this.quality}`);
+            this.quality = current.quality;
+        }
+        if (has('lensingMode') && !this.lensingModes.includes(this.lensingMode)) {
+            console.warn(`未知的透镜模式 ${this.lensingMode}`);
+            this.lensingMode = current.lensingMode;
+        }
+        if (has('outputMode')) {
+            if (!this.outputModes.includes(this.outputMode)) {
+                console.warn(`未知的输出模式 ${this.outputMode}`);
+                this.outputMode = current.outputMode;
+            }
+            this.multiView.release();
+        }
+        if (has('diskModel') && !this.diskModels.includes(this.diskModel)) {
+            console.warn(`未知的吸积盘模型 ${this.diskModel}`);
+            this.diskModel = current.diskModel;
+        }
+        if (has('observerMotion')) {
+            if (!this.observerMotionModes.includes(this.observerMotion)) {
+                console.warn(`未知的观测者运动模式 ${this.observerMotion}`);
+                this.observerMotion = current.observerMotion;
+            }
+            this.resetObserverVelocity();
+        }
+        
+        // 事件的轨道与尺度在触发时按黑洞质量与自旋确定, 二者变化后结束正在播放的事件
+        if (unmerged || has('schwarzschildRadius', 'spin', 'massSolar', 'seed')) {
+            this.stopEvent();
+        }
+        // 探测器的发射状态按场景尺度与显示视界确定
+        if (unmerged || has('schwarzschildRadius', 'spin')) {
+            this.clearProbes();
+        }
+        // 双黑洞模式中主黑洞的盘面按伴星的潮汐截断, 开关与质量比、间距变化时同样重建
+        if (unmerged || has('schwarzschildRadius', 'spin', 'diskInnerRadius', 'diskOuterRadius', 'binary', 'binaryMassRatio', 'binarySeparation')) {
+            this.updateBlackHoleRadii();
+            this.rebuildBlackHole();
+        } else {
+            if (has('massSolar', 'eddingtonRatio')) {
+                this.updateDiskTemperature();
+            }
+            // 粒子速度以动画时间计, 公转速度倍率变化后需要重新初始化; 厚盘中粒子的高度分布随标高变化;
+            // 粒子分布与重新注入都由种子决定; 重建后从初始状态重新积分到当前时间
+            if (has('particleCount', 'orbitalTimeScale', 'diskModel', 'diskScaleHeight', 'seed')) {
+                this.disposeAccretionParticles();
+                this.createAccretionParticles();
+            }
+        }
+        if (has('particleViscosity')) {
+            this.updateParticleUniforms();
+        }
+        if (has('starCount', 'seed')) {
+            this.disposeObject(this.stars);
+            this.createStarField();
+        }
+        if (has('starCatalogUrl')) {
+            this.loadStarCatalog(this.starCatalogUrl || null).catch(error => console.error('无法载入星表:', error));
+        }
+        if (has('panoramaUrl')) {
+            this.loadPanorama(this.panoramaUrl || null).catch(error => console.error('无法载入全景图:', error));
+        }
+        if (has('skyBackground')) {
+            this.updateSkyBackground();
+        }
+        if (has('timeScale')) {
+            this.clock.timeScale = this.timeScale;
+        }
+        if (has('targetFps')) {
+            this.qualityGovernor.targetFps = this.targetFps;
+        }
+        if (has('quality')) {
+            // 切换为自动时从当前等级开始调节
+            if (this.quality === 'auto') {
+                this.qualityGovernor.level = QUALITY_TIERS.indexOf(this.qualityTier);
+                this.qualityGovernor.reset();
+            } else {
+                this.applyQualityTier(this.quality);
+            }
+        }
+        if (has('physicsHud')) {
+            this.updatePhysicsReadout();
+        }
+        if (has('overlays')) {
+            this.updateOverlay();
+        }
+        if (has('exposure')) {
+            this.renderer.toneMappingExposure = this.exposure;
+        }
+        if (has('bloom', 'bloomStrength', 'bloomThreshold', 'bloomRadius', 'glare', 'glareStrength', 'glareThreshold', 'glareLength', 'chromaticAberration', 'chromaticAberrationStrength', 'filmGrain', 'grainIntensity', 'vignetteIntensity')) {
+            this.updatePostProcessing();
+        }
+        if (has('diskModel', 'jets')) {
+            this.updateGeodesicDefines();
+        }
+        if (unmerged || has('schwarzschildRadius', 'binary', 'binaryMassRatio', 'binarySeparation', 'binaryTimeScale', 'binaryInspiralScale')) {
+            this.resetBinary();
+        }
+        this.updateDiskUniforms();
+        this.updateVolumeUniforms();
+        
+        if (this.controlPanel) {
+            this.controlPanel.refresh();
+        }
+    }
+    
+    setSpin(spin) {
+        this.setParams({ spin });
+    }
+    
+    // 视界与吸积盘半径均随质量与自旋变化, 重新创建相关网格
+    rebuildBlackHole() {
+        [
+            this.eventHorizon,
+            this.blackHoleGlow,
+            ...(this.distortionRings || []),
+            this.accretionDisk,
+            this.diskVolume,
+            this.jetVolume
+        ].forEach(object => this.disposeObject(object));
+        this.disposeAccretionParticles();
+        this.disposeOverlay();
+        this.createBlackHole();
+        this.createAccretionDisk();
+        
+        const uniforms = this.geodesicMesh.material.uniforms;
+        uniforms.schwarzschildRadius.value = this.blackHoleRadius;
+        uniforms.innerRadius.value = this.accretionDiskInnerRadius;
+        uniforms.outerRadius.value = this.accretionDiskOuterRadius;
+        this.updateGeodesicDefines();
+        this._shadowShapeState = null;
+    }
+    
+    disposeObject(object) {
+        if (!object) {
+            return;
+        }
+        object.removeFromParent();
+        object.geometry.dispose();
+        object.material.dispose();
     }
     
     createScene() {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x000008); // 深空背景
         
+        // 主黑洞的视界、吸积盘、粒子等随其一同运动 (双黑洞模式中绕质心公转), 各着色器按 blackHolePos 计算相对位置
+        this.blackHoleGroup = new THREE.Group();
+        this.scene.add(this.blackHoleGroup);
+        this.probeGroup = new THREE.Group();
+        this.blackHoleGroup.add(this.probeGroup);
+        
         // 添加环境光
         const ambientLight = new THREE.AmbientLight(0x404040, 0.1);
         this.scene.add(ambientLight);
@@ -77,77 +681,185 @@ class BlackHoleVisualizer {
         this.diskLight.position.set(0, 5, 0);
         this.scene.add(this.diskLight);
         
-        // 添加星空背景
+        // 添加星空背景与全景天球
         this.createStarField();
+        this.createSkySphere();
+        if (this.starCatalogUrl) {
+            this.loadStarCatalog(this.starCatalogUrl).catch(error => console.error('无法载入星表:', error));
+        }
+        if (this.panoramaUrl) {
+            this.loadPanorama(this.panoramaUrl).catch(error => console.error('无法载入全景图:', error));
+        }
     }
     
+    // 星空: 星表中的星按赤道坐标放置, 再补齐 starCount 颗随机暗星
+    // 星点大小以角直径计, 绘制前按当前渲染目标的高度换算为像素 (屏幕、透镜背景纹理与星空立方体贴图各不相同)
     createStarField() {
-        const starGeometry = new THREE.BufferGeometry();
-        const starCount = 10000;
-        const positions = new Float32Array(starCount * 3);
-        const colors = new Float32Array(starCount * 3);
-        
-        for (let i = 0; i < starCount; i++) {
-            const i3 = i * 3;
-            
-            // 在球面上均匀分布星星
-            const radius = 1000;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            
-            positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-            positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-            positions[i3 + 2] = radius * Math.cos(phi);
-            
-            // 随机颜色 (偏白色和蓝白色)
-            const brightness = 0.5 + Math.random() * 0.5;
-            colors[i3] = brightness;
-            colors[i3 + 1] = brightness;
-            colors[i3 + 2] = brightness + Math.random() * 0.2;
-        }
+        const random = createRandom(this.seed, RANDOM_STREAMS.stars);
+        const starCount = Math.max(0, Math.floor(this.starCount));
+        const { positions, colors, sizes, temperatures } = createStarAttributes(this.starCatalog, starCount, random, this.skyRadius);
         
+        const starGeometry = new THREE.BufferGeometry();
         starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        starGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        starGeometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+        starGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        starGeometry.setAttribute('temperature', new THREE.BufferAttribute(temperatures, 1));
         
-        const starMaterial = new THREE.PointsMaterial({
-            size: 2,
-            vertexColors: true,
+        const starMaterial = new THREE.ShaderMaterial({
             transparent: true,
-            opacity: 0.8
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            uniforms: {
+                viewportHeight: { value: this.height },
+                minPointSize: { value: 1.5 },
+                ...this.createBlackbodyUniforms(),
+                ...this.observerUniforms
+            },
+            vertexShader: starVertexShader,
+            fragmentShader: starFragmentShader
         });
         
         this.stars = new THREE.Points(starGeometry, starMaterial);
         this.stars.layers.set(this.backgroundLayer);
+        this.stars.onBeforeRender = renderer => {
+            const target = renderer.getRenderTarget();
+            starMaterial.uniforms.viewportHeight.value = target ? target.height : renderer.getDrawingBufferSize(this._drawingBufferSize).y;
+        };
+        this.stars.rotation.y = this.starRotationSpeed * this.time;
+        this.stars.visible = this.skyBackground === 'stars';
         this.scene.add(this.stars);
     }
     
+    // 全景天球: 显示全景图或测试网格, 与星空同在背景图层, 同样参与透镜
+    createSkySphere() {
+        const material = new THREE.ShaderMaterial({
+            side: THREE.BackSide,
+            depthWrite: false,
+            uniforms: {
+                skyMode: { value: 1 },
+                tPanorama: { value: null },
+                skyRotation: { value: new THREE.Matrix3() },
+                ...this.createBlackbodyUniforms(),
+                ...this.observerUniforms
+            },
+            vertexShader: skyVertexShader,
+            fragmentShader: skyFragmentShader
+        });
+        this.skySphere = new THREE.Mesh(new THREE.SphereGeometry(this.skyRadius, 64, 32), material);
+        this.skySphere.layers.set(this.backgroundLayer);
+        this.skySphere.renderOrder = -1;
+        this.skySphere.onBeforeRender = () => {
+            // 天球只绕 y 轴旋转, 世界到局部的变换即旋转矩阵的转置
+            material.uniforms.skyRotation.value.setFromMatrix4(this.skySphere.matrixWorld).transpose();
+        };
+        this.scene.add(this.skySphere);
+        this.updateSkyBackground();
+    }
+    
+    // 全景图尚未载入时先显示经纬网格
+    updateSkyBackground() {
+        const mode = this.skyBackground;
+        this.stars.visible = mode === 'stars';
+        this.skySphere.visible = mode !== 'stars';
+        const uniforms = this.skySphere.material.uniforms;
+        uniforms.tPanorama.value = this.panoramaTexture;
+        if (mode === 'checker') {
+            uniforms.skyMode.value = 2;
+        } else {
+            uniforms.skyMode.value = mode === 'panorama' && this.panoramaTexture ? 0 : 1;
+        }
+    }
+    
+    // 载入星表 (URL 或 File, HYG 格式 CSV 或 JSON); source 为 null 时恢复内置亮星表
+    async loadStarCatalog(source) {
+        let catalog = BRIGHT_STARS;
+        if (source) {
+            let text;
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`${source}: HTTP ${response.status}`);
+                }
+                text = await response.text();
+            } else {
+                text = await source.text();
+            }
+            catalog = parseStarCatalog(text);
+        }
+        if (this.disposed) {
+            return;
+        }
+        this.starCatalog = catalog;
+        this.disposeObject(this.stars);
+        this.createStarField();
+        return catalog.length;
+    }
+    
+    // 载入等距柱状全景图 (URL 或 File); source 为 null 时释放当前全景图
+    async loadPanorama(source) {
+        let texture = null;
+        if (source) {
+            const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+            try {
+                texture = await new THREE.TextureLoader().loadAsync(url);
+            } finally {
+                if (url !== source) {
+                    URL.revokeObjectURL(url);
+                }
+            }
+            // 不生成 mipmap: 经度在 ±180° 处跳变, mipmap 会在接缝处采样到最模糊的层级
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.minFilter = THREE.LinearFilter;
+            texture.generateMipmaps = false;
+        }
+        if (this.disposed) {
+            if (texture) {
+                texture.dispose();
+            }
+            return;
+        }
+        if (this.panoramaTexture) {
+            this.panoramaTexture.dispose();
+        }
+        this.panoramaTexture = texture;
+        this.updateSkyBackground();
+    }
+    
     createBlackHole() {
         // 创建事件视界 (完全黑色的球体)
-        const eventHorizonGeometry = new THREE.SphereGeometry(this.eventHorizonRadius, 64, 32);
+        const eventHorizonGeometry = new THREE.SphereGeometry(this.eventHorizonRadius, this.segmentCount(64), this.segmentCount(32));
         const eventHorizonMaterial = new THREE.MeshBasicMaterial({
             color: 0x000000,
             transparent: true,
             opacity: 1.0
         });
         
+        this.applyObserverAberration(eventHorizonMaterial);
     this.eventHorizon = new THREE.Mesh(eventHorizonGeometry, eventHorizonMaterial);
+        this.eventHorizon.userData.segments = [64, 32];
     this.eventHorizon.layers.set(this.foregroundLayer);
-        this.scene.add(this.eventHorizon);
+        this.blackHoleGroup.add(this.eventHorizon);
         
         // 创建黑洞光晕效果 (引力红移)
-        const glowGeometry = new THREE.SphereGeometry(this.eventHorizonRadius * 1.1, 32, 16);
+        const glowGeometry = new THREE.SphereGeometry(this.eventHorizonRadius * 1.1, this.segmentCount(32), this.segmentCount(16));
         const glowMaterial = new THREE.ShaderMaterial({
             transparent: true,
             side: THREE.BackSide,
             uniforms: {
                 time: { value: 0 },
-                viewVector: { value: this.camera.position }
+                viewVector: { value: this.camera.position },
+                ...this.observerUniforms
             },
             vertexShader: `
                 uniform vec3 viewVector;
                 varying float intensity;
+                
+                ${observerMotionChunk}
+                
                 void main() {
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    vec3 worldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+                    gl_Position = projectionMatrix * viewMatrix * vec4(observerApparentPosition(worldPosition), 1.0);
                     vec3 actual_normal = vec3(modelMatrix * vec4(normal, 0.0));
                     intensity = pow(0.7 - dot(normalize(viewVector), actual_normal), 2.0);
                 }
@@ -164,29 +876,72 @@ class BlackHoleVisualizer {
         });
         
     this.blackHoleGlow = new THREE.Mesh(glowGeometry, glowMaterial);
+        this.blackHoleGlow.userData.segments = [32, 16];
     this.blackHoleGlow.layers.set(this.foregroundLayer);
-        this.scene.add(this.blackHoleGlow);
+        this.blackHoleGroup.add(this.blackHoleGlow);
         
         // 创建引力扭曲效果的可视化环
         const distortionRings = [];
         for (let i = 0; i < 3; i++) {
             const ringRadius = this.eventHorizonRadius * (2 + i * 0.5);
-            const ringGeometry = new THREE.RingGeometry(ringRadius * 0.95, ringRadius * 1.05, 64);
+            const ringGeometry = new THREE.RingGeometry(ringRadius * 0.95, ringRadius * 1.05, this.segmentCount(64), 1);
             const ringMaterial = new THREE.MeshBasicMaterial({
                 color: new THREE.Color().setHSL(0.05, 0.8, 0.3 + i * 0.1),
                 transparent: true,
                 opacity: 0.1 - i * 0.02,
                 side: THREE.DoubleSide
             });
+            this.applyObserverAberration(ringMaterial);
             
             const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+            ring.userData.segments = [64, 1];
             ring.rotation.x = Math.PI / 2;
             ring.layers.set(this.foregroundLayer);
+            // 装饰性的环不对应真实半径, 显示教学叠加层时隐藏, 以免与其中的标注圆混淆
+            ring.visible = !this.overlays;
             distortionRings.push(ring);
-            this.scene.add(ring);
+            this.blackHoleGroup.add(ring);
         }
         
         this.distortionRings = distortionRings;
+        
+        if (this.overlays) {
+            this.createOverlay();
+        }
+    }
+    
+    createOverlay() {
+        this.overlay = new EducationalOverlay({
+            group: this.blackHoleGroup,
+            layer: this.foregroundLayer,
+            prepareMaterial: material => this.applyObserverAberration(material),
+            blackHoleMass: this.blackHoleMass,
+            radii: {
+                horizon: this.horizonRadius,
+                photonSphere: this.photonSphereRadius,
+                isco: this.iscoRadius
+            }
+        });
+        this.overlay.update(this.camera);
+    }
+    
+    disposeOverlay() {
+        if (this.overlay) {
+            this.overlay.dispose();
+            this.overlay = null;
+        }
+    }
+    
+    // 开关教学叠加层: 只创建或移除叠加层, 装饰环的显示随之切换
+    updateOverlay() {
+        if (this.overlays && !this.overlay) {
+            this.createOverlay();
+        } else if (!this.overlays) {
+            this.disposeOverlay();
+        }
+        (this.distortionRings || []).forEach(ring => {
+            ring.visible = !this.overlays;
+        });
     }
     
     createAccretionDisk() {
@@ -194,426 +949,1782 @@ class BlackHoleVisualizer {
         const diskGeometry = new THREE.RingGeometry(
             this.accretionDiskInnerRadius, 
             this.accretionDiskOuterRadius, 
-            128, 
-            32
+            this.segmentCount(128), 
+            this.segmentCount(32)
         );
         
-        // 为吸积盘创建自定义着色器
-        const diskMaterial = new THREE.ShaderMaterial({
+        const diskMaterial = this.createDiskMaterial(this.accretionDiskInnerRadius, this.accretionDiskOuterRadius);
+        
+    this.accretionDisk = new THREE.Mesh(diskGeometry, diskMaterial);
+        this.accretionDisk.userData.segments = [128, 32];
+    this.accretionDisk.layers.set(this.foregroundLayer);
+        this.accretionDisk.rotation.x = Math.PI / 2; // 使其水平
+        this.blackHoleGroup.add(this.accretionDisk);
+        
+        // 厚盘与喷流的体积网格, 按当前参数设置包围盒与可见性
+        this.diskVolume = this.createVolumeMesh('THICK_DISK');
+        this.jetVolume = this.createVolumeMesh('JETS');
+        this.updateVolumeUniforms();
+        
+        // 创建粒子系统用于增强效果
+        this.createAccretionParticles();
+    }
+    
+    // 薄盘材质 (RingGeometry 位于局部 XY 平面), 主黑洞的吸积盘与双黑洞中伴星的小盘共用
+    createDiskMaterial(innerRadius, outerRadius) {
+        return new THREE.ShaderMaterial({
             transparent: true,
             side: THREE.DoubleSide,
             uniforms: {
                 time: { value: 0 },
-                innerRadius: { value: this.accretionDiskInnerRadius },
-                outerRadius: { value: this.accretionDiskOuterRadius },
-                blackHolePos: { value: new THREE.Vector3(0, 0, 0) }
+                innerRadius: { value: innerRadius },
+                outerRadius: { value: outerRadius },
+                blackHolePos: { value: new THREE.Vector3(0, 0, 0) },
+                ...this.createDiskUniforms()
             },
             vertexShader: `
                 varying vec2 vUv;
                 varying vec3 vPosition;
+                varying vec3 vWorldPosition;
                 varying float vDistance;
                 uniform float innerRadius;
                 uniform float outerRadius;
                 uniform vec3 blackHolePos;
                 
+                ${observerMotionChunk}
+                
                 void main() {
                     vUv = uv;
                     vPosition = position;
+                    vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
                     vDistance = distance(position, blackHolePos);
                     
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * viewMatrix * vec4(observerApparentPosition(vWorldPosition), 1.0);
                 }
             `,
             fragmentShader: `
                 uniform float time;
                 uniform float innerRadius;
                 uniform float outerRadius;
+                uniform vec3 blackHolePos;
                 varying vec2 vUv;
                 varying vec3 vPosition;
+                varying vec3 vWorldPosition;
                 varying float vDistance;
                 
-                // 噪声函数
-                float random(vec2 st) {
-                    return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
-                }
-                
-                float noise(vec2 st) {
-                    vec2 i = floor(st);
-                    vec2 f = fract(st);
-                    float a = random(i);
-                    float b = random(i + vec2(1.0, 0.0));
-                    float c = random(i + vec2(0.0, 1.0));
-                    float d = random(i + vec2(1.0, 1.0));
-                    vec2 u = f * f * (3.0 - 2.0 * f);
-                    return mix(a, b, u.x) + (c - a)* u.y * (1.0 - u.x) + (d - b) * u.x * u.y;
-                }
+                ${kerrChunk}
+                ${blackbodyChunk}
+                ${diskEmissionChunk}
+                ${observerMotionChunk}
                 
                 void main() {
-                    float radius = length(vPosition.xz);
-                    float normalizedRadius = (radius - innerRadius) / (outerRadius - innerRadius);
+                    vec3 worldPos = vWorldPosition - blackHolePos;
+                    observerFrequencyShift = observerDoppler(normalize(vWorldPosition - cameraPosition), observerVelocity);
+                    float lambda = diskPhotonLambda(worldPos, normalize(cameraPosition - vWorldPosition));
                     
-                    // 基于半径的温度梯度 (越接近黑洞越热)
-                    float temperature = 1.0 - normalizedRadius;
-                    
-                    // 角度计算用于螺旋模式
-                    float angle = atan(vPosition.z, vPosition.x);
-                    float spiralPattern = sin(angle * 3.0 + time * 2.0 - radius * 0.5) * 0.5 + 0.5;
-                    
-                    // 多层次噪声
-                    float noiseScale = 8.0;
-                    float turbulence = noise(vPosition.xz * noiseScale + time * 0.5) * 0.6 +
-                                     noise(vPosition.xz * noiseScale * 2.0 + time * 0.3) * 0.3 +
-                                     noise(vPosition.xz * noiseScale * 4.0 + time * 0.1) * 0.1;
-                    
-                    // 温度色彩映射 (从红色到黄色到白色)
-                    vec3 coldColor = vec3(0.8, 0.2, 0.1);  // 深红
-                    vec3 warmColor = vec3(1.0, 0.6, 0.2);  // 橙色
-                    vec3 hotColor = vec3(1.0, 0.9, 0.7);   // 黄白色
-                    
-                    vec3 color;
-                    if (temperature > 0.6) {
-                        color = mix(warmColor, hotColor, (temperature - 0.6) / 0.4);
-                    } else {
-                        color = mix(coldColor, warmColor, temperature / 0.6);
-                    }
-                    
-                    // 结合螺旋模式和湍流
-                    float intensity = temperature * spiralPattern * turbulence * 2.0;
-                    
-                    // 边缘渐变
-                    float edgeFade = smoothstep(0.0, 0.1, normalizedRadius) * 
-                                    smoothstep(1.0, 0.9, normalizedRadius);
-                    
-                    intensity *= edgeFade;
-                    
-                    gl_FragColor = vec4(color * intensity, intensity * 0.8);
+                    // RingGeometry 位于局部 XY 平面, 绕 X 轴转正后对应世界 XZ 平面
+                    gl_FragColor = diskEmission(vPosition.xy, time, innerRadius, outerRadius, lambda);
                 }
             `
         });
-        
-    this.accretionDisk = new THREE.Mesh(diskGeometry, diskMaterial);
-    this.accretionDisk.layers.set(this.foregroundLayer);
-        this.accretionDisk.rotation.x = Math.PI / 2; // 使其水平
-        this.scene.add(this.accretionDisk);
-        
-        // 创建粒子系统用于增强效果
-        this.createAccretionParticles();
     }
     
+    // 以黑洞为中心的包围盒 (2 x 2 x 2, 由 scale 设为半边长), 片元着色器在盒内光线步进
+    // 只绘制背面且不做深度测试, 视界对介质的遮挡在着色器中计算; 输出为预乘透明度的颜色
+    createVolumeMesh(define) {
+        const material = new THREE.ShaderMaterial({
+            defines: { [define]: '' },
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.BackSide,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneMinusSrcAlphaFactor,
+            uniforms: {
+                time: { value: 0 },
+                innerRadius: { value: this.accretionDiskInnerRadius },
+                outerRadius: { value: this.accretionDiskOuterRadius },
+                horizonRadius: { value: this.eventHorizonRadius },
+                blackHolePos: { value: new THREE.Vector3(0, 0, 0) },
+                volumeExtent: { value: new THREE.Vector3(1, 1, 1) },
+                ...this.createDiskUniforms(),
+                ...this.volumeUniforms
+            },
+            vertexShader: volumeVertexShader,
+            fragmentShader: volumeFragmentShader
+        });
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), material);
+        mesh.layers.set(this.foregroundLayer);
+        this.blackHoleGroup.add(mesh);
+        return mesh;
+    }
+    
+    // 粒子状态保存在 GPU 浮点纹理中, 由计算着色器按固定步长积分, CPU 不再逐粒子更新
+    // 粒子在赝牛顿势中沿开普勒轨道公转, 粘滞使其损失角动量向内旋进, 越过 ISCO 后坠入黑洞
     createAccretionParticles() {
-        const particleCount = 5000;
+        const particleCount = Math.max(1, Math.floor(this.particleCount));
+        const textureSize = Math.ceil(Math.sqrt(particleCount));
+        const rg = pseudoNewtonianRadius(this.blackHoleSpin);
+        const random = createRandom(this.seed, RANDOM_STREAMS.particles);
+        // 薄盘中粒子分布在厚度 0.5 的薄层内, 厚盘中随半径按标高增厚
+        const spawnScaleHeight = this.diskModel === 'thick' ? this.diskScaleHeight : 0;
+        
+        const gpuCompute = new GPUComputationRenderer(textureSize, textureSize, this.renderer);
+        const initialPositions = gpuCompute.createTexture();
+        const initialVelocities = gpuCompute.createTexture();
+        const state = initialPositions.image.data;
+        const velocities = initialVelocities.image.data;
+        
         const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
+        const references = new Float32Array(particleCount * 2);
         const sizes = new Float32Array(particleCount);
-        const velocities = new Float32Array(particleCount * 3);
         
         for (let i = 0; i < particleCount; i++) {
-            const i3 = i * 3;
+            const i4 = i * 4;
             
             // 在吸积盘范围内随机分布
             const radius = this.accretionDiskInnerRadius + 
-                          Math.random() * (this.accretionDiskOuterRadius - this.accretionDiskInnerRadius);
-            const theta = Math.random() * Math.PI * 2;
-            const height = (Math.random() - 0.5) * 0.5; // 薄盘结构
+                          random() * (this.accretionDiskOuterRadius - this.accretionDiskInnerRadius);
+            const theta = random() * Math.PI * 2;
+            const height = (random() - 0.5) * Math.max(0.5, 2 * spawnScaleHeight * radius);
             
-            positions[i3] = radius * Math.cos(theta);
-            positions[i3 + 1] = height;
-            positions[i3 + 2] = radius * Math.sin(theta);
+            state[i4] = radius * Math.cos(theta);
+            state[i4 + 1] = height;
+            state[i4 + 2] = radius * Math.sin(theta);
+            state[i4 + 3] = 1;
             
-            // 基于温度的颜色 (越靠近黑洞越热)
-            const normalizedRadius = (radius - this.accretionDiskInnerRadius) / 
-                                    (this.accretionDiskOuterRadius - this.accretionDiskInnerRadius);
-            const temperature = 1.0 - normalizedRadius;
+            // 初始为圆轨道速度 (沿公转方向)
+            const omega = this.orbitalTimeScale *
+                pseudoNewtonianAngularVelocity(radius / this.blackHoleMass, rg, this.blackHoleSpin) / this.blackHoleMass;
+            velocities[i4] = -omega * state[i4 + 2];
+            velocities[i4 + 2] = omega * state[i4];
+            velocities[i4 + 3] = 1;
             
-            if (temperature > 0.7) {
-                colors[i3] = 1.0;     // R
-                colors[i3 + 1] = 0.9; // G
-                colors[i3 + 2] = 0.7; // B
-            } else if (temperature > 0.4) {
-                colors[i3] = 1.0;     // R
-                colors[i3 + 1] = 0.6; // G
-                colors[i3 + 2] = 0.2; // B
-            } else {
-                colors[i3] = 0.8;     // R
-                colors[i3 + 1] = 0.2; // G
-                colors[i3 + 2] = 0.1; // B
-            }
+            // 粒子在状态纹理中的纹素中心
+            references[i * 2] = ((i % textureSize) + 0.5) / textureSize;
+            references[i * 2 + 1] = (Math.floor(i / textureSize) + 0.5) / textureSize;
             
-            sizes[i] = 0.5 + Math.random() * 1.5;
-            
-            // 轨道速度 (越接近黑洞越快)
-            const orbitalSpeed = Math.sqrt(1.0 / radius) * 0.1;
-            velocities[i3] = -orbitalSpeed * Math.sin(theta);
-            velocities[i3 + 1] = 0;
-            velocities[i3 + 2] = orbitalSpeed * Math.cos(theta);
+            sizes[i] = 0.5 + random() * 1.5;
         }
         
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-        
-        const material = new THREE.PointsMaterial({
-            size: 2,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending
+        const positionVariable = gpuCompute.addVariable('texturePosition', particlePositionShader, initialPositions);
+        const velocityVariable = gpuCompute.addVariable('textureVelocity', particleVelocityShader, initialVelocities);
+        [positionVariable, velocityVariable].forEach(variable => {
+            gpuCompute.setVariableDependencies(variable, [positionVariable, velocityVariable]);
+            Object.assign(variable.material.uniforms, {
+                delta: { value: this.particleTimeStep },
+                blackHoleMass: { value: this.blackHoleMass },
+                blackHoleSpin: { value: this.blackHoleSpin },
+                orbitalTimeScale: { value: this.orbitalTimeScale },
+                pseudoNewtonianRadius: { value: rg },
+                viscosity: { value: this.particleViscosity },
+                spawnInnerRadius: { value: this.accretionDiskOuterRadius * 0.85 },
+                spawnOuterRadius: { value: this.accretionDiskOuterRadius },
+                spawnScaleHeight: { value: spawnScaleHeight },
+                escapeRadius: { value: this.accretionDiskOuterRadius * 1.5 },
+                seed: { value: 0 }
+            });
         });
         
-    this.accretionParticles = new THREE.Points(geometry, material);
-    this.accretionParticles.layers.set(this.foregroundLayer);
-        this.accretionParticles.userData = { velocities: velocities };
-        this.scene.add(this.accretionParticles);
-    }
-    
-    createGravitationalLensing() {
-        // 创建背景星空的渲染目标
-        this.backgroundRenderTarget = new THREE.WebGLRenderTarget(
-            this.width, 
-            this.height,
-            {
-                minFilter: THREE.LinearFilter,
-                magFilter: THREE.LinearFilter,
-                format: THREE.RGBAFormat,
-                depthBuffer: false
-            }
-        );
-        this.backgroundRenderTarget.texture.colorSpace = THREE.SRGBColorSpace;
+        const error = gpuCompute.init();
+        if (error !== null) {
+            console.error('粒子模拟初始化失败:', error);
+        }
+        // 重新注入使用的随机种子偏移, 与步数一起决定每一步的随机数
+        const respawnSeed = createRandom(this.seed, RANDOM_STREAMS.respawn)();
+        this.particleSimulation = {
+            gpuCompute,
+            positionVariable,
+            velocityVariable,
+            respawnSeed,
+            textureSize,
+            computeRows: textureSize,
+            checkpoints: new Map(),
+            checkpointInterval: PARTICLE_CHECKPOINT_INTERVAL,
+            // 位置与速度两张 RGBA 浮点纹理; 至少保留第 0 步与最近的一个检查点
+            maxCheckpoints: THREE.MathUtils.clamp(
+                Math.floor(PARTICLE_CHECKPOINT_BUDGET / (textureSize * textureSize * 32)),
+                2,
+                MAX_PARTICLE_CHECKPOINTS
+            )
+        };
+        // 新建 (或参数变化后重建) 的粒子总是从初始分布 (第 0 步) 积分, 在之后的帧中追赶到当前时间,
+        // 因此粒子状态只取决于种子、参数与时间, 与此前是否改过参数无关
+        this.particleStepCount = 0;
+        this.particleReplaying = true;
+        this.saveParticleCheckpoint();
         
-        // 创建用于引力透镜效果的场景
-        this.lensScene = new THREE.Scene();
-        this.lensCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        // 粒子位置全部来自状态纹理, 几何体只保存纹理坐标与大小
+        geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         
-        // 引力透镜着色器
-        const lensMaterial = new THREE.ShaderMaterial({
+        // 粒子颜色与吸积盘共用薄盘温度与黑体颜色模型, 并随视线方向计算多普勒聚束与引力红移
+        const material = new THREE.ShaderMaterial({
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
             uniforms: {
-                tBackground: { value: this.backgroundRenderTarget.texture },
-                blackHolePos: { value: this.blackHoleScreenPosition.clone() },
-                blackHoleRadius: { value: this.blackHoleScreenRadius },
-                lensStrength: { value: this.lensStrengthBase },
-                resolution: { value: new THREE.Vector2(this.width, this.height) },
-                time: { value: 0 }
+                texturePosition: { value: gpuCompute.getCurrentRenderTarget(positionVariable).texture },
+                particleScale: { value: 1 },
+                pointScale: { value: this.getPointScale() },
+                opacity: { value: 0.8 },
+                innerRadius: { value: this.accretionDiskInnerRadius },
+                blackHolePos: { value: new THREE.Vector3(0, 0, 0) },
+                ...this.createDiskUniforms()
             },
             vertexShader: `
-                varying vec2 vUv;
+                attribute vec2 reference;
+                attribute float size;
+                uniform sampler2D texturePosition;
+                uniform float particleScale;
+                uniform float pointScale;
+                uniform float innerRadius;
+                uniform vec3 blackHolePos;
+                varying vec3 vColor;
+                
+                ${kerrChunk}
+                ${blackbodyChunk}
+                ${diskEmissionChunk}
+                ${observerMotionChunk}
+                
                 void main() {
-                    vUv = uv;
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    vec3 particlePosition = texture2D(texturePosition, reference).xyz;
+                    vec4 worldPosition = modelMatrix * vec4(particlePosition, 1.0);
+                    vec3 worldPos = worldPosition.xyz - blackHolePos;
+                    float lambda = diskPhotonLambda(worldPos, normalize(cameraPosition - worldPosition.xyz));
+                    observerFrequencyShift = observerDoppler(normalize(worldPosition.xyz - cameraPosition), observerVelocity);
+                    vColor = diskObservedRadiance(length(worldPos.xz), innerRadius, lambda);
+                    
+                    vec4 mvPosition = viewMatrix * vec4(observerApparentPosition(worldPosition.xyz), 1.0);
+                    gl_PointSize = size * particleScale * (pointScale / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
                 }
             `,
             fragmentShader: `
-                uniform sampler2D tBackground;
-                uniform vec2 blackHolePos;
-                uniform float blackHoleRadius;
-                uniform float lensStrength;
-                uniform vec2 resolution;
-                uniform float time;
-                varying vec2 vUv;
+                uniform float opacity;
+                varying vec3 vColor;
                 
                 void main() {
-                    vec2 delta = vUv - blackHolePos;
-                    float distance = length(delta);
-                    float eventHorizon = blackHoleRadius;
-                    float influenceRadius = eventHorizon * 8.0;
-
-                    if (distance < eventHorizon) {
-                        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
-                        return;
-                    }
-
-                    float falloff = 1.0 - smoothstep(eventHorizon, influenceRadius, distance);
-                    float safeDistance = max(distance, eventHorizon * 0.75);
-                    vec2 direction = distance > 0.0 ? delta / distance : vec2(0.0, 0.0);
-                    float deflection = lensStrength * (eventHorizon * eventHorizon) / (safeDistance * safeDistance + eventHorizon * eventHorizon);
-                    vec2 warpedUV = vUv - direction * deflection;
-                    warpedUV = clamp(warpedUV, vec2(0.001), vec2(0.999));
-
-                    vec2 finalUV = mix(vUv, warpedUV, falloff);
-                    vec2 aberration = direction * deflection * 0.1;
-                    vec3 color;
-                    color.r = texture2D(tBackground, clamp(finalUV + aberration, vec2(0.001), vec2(0.999))).r;
-                    color.g = texture2D(tBackground, clamp(finalUV, vec2(0.001), vec2(0.999))).g;
-                    color.b = texture2D(tBackground, clamp(finalUV - aberration, vec2(0.001), vec2(0.999))).b;
-                    float brightness = 1.0 + falloff * 0.15;
-                    gl_FragColor = vec4(color * brightness, 1.0);
+                    gl_FragColor = vec4(vColor, opacity);
+                    #include <tonemapping_fragment>
+                    #include <colorspace_fragment>
                 }
             `
         });
         
-        // 创建全屏四边形
-        const lensGeometry = new THREE.PlaneGeometry(2, 2);
-        this.lensMesh = new THREE.Mesh(lensGeometry, lensMaterial);
-        this.lensMesh.frustumCulled = false;
+    this.accretionParticles = new THREE.Points(geometry, material);
+    this.accretionParticles.layers.set(this.foregroundLayer);
+        this.updateParticleDrawRange();
+        // 几何体没有 position 属性, 无法计算包围球, 关闭视锥剔除
+        this.accretionParticles.frustumCulled = false;
+        this.blackHoleGroup.add(this.accretionParticles);
+    }
+    
+    disposeAccretionParticles() {
+        this.disposeObject(this.accretionParticles);
+        this.accretionParticles = null;
+        if (this.particleSimulation) {
+            this.particleSimulation.checkpoints.forEach(state => this.disposeParticleState(state));
+            this.particleSimulation.gpuCompute.dispose();
+            this.particleSimulation = null;
+        }
+        this.particleReplaying = false;
+    }
+    
+    // 运行时调整粒子数量 (可达百万级), 重新创建粒子状态纹理
+    setParticleCount(count) {
+        this.setParams({ particleCount: Math.max(1, Math.floor(count)) });
+    }
+    
+    setParticleViscosity(viscosity) {
+        this.setParams({ particleViscosity: Math.max(0, viscosity) });
+    }
+    
+    updateParticleUniforms() {
+        if (this.particleSimulation) {
+            const { positionVariable, velocityVariable } = this.particleSimulation;
+            positionVariable.material.uniforms.viscosity.value = this.particleViscosity;
+            velocityVariable.material.uniforms.viscosity.value = this.particleViscosity;
+        }
+    }
+    
+    // 以固定步长在 GPU 上把粒子状态推进到 time, 并把最新的状态纹理交给渲染材质
+    // 单次最多积分 maxSteps 步 (跳转或重建后的追赶阶段为 particleReplaySubsteps), 落后的部分在后续帧中追赶;
+    // 粒子状态只取决于种子与步数, 每隔 checkpointInterval 步保存一个检查点, 供跳回较早的时间
+    updateAccretionParticles(time, maxSteps = this.particleReplaying ? this.particleReplaySubsteps : this.particleMaxSubsteps) {
+        if (!this.accretionParticles || !this.particleSimulation) {
+            return;
+        }
+        const simulation = this.particleSimulation;
+        const { gpuCompute, positionVariable, velocityVariable, respawnSeed } = simulation;
+        
+        const targetStep = Math.floor(time / this.particleTimeStep + 1e-6);
+        let steps = 0;
+        while (this.particleStepCount < targetStep && steps < maxSteps) {
+            this.particleStepCount++;
+            const seed = (this.particleStepCount * 0.618034 + respawnSeed) % 1;
+            positionVariable.material.uniforms.seed.value = seed;
+            velocityVariable.material.uniforms.seed.value = seed;
+            gpuCompute.compute();
+            steps++;
+            if (this.particleStepCount % simulation.checkpointInterval === 0) {
+                this.saveParticleCheckpoint();
+            }
+        }
+        this.particleReplaying = this.particleStepCount < targetStep && this.particleReplaying;
+        // 重建或跳转后追赶期间不绘制粒子 (重建后的检查点全部失效, 只能从初始分布积分), 追上当前时间后再显示, 不出现快进的盘面
+        this.accretionParticles.geometry.setDrawRange(0, this.particleReplaying ? 0 : this.particleDrawCount);
+        
+        this.accretionParticles.material.uniforms.texturePosition.value =
+            gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+    }
+    
+    // 导出等离线渲染在开始前等待粒子追上 time, 追赶分块进行, 每块之间让出主线程
+    async syncAccretionParticles(time) {
+        const targetStep = Math.floor(time / this.particleTimeStep + 1e-6);
+        while (this.accretionParticles && this.particleSimulation && this.particleStepCount < targetStep) {
+            this.updateAccretionParticles(time, this.particleReplaySubsteps);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    
+    // 计算 pass 只覆盖状态纹理的前 rows 行 (画质等级启用的粒子), 其余纹素停止积分
+    setParticleComputeRows(rows) {
+        const simulation = this.particleSimulation;
+        simulation.computeRows = rows;
+        [simulation.positionVariable, simulation.velocityVariable].forEach(variable => {
+            variable.renderTargets.forEach(target => {
+                target.scissor.set(0, 0, simulation.textureSize, rows);
+                target.scissorTest = rows < simulation.textureSize;
+            });
+        });
+    }
+    
+    // 当前粒子状态 (位置与速度纹理) 的副本, 用于检查点与导出前后的恢复; rows 为其中与 step 一致的行数
+    captureParticleState() {
+        const { gpuCompute, positionVariable, velocityVariable, computeRows } = this.particleSimulation;
+        const copy = variable => {
+            const target = gpuCompute.createRenderTarget();
+            gpuCompute.renderTexture(gpuCompute.getCurrentRenderTarget(variable).texture, target);
+            return target;
+        };
+        return {
+            simulation: this.particleSimulation,
+            step: this.particleStepCount,
+            rows: computeRows,
+            position: copy(positionVariable),
+            velocity: copy(velocityVariable)
+        };
+    }
+    
+    restoreParticleState(state) {
+        const { gpuCompute, positionVariable, velocityVariable } = this.particleSimulation;
+        // 恢复整张纹理, 不受计算范围的裁剪
+        const copyInto = (texture, target) => {
+            const scissorTest = target.scissorTest;
+            target.scissorTest = false;
+            gpuCompute.renderTexture(texture, target);
+            target.scissorTest = scissorTest;
+        };
+        copyInto(state.position.texture, gpuCompute.getCurrentRenderTarget(positionVariable));
+        copyInto(state.velocity.texture, gpuCompute.getCurrentRenderTarget(velocityVariable));
+        this.particleStepCount = state.step;
+        this.accretionParticles.material.uniforms.texturePosition.value =
+            gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+    }
+    
+    disposeParticleState(state) {
+        state.position.dispose();
+        state.velocity.dispose();
+    }
+    
+    // 检查点超过上限 (maxCheckpoints) 时间隔加倍, 第 0 步的检查点始终保留, 因此跳回任意时间的重新积分步数不超过一个间隔
+    saveParticleCheckpoint() {
+        const simulation = this.particleSimulation;
+        if (simulation.checkpoints.has(this.particleStepCount)) {
+            return;
+        }
+        simulation.checkpoints.set(this.particleStepCount, this.captureParticleState());
+        if (simulation.checkpoints.size > simulation.maxCheckpoints) {
+            simulation.checkpointInterval *= 2;
+            simulation.checkpoints.forEach((state, step) => {
+                if (step % simulation.checkpointInterval !== 0) {
+                    this.disposeParticleState(state);
+                    simulation.checkpoints.delete(step);
+                }
+            });
+        }
+    }
+    
+    // 恢复到 targetStep 之前最近的检查点; 检查点须覆盖当前全部计算行 (第 0 步的检查点总是完整的)
+    rewindParticles(targetStep) {
+        const simulation = this.particleSimulation;
+        let nearest = 0;
+        simulation.checkpoints.forEach((state, step) => {
+            if (step <= targetStep && step > nearest && state.rows >= simulation.computeRows) {
+                nearest = step;
+            }
+        });
+        this.restoreParticleState(simulation.checkpoints.get(nearest));
+    }
+    
+    // 跳转到模拟时间 time: 跳回较早的时间时粒子从之前最近的检查点恢复, 跳到较晚的时间时从当前状态继续积分;
+    // 剩余的步数在之后的帧中按 particleReplaySubsteps 追赶, 保证与连续播放到该时间的画面一致
+    setTime(time) {
+        this.clock.setTime(Math.max(0, time));
+        this.time = this.clock.time;
+        if (this.particleSimulation) {
+            const targetStep = Math.floor(this.time / this.particleTimeStep + 1e-6);
+            if (targetStep < this.particleStepCount) {
+                this.rewindParticles(targetStep);
+            }
+            this.particleReplaying = this.particleStepCount < targetStep;
+        }
+        this.updateAnimatedObjects();
+    }
+    
+    // 与 PointsMaterial 的距离衰减一致: 以绘制缓冲区半高作为点大小比例
+    // 分块渲染时以完整图像的高度为准
+    getPointScale() {
+        const view = this.camera.view;
+        const height = view && view.enabled ? view.fullHeight : this.height;
+        return height * this.renderer.getPixelRatio() * 0.5;
+    }
+    
+    // 在当前模拟时刻触发脚本事件 (默认潮汐瓦解), options 覆盖事件的参数; 正在播放的事件被替换
+    triggerEvent(type = 'tde', options = {}) {
+        const EventType = SCRIPTED_EVENTS[type];
+        if (!EventType) {
+            console.warn(`未知的脚本事件 ${type}`);
+            return null;
+        }
+        this.stopEvent();
+        this.scriptedEvent = new EventType({
+            scene: this.scene,
+            // 同时位于两个图层: 黑洞后方的部分随背景经过透镜, 前方的部分作为前景叠加
+            layers: [this.foregroundLayer, this.backgroundLayer],
+            uniforms: { ...this.observerUniforms, ...this.eventObjectUniforms },
+            random: createRandom(this.seed, RANDOM_STREAMS.events),
+            blackHoleMass: this.blackHoleMass,
+            horizonRadius: this.eventHorizonRadius,
+            massSolar: this.blackHoleMassSolar,
+            spin: this.blackHoleSpin,
+            eddingtonRatio: this.eddingtonRatio,
+            params: this.getParams()
+        }, options);
+        this.scriptedEventType = type;
+        this.scriptedEventStart = this.time;
+        this.updateScriptedEvent();
+        return this.scriptedEvent;
+    }
+    
+    // T 键与控制面板触发的潮汐瓦解: 设定的恒星会被整体吞没时 (无自旋时太阳型恒星约在 5×10⁷ M☉ 以上), 恒星质量不变、半径放大为巨星,
+    // 使近心点落在 r_mb 的 TDE_PERICENTER_MARGIN 倍处, 事件总能看到瓦解与耀发; tdeStarRadius 参数不变
+    triggerTidalDisruption() {
+        const { tdeStarMass, tdeStarRadius, tdePenetration } = this.getParams();
+        const pericenter = tidalRadius(this.blackHoleMassSolar, tdeStarMass, tdeStarRadius) / tdePenetration;
+        const minimum = marginallyBoundRadius(this.blackHoleSpin) * TDE_PERICENTER_MARGIN;
+        if (pericenter >= minimum) {
+            return this.triggerEvent('tde');
+        }
+        // 潮汐半径与恒星半径成正比
+        const starRadius = (tdeStarRadius * minimum) / pericenter;
+        console.info(`${tdeStarRadius} R☉ 的恒星会被整体吞没, 改用 ${starRadius.toFixed(1)} R☉ 的巨星`);
+        return this.triggerEvent('tde', { starRadius });
+    }
+    
+    stopEvent() {
+        if (!this.scriptedEvent) {
+            return;
+        }
+        this.scriptedEvent.dispose();
+        this.scriptedEvent = null;
+        this.scriptedEventType = null;
+        this.eventUniforms.diskHeating.value = 1;
+    }
+    
+    // 按触发后经过的模拟时间更新事件; 跳转到触发之前时事件物体隐藏, 播放完毕后自动移除
+    updateScriptedEvent() {
+        const event = this.scriptedEvent;
+        if (!event) {
+            return;
+        }
+        this.eventObjectUniforms.pointScale.value = this.getPointScale();
+        this.eventHorizon.getWorldPosition(this.eventObjectUniforms.blackHolePos.value);
+        if (!event.update(this.time - this.scriptedEventStart)) {
+            this.stopEvent();
+            return;
+        }
+        this.eventUniforms.diskHeating.value = event.diskHeating;
+    }
+    
+    // 从 position (默认为相机位置) 沿 direction (默认为视线方向) 以 speed (相对当地静止观测者, 以光速为单位) 发射探测器
+    // 测地线按史瓦西度规计算; 半径与物理量读数的相机距离同样经由 toBoyerLindquist 换算
+    launchProbe({ speed = this.probeSpeed, position = this.camera.position, direction = null } = {}) {
+        const offset = this._probeTmpVecA.copy(position).sub(this.blackHoleGroup.position);
+        // 史瓦西视界 (2M) 的 1.1 倍以内不发射
+        if (this.toBoyerLindquist(offset).r < 2.2) {
+            console.warn('发射点离视界太近, 无法发射探测器');
+            return null;
+        }
+        const launchDirection = direction ? this._probeTmpVecB.copy(direction) : this.camera.getWorldDirection(this._probeTmpVecB);
+        const probe = new Probe({
+            group: this.probeGroup,
+            layer: this.foregroundLayer,
+            prepareMaterial: material => this.applyObserverAberration(material),
+            blackHoleMass: this.blackHoleMass,
+            toRadius: launchOffset => this.toBoyerLindquist(launchOffset).r,
+            toSceneDistance: (r, radial) => this.toSceneDistance(r, radial)
+        }, {
+            position: offset,
+            direction: launchDirection,
+            speed: THREE.MathUtils.clamp(speed, 0, 0.99)
+        });
+        probe.launchTime = this.time;
+        this.probes.push(probe);
+        while (this.probes.length > MAX_PROBES) {
+            this.probes.shift().dispose();
+        }
+        this.updateProbes();
+        return probe;
+    }
+    
+    clearProbes() {
+        this.probes.forEach(probe => probe.dispose());
+        this.probes = [];
+    }
+    
+    // 时间跳回发射之前、逃逸或信号消失的探测器被移除
+    updateProbes() {
+        if (this.probes.length === 0) {
+            return;
+        }
+        const observer = this._probeTmpVecA.copy(this.camera.position).sub(this.blackHoleGroup.position);
+        this.probes = this.probes.filter(probe => {
+            const elapsed = this.time - probe.launchTime;
+            if (elapsed >= 0 && probe.update(elapsed * this.probeTimeScale, observer)) {
+                return true;
+            }
+            probe.dispose();
+            return false;
+        });
+    }
+    
+    // 双黑洞: 开关或参数变化后重新创建伴星, 旋近从当前模拟时刻、初始间距重新开始
+    resetBinary() {
+        this.disposeCompanion();
+        this.binaryStartTime = this.time;
+        this.binaryState = null;
+        if (this.binary) {
+            this.createCompanion();
+        }
+        this.updateBinary();
+    }
+    
+    // 伴星: 视界 (与主黑洞相同, 网格半径取真实视界的 1.5 倍) 与截断在洛希瓣内的小吸积盘
+    // 同时位于两个图层, 测地线模式中位于主黑洞后方时绘入星空立方体贴图, 随背景一起被主黑洞透镜
+    createCompanion() {
+        this.companionGroup = new THREE.Group();
+        const horizonMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+        this.applyObserverAberration(horizonMaterial);
+        this.companionHorizon = new THREE.Mesh(
+            new THREE.SphereGeometry(this.companionHorizonRadius, this.segmentCount(48), this.segmentCount(24)),
+            horizonMaterial
+        );
+        this.companionHorizon.userData.segments = [48, 24];
+        this.companionGroup.add(this.companionHorizon);
+        
+        // 间距过小时洛希瓣容不下 ISCO 以外的盘面, 伴星没有小盘
+        if (this.companionDiskOuterRadius > this.companionDiskInnerRadius * 1.1) {
+            this.companionDisk = new THREE.Mesh(
+                new THREE.RingGeometry(
+                    this.companionDiskInnerRadius,
+                    this.companionDiskOuterRadius,
+                    this.segmentCount(96),
+                    this.segmentCount(16)
+                ),
+                this.createDiskMaterial(this.companionDiskInnerRadius, this.companionDiskOuterRadius)
+            );
+            this.companionDisk.userData.segments = [96, 16];
+            this.companionDisk.rotation.x = Math.PI / 2;
+            this.companionGroup.add(this.companionDisk);
+        }
+        this.companionGroup.children.forEach(mesh => {
+            mesh.layers.set(this.foregroundLayer);
+            mesh.layers.enable(this.backgroundLayer);
+        });
+        this.scene.add(this.companionGroup);
+        this.updateDiskUniforms();
+    }
+    
+    disposeCompanion() {
+        if (!this.companionGroup) {
+            return;
+        }
+        this.disposeObject(this.companionHorizon);
+        this.disposeObject(this.companionDisk);
+        this.companionGroup.removeFromParent();
+        this.companionGroup = null;
+        this.companionHorizon = null;
+        this.companionDisk = null;
+    }
+    
+    // 两个黑洞绕质心沿圆轨道公转 (与盘面同向), 间距按引力波辐射 (Peters 公式) 收缩, 进入总质量的 ISCO 后合并
+    // binaryTimeScale 为每动画秒对应的几何时间 (M), binaryInspiralScale 按比例加快辐射反作用, 使旋近在动画中可见
+    // 是否已合并只由模拟时间决定, 时间跳回合并之前时恢复双黑洞
+    updateBinary() {
+        if (!this.binary) {
+            this.binaryState = null;
+            this.blackHoleGroup.position.set(0, 0, 0);
+            this.updateBlackHolePosition();
+            return;
+        }
+        const q = this.companionMassRatio;
+        const a0 = this.binaryInitialSeparation;
+        const scale = Math.max(this.binaryInspiralScale, 1e-6);
+        const elapsed = Math.max(this.time - this.binaryStartTime, 0) * this.binaryTimeScale;
+        // 辐射反作用加快 scale 倍时, 间距按 scale·t 演化, 相位由当时的开普勒角速度积分
+        const inspiral = elapsed * scale;
+        const merged = inspiral >= mergerTime(a0, q);
+        if (merged !== Boolean(this.binaryProgenitor)) {
+            this.setBinaryMerged(merged);
+        }
+        if (merged) {
+            this.binaryState = null;
+            this.blackHoleGroup.position.set(0, 0, 0);
+            this.updateBlackHolePosition();
+            return;
+        }
+        const M = this.blackHoleMass;
+        const separation = binarySeparation(a0, q, inspiral);
+        const phase = binaryPhase(a0, q, inspiral) / scale;
+        this.binaryState = { separation, phase };
+        
+        const direction = this._lensTmpVecE.set(Math.cos(phase), 0, Math.sin(phase)).multiplyScalar(separation * M / (1 + q));
+        this.blackHoleGroup.position.copy(direction).multiplyScalar(-q);
+        this.companionGroup.position.copy(direction);
+        this.updateBlackHolePosition();
+        if (this.companionDisk) {
+            this.companionDisk.material.uniforms.blackHolePos.value.copy(this.companionGroup.position);
+            this.companionDisk.material.uniforms.time.value = this.time;
+        }
+    }
+    
+    // 主黑洞随 blackHoleGroup 移动, 以黑洞为中心计算的着色器同步其位置
+    updateBlackHolePosition() {
+        [this.accretionDisk, this.diskVolume, this.jetVolume, this.accretionParticles].forEach(object => {
+            if (object) {
+                object.material.uniforms.blackHolePos.value.copy(this.blackHoleGroup.position);
+            }
+        });
+    }
+    
+    // 合并: 剩余黑洞位于质心, 质量为总质量减去引力波带走的能量, 自旋取数值相对论拟合; 以之取代双黑洞
+    // 只替换当前显示的黑洞, 参数仍为合并前的值 (见 getParams); 分开时恢复主黑洞并重新创建伴星
+    setBinaryMerged(merged) {
+        if (merged) {
+            const q = this.companionMassRatio;
+            const massScale = (1 + q) * (1 - radiatedEnergyFraction(q));
+            this.binaryProgenitor = {
+                schwarzschildRadius: this.blackHoleRadius,
+                massSolar: this.blackHoleMassSolar,
+                spin: this.blackHoleSpin
+            };
+            this.blackHoleRadius *= massScale;
+            this.blackHoleMassSolar *= massScale;
+            this.blackHoleSpin = remnantSpin(q);
+            this.disposeCompanion();
+        } else {
+            this.restoreBinaryProgenitor();
+        }
+        // 与 setParams 修改质量、自旋时相同: 结束事件、移除探测器并重建黑洞
+        this.stopEvent();
+        this.clearProbes();
+        this.updateBlackHoleRadii();
+        this.rebuildBlackHole();
+        if (!merged) {
+            this.createCompanion();
+        }
+        this.updateDiskUniforms();
+        this.updateVolumeUniforms();
+    }
+    
+    restoreBinaryProgenitor() {
+        Object.entries(this.binaryProgenitor).forEach(([key, value]) => {
+            this[PARAM_FIELDS[key]] = value;
+        });
+        this.binaryProgenitor = null;
+    }
+    
+    // 脚本事件的物体按与黑洞中心的前后位置分成两部分: side 为 1 时只绘制后方 (进入透镜背景), -1 只绘制前方, 0 全部绘制
+    setLensSplit(side, camera = this.camera) {
+        this.eventObjectUniforms.lensSplitSide.value = side;
+        this.eventObjectUniforms.lensSplitCamera.value.copy(camera.position);
+    }
+    
+    setRelativisticEffects({ dopplerBeaming = this.dopplerBeaming, gravitationalRedshift = this.gravitationalRedshift } = {}) {
+        this.setParams({ dopplerBeaming, gravitationalRedshift });
+    }
+    
+    // 内置材质的顶点按观测者光行差偏移, 与自定义着色器中的 observerApparentPosition 一致
+    applyObserverAberration(material) {
+        material.onBeforeCompile = shader => {
+            shader.uniforms.observerVelocity = this.observerUniforms.observerVelocity;
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>\n${observerMotionChunk}`)
+                .replace('#include <project_vertex>', `#include <project_vertex>
+                    gl_Position = projectionMatrix * viewMatrix * vec4(observerApparentPosition((modelMatrix * vec4(transformed, 1.0)).xyz), 1.0);`);
+        };
+    }
+    
+    // 相机跳变 (重置视角、开始回放路径、导出) 后重新开始测量速度
+    resetObserverVelocity() {
+        this.observerVelocity.set(0, 0, 0);
+        this.observerUniforms.observerVelocity.value.set(0, 0, 0);
+        this._observerLastPosition = null;
+    }
+    
+    // 观测者速度 (以光速为单位), delta 为相机运动的时间步长
+    // camera 模式: 相机位移按 orbitalTimeScale (场景单位/秒 的光速) 换算并乘以 observerSpeedScale, 再做指数平滑
+    // orbit 模式: 当地顺行圆轨道相对 ZAMO 的速度, 沿吸积盘公转方向 (自旋不为零时按赤道面公式近似)
+    updateObserverVelocity(delta) {
+        const position = this.camera.position;
+        const velocity = this.observerVelocity;
+        if (this.observerMotion === 'camera') {
+            if (delta > 0 && this._observerLastPosition) {
+                const measured = this._observerTmpVecA.subVectors(position, this._observerLastPosition)
+                    .multiplyScalar(this.observerSpeedScale / (this.orbitalTimeScale * delta));
+                velocity.lerp(measured, 1 - Math.exp(-delta / this.observerSmoothingTime));
+            }
+        } else if (this.observerMotion === 'orbit') {
+            const offset = this.eventHorizon.getWorldPosition(this._observerTmpVecA).negate().add(position);
+            velocity.set(-offset.z, 0, offset.x);
+            if (velocity.lengthSq() < 1e-8) {
+                // 相机位于极轴上, 任取相机右方
+                velocity.set(1, 0, 0).applyQuaternion(this.camera.quaternion);
+            }
+            velocity.normalize().multiplyScalar(circularOrbitSpeed(offset.length() / this.blackHoleMass, this.blackHoleSpin));
+        } else {
+            velocity.set(0, 0, 0);
+        }
+        
+        const maxSpeed = THREE.MathUtils.clamp(this.maxObserverSpeed, 0, 0.999);
+        if (velocity.length() > maxSpeed) {
+            velocity.setLength(maxSpeed);
+        }
+        this._observerLastPosition = (this._observerLastPosition || new THREE.Vector3()).copy(position);
+        this.observerUniforms.observerVelocity.value.copy(velocity);
+    }
+    
+    // 世界空间中的点在运动观测者眼中的位置 (就地修改并返回 point)
+    observerApparentPosition(point, camera = this.camera) {
+        const offset = this._observerTmpVecB.copy(point).sub(camera.position);
+        const range = offset.length();
+        if (range > 1e-6) {
+            aberrateDirection(offset.divideScalar(range), this.observerVelocity, point)
+                .multiplyScalar(range)
+                .add(camera.position);
+        }
+        return point;
+    }
+    
+    // 画质等级对应的各项设置
+    setQualityFields(tier) {
+        const settings = QUALITY_SETTINGS[tier];
+        this.qualityTier = tier;
+        this.lensResolutionScale = settings.lensResolution;
+        this.particleFraction = settings.particleFraction;
+        this.geometryDetail = settings.geometryDetail;
+        this.volumeSteps = settings.volumeSteps;
+    }
+    
+    // 切换画质等级: 像素比与透镜渲染目标随尺寸更新, 粒子绘制数量与网格分段数立即更新
+    applyQualityTier(tier) {
+        const previousDetail = this.geometryDetail;
+        this.setQualityFields(tier);
+        this.qualityGovernor.level = QUALITY_TIERS.indexOf(tier);
+        if (this.geometryDetail !== previousDetail) {
+            this.updateGeometryDetail();
+        }
+        this.updateParticleDrawRange();
+        this.updateVolumeUniforms();
+        if (!this.exporting) {
+            this.setRenderSize(this.width, this.height);
+        }
+    }
+    
+    getDisplayPixelRatio() {
+        return Math.min(window.devicePixelRatio, QUALITY_SETTINGS[this.qualityTier].pixelRatio);
+    }
+    
+    // 透镜渲染目标以绘制缓冲的像素为单位, 按画质等级缩放
+    getLensTargetSize() {
+        const pixelRatio = this.renderer ? this.renderer.getPixelRatio() : 1;
+        const scale = pixelRatio * this.lensResolutionScale;
+        return [Math.max(1, Math.round(this.width * scale)), Math.max(1, Math.round(this.height * scale))];
+    }
+    
+    // 球体与圆环的分段数随画质等级缩放, 基准分段数记在 userData 中以便重建
+    segmentCount(base) {
+        return Math.max(Math.min(base, 8), Math.round(base * this.geometryDetail));
+    }
+    
+    updateGeometryDetail() {
+        const meshes = [
+            this.eventHorizon,
+            this.blackHoleGlow,
+            ...(this.distortionRings || []),
+            this.accretionDisk,
+            this.companionHorizon,
+            this.companionDisk
+        ];
+        meshes.forEach(mesh => {
+            if (!mesh) {
+                return;
+            }
+            const { parameters } = mesh.geometry;
+            const [a, b] = mesh.userData.segments;
+            const geometry = mesh.geometry.type === 'SphereGeometry'
+                ? new THREE.SphereGeometry(parameters.radius, this.segmentCount(a), this.segmentCount(b))
+                : new THREE.RingGeometry(parameters.innerRadius, parameters.outerRadius, this.segmentCount(a), this.segmentCount(b));
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+        });
+    }
+    
+    // 只绘制前一部分粒子 (粒子随机分布, 前 N 个即随机子集), 点大小按面积守恒放大, 总亮度不变
+    // 画质等级只模拟并绘制前 drawCount 个粒子: 计算 pass 裁剪到它们所在的纹理行
+    // 启用的行增加时, 新启用的行在停算期间没有积分, 整张纹理从覆盖这些行的检查点重新积分到当前步
+    updateParticleDrawRange() {
+        if (!this.accretionParticles || !this.particleSimulation) {
+            return;
+        }
+        const simulation = this.particleSimulation;
+        const particleCount = Math.max(1, Math.floor(this.particleCount));
+        const drawCount = Math.max(1, Math.round(particleCount * this.particleFraction));
+        const rows = Math.ceil(drawCount / simulation.textureSize);
+        if (rows > simulation.computeRows) {
+            const currentStep = this.particleStepCount;
+            this.setParticleComputeRows(rows);
+            this.rewindParticles(currentStep);
+            this.particleReplaying = this.particleStepCount < currentStep || this.particleReplaying;
+        } else if (rows < simulation.computeRows) {
+            this.setParticleComputeRows(rows);
+        }
+        this.particleDrawCount = drawCount;
+        this.accretionParticles.geometry.setDrawRange(0, this.particleReplaying ? 0 : drawCount);
+        this.accretionParticles.material.uniforms.particleScale.value =
+            2 * Math.sqrt(Math.min(1, REFERENCE_PARTICLE_COUNT / drawCount));
+    }
+    
+    createGravitationalLensing() {
+        // 创建背景星空的渲染目标
+        const [lensWidth, lensHeight] = this.getLensTargetSize();
+        this.backgroundRenderTarget = new THREE.WebGLRenderTarget(
+            lensWidth,
+            lensHeight,
+            {
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter,
+                format: THREE.RGBAFormat,
+                type: THREE.HalfFloatType,
+                depthBuffer: false
+            }
+        );
+        
+        // 创建用于引力透镜效果的场景
+        this.lensScene = new THREE.Scene();
+        this.lensCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        
+        // 双黑洞中较远的黑洞及其吸积盘单独绘制到该目标 (透明背景, 视界需要深度遮挡其后方的盘面), 只经较近黑洞的透镜偏折
+        this.binaryRenderTarget = new THREE.WebGLRenderTarget(lensWidth, lensHeight, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType
+        });
+        
+        // 引力透镜着色器: 最多 MAX_LENSES 个透镜的偏折叠加 (薄透镜近似), 第 0 个为主黑洞, 其阴影按自旋变形
+        const lensMaterial = new THREE.ShaderMaterial({
+            defines: {
+                SHADOW_SAMPLES: SHADOW_SAMPLES,
+                MAX_LENSES: MAX_LENSES
+            },
+            uniforms: {
+                tBackground: { value: this.backgroundRenderTarget.texture },
+                tFarLayer: { value: this.binaryRenderTarget.texture },
+                farLayer: { value: 0 },
+                lensCount: { value: 1 },
+                lensPositions: { value: Array.from({ length: MAX_LENSES }, () => this.blackHoleScreenPosition.clone()) },
+                lensRadii: { value: new Float32Array(MAX_LENSES).fill(this.blackHoleScreenRadius) },
+                lensFront: { value: new Float32Array(MAX_LENSES).fill(1) },
+                lensStrength: { value: this.lensStrengthBase },
+                resolution: { value: new THREE.Vector2(this.width, this.height) },
+                shadowShape: { value: new Float32Array(SHADOW_SAMPLES).fill(1) },
+                shadowAngle: { value: 0 },
+                time: { value: 0 }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D tBackground;
+                uniform sampler2D tFarLayer;       // 较远的黑洞及其吸积盘 (预乘透明度)
+                uniform float farLayer;            // 1: 叠加 tFarLayer
+                uniform int lensCount;
+                uniform vec2 lensPositions[MAX_LENSES];
+                uniform float lensRadii[MAX_LENSES];
+                uniform float lensFront[MAX_LENSES];   // 1: 该透镜位于较远的黑洞之前, 同样偏折 tFarLayer
+                uniform float lensStrength;
+                uniform vec2 resolution;
+                uniform float shadowShape[SHADOW_SAMPLES];
+                uniform float shadowAngle;
+                uniform float time;
+                varying vec2 vUv;
+                
+                // 阴影边界半径 (相对史瓦西阴影), 克尔黑洞为 D 形
+                float shadowScale(vec2 offset) {
+                    float angle = atan(offset.y, offset.x) - shadowAngle;
+                    float f = fract(angle / 6.28318530718) * float(SHADOW_SAMPLES);
+                    int i0 = int(floor(f));
+                    int i1 = i0 + 1 >= SHADOW_SAMPLES ? 0 : i0 + 1;
+                    return mix(shadowShape[i0], shadowShape[i1], fract(f));
+                }
+                
+                void main() {
+                    // 按宽高比校正, 使屏幕上的距离各向同性 (以纹理 v 方向为单位)
+                    float aspect = resolution.x / resolution.y;
+                    vec2 offset = vec2(0.0);
+                    vec2 farOffset = vec2(0.0);
+                    float glow = 0.0;
+                    bool shadowed = false;
+                    bool farShadowed = false;
+
+                    for (int i = 0; i < MAX_LENSES; i++) {
+                        if (i >= lensCount) {
+                            break;
+                        }
+                        float eventHorizon = lensRadii[i];
+                        if (eventHorizon <= 0.0) {
+                            continue;
+                        }
+                        vec2 delta = (vUv - lensPositions[i]) * vec2(aspect, 1.0);
+                        float distance = length(delta);
+                        float influenceRadius = eventHorizon * 8.0;
+
+                        if (distance < eventHorizon * (i == 0 ? shadowScale(delta) : 1.0)) {
+                            shadowed = true;
+                            farShadowed = farShadowed || lensFront[i] > 0.5;
+                            continue;
+                        }
+
+                        float falloff = 1.0 - smoothstep(eventHorizon, influenceRadius, distance);
+                        float safeDistance = max(distance, eventHorizon * 0.75);
+                        vec2 direction = delta / distance;
+                        direction.x /= aspect;
+                        float deflection = lensStrength * (eventHorizon * eventHorizon) / (safeDistance * safeDistance + eventHorizon * eventHorizon);
+                        offset += direction * deflection * falloff;
+                        farOffset += direction * deflection * falloff * lensFront[i];
+                        glow += falloff;
+                    }
+
+                    vec3 color = vec3(0.0);
+                    if (!shadowed) {
+                        vec2 finalUV = clamp(vUv - offset, vec2(0.001), vec2(0.999));
+                        color = texture2D(tBackground, finalUV).rgb * (1.0 + glow * 0.15);
+                    }
+                    // 较远的黑洞不偏折它自己的视界与吸积盘, 只被前方的透镜偏折与遮挡
+                    if (farLayer > 0.5 && !farShadowed) {
+                        vec4 far = texture2D(tFarLayer, clamp(vUv - farOffset, vec2(0.001), vec2(0.999)));
+                        color = color * (1.0 - clamp(far.a, 0.0, 1.0)) + far.rgb;
+                    }
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `
+        });
+        
+        // 创建全屏四边形
+        const lensGeometry = new THREE.PlaneGeometry(2, 2);
+        this.lensMesh = new THREE.Mesh(lensGeometry, lensMaterial);
+        this.lensMesh.frustumCulled = false;
         this.lensScene.add(this.lensMesh);
         this.lensMaterial = lensMaterial;
+    }
+    
+    createGeodesicLensing() {
+        // 星空立方体贴图: 逃逸光线按最终方向采样, 只渲染背景图层
+        this.skyCubeRenderTarget = new THREE.WebGLCubeRenderTarget(this.skyCubeSize, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            type: THREE.HalfFloatType,
+            generateMipmaps: false
+        });
+        this.skyCubeCamera = new THREE.CubeCamera(1, 2000, this.skyCubeRenderTarget);
+        this.skyCubeCamera.children.forEach(cam => cam.layers.set(this.backgroundLayer));
+        
+        // 测地线透镜着色器 (逐像素积分史瓦西零测地线)
+        const geodesicMaterial = new THREE.ShaderMaterial({
+            defines: {},
+            uniforms: {
+                tSky: { value: this.skyCubeRenderTarget.texture },
+                cameraWorldMatrix: { value: new THREE.Matrix4() },
+                cameraProjectionInverse: { value: new THREE.Matrix4() },
+                cameraWorldPosition: { value: new THREE.Vector3() },
+                blackHolePos: { value: new THREE.Vector3() },
+                schwarzschildRadius: { value: this.blackHoleRadius },
+                innerRadius: { value: this.accretionDiskInnerRadius },
+                outerRadius: { value: this.accretionDiskOuterRadius },
+                stepScale: { value: this.geodesicStepScale },
+                time: { value: 0 },
+                ...this.createDiskUniforms(),
+                ...this.volumeUniforms
+            },
+            vertexShader: geodesicLensingVertexShader,
+            fragmentShader: geodesicLensingFragmentShader,
+            depthWrite: false,
+            depthTest: false
+        });
+        
+        this.geodesicScene = new THREE.Scene();
+        this.geodesicMesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), geodesicMaterial);
+        this.geodesicMesh.frustumCulled = false;
+        this.geodesicScene.add(this.geodesicMesh);
+        
+        // 画质等级降低时测地线在较低分辨率下追踪, 再放大到后期缓冲
+        const [lensWidth, lensHeight] = this.getLensTargetSize();
+        this.geodesicRenderTarget = new THREE.WebGLRenderTarget(lensWidth, lensHeight, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            type: THREE.HalfFloatType,
+            depthBuffer: false
+        });
+        this.geodesicUpscaleScene = new THREE.Scene();
+        const upscaleMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(2, 2),
+            new THREE.MeshBasicMaterial({
+                map: this.geodesicRenderTarget.texture,
+                depthTest: false,
+                depthWrite: false,
+                toneMapped: false
+            })
+        );
+        upscaleMesh.frustumCulled = false;
+        this.geodesicUpscaleScene.add(upscaleMesh);
+        this.updateGeodesicDefines();
+    }
+    
+    // HDR 后期处理链: 引力透镜 → 泛光 → 变形镜头眩光 → 色差 → 胶片颗粒与暗角 → 色调映射输出
+    // 链中的缓冲为半精度浮点并启用多重采样, 场景材质写入线性 HDR 值, 只在最后的 OutputPass 中做 ACES 色调映射与 sRGB 编码
+    createPostProcessing() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const target = new THREE.WebGLRenderTarget(size.x, size.y, { type: THREE.HalfFloatType, samples: 4 });
+        this.composer = new EffectComposer(this.renderer, target);
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(this.width, this.height);
+        
+        // 渲染目标在完整图像中的范围, 分块导出时各效果据此保持连续
+        this.postViewRect = new THREE.Vector4(0, 0, 1, 1);
+        
+        this.lensingPass = new LensingPass(target => this.renderOutput(target));
+        this.multiView = new MultiViewRenderer((target, camera) => this.renderLensedScene(target, camera));
+        this.bloomPass = new BloomPass(this.postViewRect);
+        this.glarePass = new AnamorphicGlarePass(this.postViewRect);
+        this.chromaticAberrationPass = new ShaderPass(createPostMaterial(chromaticAberrationShader, {
+            tDiffuse: { value: null },
+            viewRect: { value: this.postViewRect },
+            strength: { value: 0 }
+        }));
+        this.filmGrainPass = new ShaderPass(createPostMaterial(filmGrainShader, {
+            tDiffuse: { value: null },
+            viewRect: { value: this.postViewRect },
+            aspect: { value: 1 },
+            grainIntensity: { value: 0 },
+            vignetteIntensity: { value: 0 },
+            seed: { value: 0 }
+        }));
+        this.outputPass = new OutputPass();
+        
+        this.postPasses = [
+            this.lensingPass,
+            this.bloomPass,
+            this.glarePass,
+            this.chromaticAberrationPass,
+            this.filmGrainPass,
+            this.outputPass
+        ];
+        this.postPasses.forEach(pass => this.composer.addPass(pass));
+        this.updatePostProcessing();
+    }
+    
+    // 各效果的开关与参数
+    updatePostProcessing() {
+        this.bloomPass.enabled = this.bloom;
+        this.bloomPass.strength = this.bloomStrength;
+        this.bloomPass.threshold = this.bloomThreshold;
+        this.bloomPass.radius = THREE.MathUtils.clamp(this.bloomRadius, 0, 1);
+        
+        this.glarePass.enabled = this.glare;
+        this.glarePass.strength = this.glareStrength;
+        this.glarePass.threshold = this.glareThreshold;
+        this.glarePass.length = this.glareLength;
+        
+        this.chromaticAberrationPass.enabled = this.chromaticAberration;
+        this.chromaticAberrationPass.uniforms.strength.value = this.chromaticAberrationStrength;
+        
+        this.filmGrainPass.enabled = this.filmGrain;
+        this.filmGrainPass.uniforms.grainIntensity.value = this.grainIntensity;
+        this.filmGrainPass.uniforms.vignetteIntensity.value = this.vignetteIntensity;
+    }
+    
+    // 每帧随相机视口与时间变化的后期 uniforms
+    updatePostProcessingUniforms() {
+        const view = this.camera.view;
+        if (view && view.enabled) {
+            this.postViewRect.set(
+                view.offsetX / view.fullWidth,
+                1 - (view.offsetY + view.height) / view.fullHeight,
+                view.width / view.fullWidth,
+                view.height / view.fullHeight
+            );
+        } else {
+            this.postViewRect.set(0, 0, 1, 1);
+        }
+        const uniforms = this.filmGrainPass.uniforms;
+        uniforms.aspect.value = view && view.enabled ? view.fullWidth / view.fullHeight : this.width / this.height;
+        uniforms.seed.value = this.time * 0.618034;
+    }
+    
+    // 自旋为零时使用更便宜的史瓦西积分器; 厚盘与喷流只在开启时编译进着色器
+    updateGeodesicDefines() {
+        const material = this.geodesicMesh.material;
+        const defines = {
+            KERR: this.blackHoleSpin > 0,
+            THICK_DISK: this.diskModel === 'thick',
+            JETS: this.jets
+        };
+        Object.entries(defines).forEach(([name, enabled]) => {
+            if (enabled !== (name in material.defines)) {
+                if (enabled) {
+                    material.defines[name] = '';
+                } else {
+                    delete material.defines[name];
+                }
+                material.needsUpdate = true;
+            }
+        });
+    }
+    
+    createCamera() {
+        this.camera = new THREE.PerspectiveCamera(75, this.width / this.height, 0.1, 2000);
+        this.camera.position.set(0, 15, 30);
+        this.camera.lookAt(0, 0, 0);
+
+        // 默认启用前景与背景图层
+        this.camera.layers.enable(this.foregroundLayer);
+        this.camera.layers.enable(this.backgroundLayer);
+    }
+    
+    createRenderer() {
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            powerPreference: "high-performance"
+        });
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(this.getDisplayPixelRatio());
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = this.exposure;
+        
+        // 画布可聚焦, 键盘快捷键只在画布获得焦点时生效
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.style.outline = 'none';
+        canvas.style.touchAction = 'none';
+    }
+    
+    createControls() {
+        // 球坐标轨道控制: 相机位于目标点 cameraTarget 周围的 (cameraRadius, cameraTheta, cameraPhi)
+        this.cameraTarget = new THREE.Vector3(0, 0, 0);
+        this.cameraRadius = 30;
+        this.cameraTheta = 0;
+        this.cameraPhi = Math.PI / 2;
+        
+        // 尚未应用的输入增量, 每帧按阻尼比例应用一部分, 剩余部分形成惯性
+        this.pendingCameraMotion = {
+            theta: 0,
+            phi: 0,
+            zoom: 0,                    // 距离的对数变化
+            pan: new THREE.Vector2()    // 屏幕像素
+        };
+        this._cameraPanOffset = new THREE.Vector3();
+        
+        // 相机路径: 录制中的关键帧与正在回放的路径
+        this.cameraPathRecording = null;
+        this.cameraPathPlayback = null;
+        this._cameraPathPose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 75 };
+    }
+    
+    // 以当前相机姿态追加关键帧, 时间取自开始录制以来经过的模拟时间
+    recordCameraKeyframe() {
+        if (!this.cameraPathRecording) {
+            this.cameraPathRecording = { startTime: this.time, keyframes: [] };
+        }
+        // 时钟暂停 (模拟时间没有超过上一个关键帧) 时连续记录的关键帧之间按 1 秒间隔排开, 其余按实际经过的时间
+        const keyframes = this.cameraPathRecording.keyframes;
+        const elapsed = this.time - this.cameraPathRecording.startTime;
+        const previous = keyframes[keyframes.length - 1];
+        keyframes.push({
+            time: !previous ? 0 : elapsed <= previous.time ? previous.time + 1 : elapsed,
+            position: this.camera.position.toArray(),
+            target: this.cameraTarget.toArray(),
+            fov: this.camera.fov
+        });
+        return keyframes.length;
+    }
+    
+    clearCameraRecording() {
+        this.cameraPathRecording = null;
+    }
+    
+    // 录制结果 (场景单位), 可直接 JSON.stringify 保存
+    getRecordedCameraPath() {
+        if (!this.cameraPathRecording) {
+            return null;
+        }
+        return { name: '录制路径', units: 'scene', easing: 'linear', keyframes: this.cameraPathRecording.keyframes };
+    }
+    
+    // 回放相机路径 (对象或 JSON 字符串); 时间由模拟时钟驱动, 与刷新率无关, 导出时也按相同时间渲染
+    playCameraPath(path = APPROACH_GARGANTUA, { loop = false } = {}) {
+        this.cameraPathPlayback = { path: parseCameraPath(path), startTime: this.time, loop };
+        this.resetObserverVelocity();
+    }
+    
+    // 停止回放, 轨道控制从当前相机姿态继续
+    stopCameraPath() {
+        if (!this.cameraPathPlayback) {
+            return;
+        }
+        this.cameraPathPlayback = null;
+        const offset = this._cameraPanOffset.copy(this.camera.position).sub(this.cameraTarget);
+        this.cameraRadius = Math.max(offset.length(), 1e-3);
+        this.cameraPhi = Math.acos(THREE.MathUtils.clamp(offset.y / this.cameraRadius, -1, 1));
+        this.cameraTheta = Math.atan2(offset.z, offset.x);
+    }
+    
+    // 播放结束后停在最后一帧, 直到用户操作相机
+    updateCameraPath() {
+        const { path, startTime, loop } = this.cameraPathPlayback;
+        const duration = cameraPathDuration(path);
+        let time = Math.max(0, this.time - startTime);
+        if (duration > 0) {
+            time = loop ? time % duration : Math.min(time, duration);
+        }
         
-        // 修改渲染器设置以支持多通道渲染
-        this.enableLensing = true;
+        const pose = sampleCameraPath(path, time, this._cameraPathPose);
+        const scale = path.units === 'M' ? this.blackHoleMass : 1;
+        this.cameraTarget.copy(pose.target).multiplyScalar(scale);
+        this.camera.position.copy(pose.position).multiplyScalar(scale);
+        this.camera.lookAt(this.cameraTarget);
+        if (this.camera.fov !== pose.fov) {
+            this.camera.fov = pose.fov;
+            this.camera.updateProjectionMatrix();
+        }
     }
     
-    createCamera() {
-        this.camera = new THREE.PerspectiveCamera(75, this.width / this.height, 0.1, 2000);
-        this.camera.position.set(0, 15, 30);
-        this.camera.lookAt(0, 0, 0);
-
-        // 默认启用前景与背景图层
-        this.camera.layers.enable(this.foregroundLayer);
-        this.camera.layers.enable(this.backgroundLayer);
+    rotateCamera(deltaTheta, deltaPhi) {
+        this.stopCameraPath();
+        this.pendingCameraMotion.theta += deltaTheta * this.rotateSpeed;
+        this.pendingCameraMotion.phi += deltaPhi * this.rotateSpeed;
     }
     
-    createRenderer() {
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-            powerPreference: "high-performance"
-        });
-        this.renderer.setSize(this.width, this.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.0;
-        
-        this.container.appendChild(this.renderer.domElement);
+    // scale > 1 拉远, < 1 拉近
+    zoomCamera(scale) {
+        this.stopCameraPath();
+        this.pendingCameraMotion.zoom += Math.log(scale) * this.zoomSpeed;
     }
     
-    createControls() {
-        // 简单的鼠标控制
-        this.cameraTarget = new THREE.Vector3(0, 0, 0);
+    // 按屏幕像素平移目标点, 平移量随距离缩放, 使拖拽点跟随指针
+    panCamera(deltaX, deltaY) {
+        this.stopCameraPath();
+        if (this.enablePan) {
+            this.pendingCameraMotion.pan.x += deltaX * this.panSpeed;
+            this.pendingCameraMotion.pan.y += deltaY * this.panSpeed;
+        }
+    }
+    
+    resetCamera() {
+        this.cameraPathPlayback = null;
+        this.camera.fov = 75;
+        this.camera.updateProjectionMatrix();
+        this.cameraTarget.set(0, 0, 0);
         this.cameraRadius = 30;
         this.cameraTheta = 0;
         this.cameraPhi = Math.PI / 2;
+        const pending = this.pendingCameraMotion;
+        pending.theta = pending.phi = pending.zoom = 0;
+        pending.pan.set(0, 0);
+        this.resetObserverVelocity();
+    }
+    
+    // 应用输入增量并限制在配置范围内; delta 为真实帧间隔
+    applyCameraControls(delta) {
+        const pending = this.pendingCameraMotion;
+        const fraction = this.enableDamping ? 1 - Math.exp(-delta / Math.max(this.dampingTime, 1e-3)) : 1;
+        
+        this.cameraTheta += pending.theta * fraction;
+        this.cameraPhi += pending.phi * fraction;
+        this.cameraRadius *= Math.exp(pending.zoom * fraction);
+        
+        if (pending.pan.x !== 0 || pending.pan.y !== 0) {
+            // 目标点所在平面上每像素对应的世界距离
+            const worldPerPixel = 2 * this.cameraRadius * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) / this.height;
+            const offset = this._cameraPanOffset.setFromMatrixColumn(this.camera.matrix, 0)
+                .multiplyScalar(-pending.pan.x * fraction * worldPerPixel);
+            this.cameraTarget.add(offset);
+            offset.setFromMatrixColumn(this.camera.matrix, 1).multiplyScalar(pending.pan.y * fraction * worldPerPixel);
+            this.cameraTarget.add(offset);
+        }
+        
+        pending.theta *= 1 - fraction;
+        pending.phi *= 1 - fraction;
+        pending.zoom *= 1 - fraction;
+        pending.pan.multiplyScalar(1 - fraction);
+        
+        this.cameraPhi = THREE.MathUtils.clamp(this.cameraPhi, this.minPolarAngle, this.maxPolarAngle);
+        this.cameraRadius = THREE.MathUtils.clamp(this.cameraRadius, this.minDistance, this.maxDistance);
+        this.cameraTarget.clampLength(0, this.maxPanDistance);
     }
     
+    // 输入事件只绑定在本实例的画布上, 记录下来以便 dispose() 时移除
     setupEventListeners() {
-        window.addEventListener('resize', this.onWindowResize.bind(this));
-        window.addEventListener('mousemove', this.onMouseMove.bind(this));
-        window.addEventListener('mousedown', this.onMouseDown.bind(this));
-        window.addEventListener('mouseup', this.onMouseUp.bind(this));
-        window.addEventListener('wheel', this.onMouseWheel.bind(this));
-        window.addEventListener('keydown', this.onKeyDown.bind(this));
+        const canvas = this.renderer.domElement;
+        this.eventListeners = [
+            [canvas, 'pointerdown', this.onPointerDown.bind(this)],
+            [canvas, 'pointermove', this.onPointerMove.bind(this)],
+            [canvas, 'pointerup', this.onPointerUp.bind(this)],
+            [canvas, 'pointercancel', this.onPointerUp.bind(this)],
+            [canvas, 'wheel', this.onMouseWheel.bind(this), { passive: false }],
+            [canvas, 'contextmenu', event => event.preventDefault()],
+            [canvas, 'keydown', this.onKeyDown.bind(this)]
+        ];
+        this.eventListeners.forEach(([target, type, listener, options]) => {
+            target.addEventListener(type, listener, options);
+        });
+        
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+    }
+    
+    // 挂载到元素 (也可用于移动到另一个元素), 控制面板随画布一起移动
+    mount(container) {
+        this.container = container;
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        container.appendChild(this.renderer.domElement);
+        if (this.controlPanel) {
+            container.appendChild(this.controlPanel.gui.domElement);
+        }
+        
+        this.resizeObserver.disconnect();
+        this.resizeObserver.observe(container);
+        this.onResize();
     }
     
-    onWindowResize() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    onResize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === 0 || height === 0 || this.exporting) {
+            return;
+        }
+        this.setRenderSize(width, height);
+    }
+    
+    // 设置绘制尺寸, 透镜渲染目标与分辨率 uniform 随之调整 (导出时使用导出分辨率)
+    setRenderSize(width, height, pixelRatio = this.getDisplayPixelRatio(), updateStyle = true) {
+        this.width = width;
+        this.height = height;
         
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
         
-        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(this.width, this.height, updateStyle);
         
-        // 更新渲染目标大小
+        // 更新透镜渲染目标大小 (按画质等级缩放)
+        const [lensWidth, lensHeight] = this.getLensTargetSize();
         if (this.backgroundRenderTarget) {
-            this.backgroundRenderTarget.setSize(this.width, this.height);
+            this.backgroundRenderTarget.setSize(lensWidth, lensHeight);
+        }
+        if (this.geodesicRenderTarget) {
+            this.geodesicRenderTarget.setSize(lensWidth, lensHeight);
+        }
+        if (this.binaryRenderTarget) {
+            this.binaryRenderTarget.setSize(lensWidth, lensHeight);
+        }
+        
+        if (this.accretionParticles) {
+            this.accretionParticles.material.uniforms.pointScale.value = this.getPointScale();
         }
         
-        // 更新透镜效果的分辨率
-        if (this.lensMesh) {
-            this.lensMesh.material.uniforms.resolution.value.set(this.width, this.height);
+        if (this.composer) {
+            this.composer.setPixelRatio(pixelRatio);
+            this.composer.setSize(this.width, this.height);
         }
     }
     
-    onMouseMove(event) {
-        const deltaX = event.clientX - this.lastMousePosition.x;
-        const deltaY = event.clientY - this.lastMousePosition.y;
-        
-        if (this.isMouseDown) {
-            this.cameraTheta -= deltaX * 0.01;
-            this.cameraPhi += deltaY * 0.01;
-            this.cameraPhi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraPhi));
+    // 两个触点的间距与中点
+    _pinchGeometry() {
+        const [a, b] = [...this.activePointers.values()];
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            center: new THREE.Vector2((a.x + b.x) / 2, (a.y + b.y) / 2)
+        };
+    }
+    
+    // 左键 / 单指: 旋转; 右键或 Shift + 左键: 平移; 双指: 捏合缩放并平移
+    updateDragMode(event) {
+        if (this.activePointers.size >= 2) {
+            this.dragMode = 'pinch';
+            this.pinchStart = this._pinchGeometry();
+        } else if (this.activePointers.size === 1) {
+            const pan = event.pointerType === 'mouse' && (event.button === 2 || event.shiftKey);
+            this.dragMode = pan ? 'pan' : 'rotate';
+        } else {
+            this.dragMode = null;
+        }
+    }
+    
+    onPointerMove(event) {
+        const pointer = this.activePointers.get(event.pointerId);
+        if (!pointer) {
+            return;
         }
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
         
-        this.lastMousePosition.set(event.clientX, event.clientY);
+        if (this.dragMode === 'rotate') {
+            this.rotateCamera(-deltaX * 0.01, deltaY * 0.01);
+        } else if (this.dragMode === 'pan') {
+            this.panCamera(deltaX, deltaY);
+        } else if (this.dragMode === 'pinch') {
+            const current = this._pinchGeometry();
+            if (current.distance > 0) {
+                this.zoomCamera(this.pinchStart.distance / current.distance);
+            }
+            this.panCamera(current.center.x - this.pinchStart.center.x, current.center.y - this.pinchStart.center.y);
+            this.pinchStart = current;
+        }
     }
     
-    onMouseDown(event) {
-        this.isMouseDown = true;
-        this.lastMousePosition.set(event.clientX, event.clientY);
+    onPointerDown(event) {
+        // 捕获指针, 拖出画布后仍能继续操作
+        const canvas = this.renderer.domElement;
+        canvas.setPointerCapture(event.pointerId);
+        canvas.focus();
+        this.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.updateDragMode(event);
     }
     
-    onMouseUp() {
-        this.isMouseDown = false;
+    onPointerUp(event) {
+        const canvas = this.renderer.domElement;
+        if (canvas.hasPointerCapture(event.pointerId)) {
+            canvas.releasePointerCapture(event.pointerId);
+        }
+        this.activePointers.delete(event.pointerId);
+        this.updateDragMode(event);
     }
     
     onMouseWheel(event) {
-        this.cameraRadius += event.deltaY * 0.01;
-        this.cameraRadius = Math.max(5, Math.min(100, this.cameraRadius));
+        // 阻止嵌入页面随滚轮滚动
+        event.preventDefault();
+        this.zoomCamera(Math.exp(event.deltaY * 0.001));
+    }
+    
+    // 方向键环绕 (Shift + 方向键平移), +/- 缩放
+    handleCameraKey(event) {
+        const step = 0.05;
+        const panStep = 20;
+        const pan = event.shiftKey;
+        switch (event.code) {
+            case 'ArrowLeft':
+                pan ? this.panCamera(panStep, 0) : this.rotateCamera(step, 0);
+                return true;
+            case 'ArrowRight':
+                pan ? this.panCamera(-panStep, 0) : this.rotateCamera(-step, 0);
+                return true;
+            case 'ArrowUp':
+                pan ? this.panCamera(0, panStep) : this.rotateCamera(0, -step);
+                return true;
+            case 'ArrowDown':
+                pan ? this.panCamera(0, -panStep) : this.rotateCamera(0, step);
+                return true;
+            case 'Equal':
+            case 'NumpadAdd':
+                this.zoomCamera(0.9);
+                return true;
+            case 'Minus':
+            case 'NumpadSubtract':
+                this.zoomCamera(1 / 0.9);
+                return true;
+            default:
+                return false;
+        }
     }
     
     onKeyDown(event) {
-        if (event.code === 'Space') {
+        if (this.handleCameraKey(event)) {
+            event.preventDefault();
+        } else if (event.code === 'Space') {
             // 重置相机位置
-            this.cameraRadius = 30;
-            this.cameraTheta = 0;
-            this.cameraPhi = Math.PI / 2;
+            this.resetCamera();
             event.preventDefault();
         } else if (event.code === 'KeyA') {
             // 切换自动旋转
-            this.autoRotate = !this.autoRotate;
+            this.setParams({ autoRotate: !this.autoRotate });
+            event.preventDefault();
+        } else if (event.code === 'KeyK') {
+            // 在史瓦西黑洞与 Gargantua 的近极端自旋之间切换
+            this.setSpin(this.blackHoleSpin > 0 ? 0 : this.gargantuaSpin);
+            event.preventDefault();
+        } else if (event.code === 'KeyB') {
+            // 切换多普勒聚束
+            this.setRelativisticEffects({ dopplerBeaming: !this.dopplerBeaming });
+            event.preventDefault();
+        } else if (event.code === 'KeyG') {
+            // 切换引力红移
+            this.setRelativisticEffects({ gravitationalRedshift: !this.gravitationalRedshift });
+            event.preventDefault();
+        } else if (event.code === 'KeyP') {
+            // 暂停/继续模拟时间 (仍可拖拽查看)
+            if (this.clock.paused) {
+                this.clock.resume();
+            } else {
+                this.clock.pause();
+            }
+            event.preventDefault();
+        } else if (event.code === 'Period') {
+            // 单步推进一帧 (1/60 秒)
+            this.clock.step();
+            event.preventDefault();
+        } else if (event.code === 'KeyR') {
+            // 以当前视角记录一个相机关键帧
+            this.recordCameraKeyframe();
+            event.preventDefault();
+        } else if (event.code === 'KeyC') {
+            // 回放录制的相机路径 (再按一次停止)
+            if (this.cameraPathPlayback) {
+                this.stopCameraPath();
+            } else if (this.cameraPathRecording) {
+                this.playCameraPath(this.getRecordedCameraPath());
+            }
+            event.preventDefault();
+        } else if (event.code === 'KeyF') {
+            // 播放内置的 "接近 Gargantua" 路径
+            this.playCameraPath(APPROACH_GARGANTUA);
+            event.preventDefault();
+        } else if (event.code === 'KeyH') {
+            // 显示/隐藏物理量读数
+            this.setParams({ physicsHud: !this.physicsHud });
+            event.preventDefault();
+        } else if (event.code === 'KeyD') {
+            // 切换吸积盘模型: 薄盘 ↔ 厚盘
+            this.setParams({ diskModel: this.diskModel === 'thick' ? 'thin' : 'thick' });
+            event.preventDefault();
+        } else if (event.code === 'KeyJ') {
+            // 显示/隐藏相对论喷流
+            this.setParams({ jets: !this.jets });
+            event.preventDefault();
+        } else if (event.code === 'KeyT') {
+            // 触发潮汐瓦解事件 (播放中再按一次则重新开始)
+            this.triggerTidalDisruption();
+            event.preventDefault();
+        } else if (event.code === 'KeyI') {
+            // 开关双黑洞 (从初始间距开始旋近)
+            this.setParams({ binary: !this.binary });
+            event.preventDefault();
+        } else if (event.code === 'KeyN') {
+            // 从相机位置沿视线发射探测器 (Shift + N 清除所有探测器)
+            if (event.shiftKey) {
+                this.clearProbes();
+            } else {
+                this.launchProbe();
+            }
+            event.preventDefault();
+        } else if (event.code === 'KeyE') {
+            // 显示/隐藏教学叠加层 (嵌入网格、特征半径与样本光线)
+            this.setParams({ overlays: !this.overlays });
+            event.preventDefault();
+        } else if (event.code === 'KeyM') {
+            // 循环切换输出模式: 单视图 → 左右并排立体 → 红青立体 → 360° 全景
+            const index = this.outputModes.indexOf(this.outputMode);
+            this.setParams({ outputMode: this.outputModes[(index + 1) % this.outputModes.length] });
+            event.preventDefault();
+        } else if (event.code === 'KeyO') {
+            // 循环切换观测者运动: 静止 → 随相机运动 → 圆轨道
+            const index = this.observerMotionModes.indexOf(this.observerMotion);
+            this.setParams({ observerMotion: this.observerMotionModes[(index + 1) % this.observerMotionModes.length] });
+            event.preventDefault();
+        } else if (event.code === 'KeyQ') {
+            // 循环切换画质: 自动 → 低 → 中 → 高 → 极高
+            const index = this.qualityModes.indexOf(this.quality);
+            this.setParams({ quality: this.qualityModes[(index + 1) % this.qualityModes.length] });
+            event.preventDefault();
+        } else if (event.code === 'KeyV') {
+            // 循环切换背景天空: 星表 → 全景图 → 经纬网格 → 棋盘格
+            const index = this.skyBackgrounds.indexOf(this.skyBackground);
+            this.setParams({ skyBackground: this.skyBackgrounds[(index + 1) % this.skyBackgrounds.length] });
             event.preventDefault();
         } else if (event.code === 'KeyL') {
-            // 切换引力透镜效果
-            this.enableLensing = !this.enableLensing;
+            // 循环切换引力透镜模式: 屏幕空间近似 -> 测地线追踪 -> 关闭
+            const index = this.lensingModes.indexOf(this.lensingMode);
+            this.setParams({ lensingMode: this.lensingModes[(index + 1) % this.lensingModes.length] });
             event.preventDefault();
         }
     }
     
-    updateCamera() {
-        // 自动旋转
+    updateCamera(delta) {
+        if (this.cameraPathPlayback) {
+            this.updateCameraPath();
+            return;
+        }
+        
+        // 自动旋转 (autoRotateSpeed 为 1 时约 0.6 弧度/秒)
         if (this.autoRotate) {
-            this.cameraTheta += this.autoRotateSpeed * 0.01;
+            this.cameraTheta += this.autoRotateSpeed * 0.6 * delta;
         }
+        this.applyCameraControls(delta);
         
         const x = this.cameraRadius * Math.sin(this.cameraPhi) * Math.cos(this.cameraTheta);
         const y = this.cameraRadius * Math.cos(this.cameraPhi);
         const z = this.cameraRadius * Math.sin(this.cameraPhi) * Math.sin(this.cameraTheta);
         
-        this.camera.position.set(x, y, z);
+        this.camera.position.set(x, y, z).add(this.cameraTarget);
         this.camera.lookAt(this.cameraTarget);
     }
 
-    updateLensingUniforms() {
-        if (!this.lensMesh || !this.eventHorizon || !this.camera) {
+    updateLensingUniforms(camera = this.camera) {
+        if (!this.lensMesh || !this.eventHorizon || !camera) {
             return;
         }
 
         const uniforms = this.lensMesh.material.uniforms;
 
         const centerWorld = this.eventHorizon.getWorldPosition(this._lensTmpVecA);
-        this._lensTmpVecB.set(this.eventHorizonRadius, 0, 0);
-        this.eventHorizon.localToWorld(this._lensTmpVecB);
-        this._lensTmpVecC.set(0, this.eventHorizonRadius, 0);
-        this.eventHorizon.localToWorld(this._lensTmpVecC);
-
-        const centerNDC = this._lensTmpVecD.copy(centerWorld).project(this.camera);
-        this._lensTmpVecB.project(this.camera);
-        this._lensTmpVecC.project(this.camera);
-
-        const radiusX = Math.abs(this._lensTmpVecB.x - centerNDC.x) * 0.5;
-        const radiusY = Math.abs(this._lensTmpVecC.y - centerNDC.y) * 0.5;
-        const radius = Math.max(0.0005, Math.max(radiusX, radiusY));
-
-        this.blackHoleScreenPosition.set(
-            centerNDC.x * 0.5 + 0.5,
-            -centerNDC.y * 0.5 + 0.5
-        );
-        this.blackHoleScreenRadius = radius;
+        this.blackHoleScreenRadius = this.projectLens(centerWorld, this.shadowReferenceRadius, this.blackHoleScreenPosition, camera);
+        uniforms.lensPositions.value[0].copy(this.blackHoleScreenPosition);
+        uniforms.lensRadii.value[0] = this.blackHoleScreenRadius;
+        uniforms.lensFront.value[0] = 1;
+        uniforms.lensCount.value = 1;
+
+        this.updateShadowShape(uniforms, centerWorld, this._lensTmpVecD, camera);
 
-        uniforms.blackHolePos.value.copy(this.blackHoleScreenPosition);
-        uniforms.blackHoleRadius.value = this.blackHoleScreenRadius;
+        // 双黑洞: 伴星作为第二个透镜 (无自旋, 圆形阴影); 较远的一个只被较近的一个偏折
+        if (this.companionGroup) {
+            const companionWorld = this.companionGroup.getWorldPosition(this._lensTmpVecB);
+            uniforms.lensRadii.value[1] = this.projectLens(companionWorld, this.companionShadowRadius, uniforms.lensPositions.value[1], camera);
+            const companionFront = camera.position.distanceToSquared(companionWorld) < camera.position.distanceToSquared(centerWorld);
+            uniforms.lensFront.value[0] = companionFront ? 0 : 1;
+            uniforms.lensFront.value[1] = companionFront ? 1 : 0;
+            uniforms.lensCount.value = 2;
+        }
 
-        const cameraDistance = this.camera.position.distanceTo(centerWorld);
+        const cameraDistance = camera.position.distanceTo(centerWorld);
         const strength = this.lensStrengthBase * THREE.MathUtils.clamp(30 / cameraDistance, 0.6, 2.5);
         uniforms.lensStrength.value = strength;
     }
 
+    // 透镜中心在屏幕上的位置 (纹理坐标, 写入 screenPosition) 与半径 (纹理 v 方向单位)
+    // 以光子球半径 referenceRadius 沿相机上方向的投影为准; 观测者运动时视位置与大小按光行差变化
+    // 透镜中心的 NDC 坐标留在 _lensTmpVecD 中; 位于相机后方时半径为 0 (不参与透镜)
+    projectLens(centerWorld, referenceRadius, screenPosition, camera = this.camera) {
+        const centerNDC = this.observerApparentPosition(this._lensTmpVecD.copy(centerWorld), camera).project(camera);
+        const up = this._lensTmpVecC.set(0, 1, 0).applyQuaternion(camera.quaternion);
+        const edge = this.observerApparentPosition(up.multiplyScalar(referenceRadius).add(centerWorld), camera).project(camera);
+        screenPosition.set(centerNDC.x * 0.5 + 0.5, centerNDC.y * 0.5 + 0.5);
+        if (centerNDC.z > 1) {
+            return 0;
+        }
+        return Math.max(0.0005, Math.abs(edge.y - centerNDC.y) * 0.5);
+    }
+
+    // 克尔黑洞阴影: 按自旋与倾角计算 Bardeen 临界曲线, 并确定其在屏幕上的朝向
+    updateShadowShape(uniforms, centerWorld, centerNDC, camera = this.camera) {
+        // 自旋轴为世界 -y, 与吸积盘公转方向一致
+        const spinAxis = this._lensTmpVecB.set(0, -1, 0).applyQuaternion(this.eventHorizon.quaternion);
+        const viewDir = this._lensTmpVecC.copy(camera.position).sub(centerWorld).normalize();
+        const inclination = Math.acos(THREE.MathUtils.clamp(spinAxis.dot(viewDir), -1, 1));
+
+        // 顺行一侧 (被压平的一侧) 位于 视线方向 × 自旋轴
+        const prograde = this._lensTmpVecE.crossVectors(viewDir, spinAxis);
+        if (prograde.lengthSq() < 1e-8) {
+            prograde.set(1, 0, 0).applyQuaternion(camera.quaternion);
+        }
+        this.observerApparentPosition(prograde.normalize().multiplyScalar(this.shadowReferenceRadius).add(centerWorld), camera).project(camera);
+        const aspect = uniforms.resolution.value.x / uniforms.resolution.value.y;
+        uniforms.shadowAngle.value = Math.atan2(
+            prograde.y - centerNDC.y,
+            (prograde.x - centerNDC.x) * aspect
+        );
+
+        const state = this._shadowShapeState;
+        if (state && state.spin === this.blackHoleSpin && Math.abs(state.inclination - inclination) < 0.005) {
+            return;
+        }
+        this._shadowShapeState = { spin: this.blackHoleSpin, inclination };
+
+        const radii = shadowPolarRadii(this.blackHoleSpin, inclination, SHADOW_SAMPLES);
+        const schwarzschildShadow = 3 * Math.sqrt(3);
+        for (let i = 0; i < SHADOW_SAMPLES; i++) {
+            uniforms.shadowShape.value[i] = radii[i] / schwarzschildShadow;
+        }
+    }
+
+    updateGeodesicUniforms(camera = this.camera) {
+        if (!this.geodesicMesh || !this.eventHorizon || !camera) {
+            return;
+        }
+
+        const uniforms = this.geodesicMesh.material.uniforms;
+
+        camera.updateMatrixWorld();
+        uniforms.cameraWorldMatrix.value.copy(camera.matrixWorld);
+        uniforms.cameraProjectionInverse.value.copy(camera.projectionMatrixInverse);
+        uniforms.cameraWorldPosition.value.copy(camera.position);
+        this.eventHorizon.getWorldPosition(uniforms.blackHolePos.value);
+        uniforms.time.value = this.time;
+    }
+
+    // 测地线模式下由光线追踪绘制的前景对象 (吸积盘、厚盘与喷流、光晕与装饰环)
+    _tracedForegroundNodes() {
+        return [
+            this.blackHoleGlow,
+            ...(this.distortionRings || []),
+            this.accretionDisk,
+            this.diskVolume,
+            this.jetVolume
+        ].filter(Boolean);
+    }
+
     // 临时隐藏/恢复前景对象，避免第一步渲染进入背景纹理
     _toggleForeground(show, prevState) {
         const nodes = [
+            this.companionGroup,
+            this.probeGroup,
+            this.overlay && this.overlay.group,
             this.eventHorizon,
             this.blackHoleGlow,
             ...(this.distortionRings || []),
             this.accretionDisk,
+            this.diskVolume,
+            this.jetVolume,
             this.accretionParticles
         ].filter(Boolean);
 
@@ -627,8 +2738,219 @@ class BlackHoleVisualizer {
         return snapshot;
     }
     
+    // 以离线方式渲染 time 时刻的一帧: 相机与粒子按固定步长推进, 与实时循环无关
+    renderFrameAt(time, delta) {
+        this.clock.setTime(time);
+        this.time = time;
+        this.updateCamera(delta);
+        this.updateObserverVelocity(delta);
+        this.updateAnimatedObjects();
+        this.updateAccretionParticles(time, Infinity);
+        this.render();
+    }
+    
+    // 导出期间暂停实时循环并改用导出分辨率, 结束后恢复窗口尺寸、原来的时间与粒子状态
+    async withExportSize(width, height, callback) {
+        if (this.exporting) {
+            throw new Error('已有导出任务正在进行');
+        }
+        const maxSize = this.renderer.capabilities.maxTextureSize;
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`导出尺寸超过 WebGL 上限 ${maxSize}px, 请使用分块渲染的静帧导出`);
+        }
+        
+        const wasRunning = !this.paused;
+        const savedTime = this.time;
+        const savedSize = [this.width, this.height, this.renderer.getPixelRatio()];
+        const cameraState = [this.cameraTheta, this.cameraPhi, this.cameraRadius, this.cameraTarget.clone(), this.camera.fov];
+        const savedQuality = this.qualityTier;
+        // 导出会把粒子推进到其他时间, 结束后直接恢复导出前的状态纹理, 不必重新积分
+        const savedParticles = this.particleSimulation ? this.captureParticleState() : null;
+        this.pause();
+        this.exporting = true;
+        // 导出总是使用最高画质, 与实时画质调节无关
+        this.applyQualityTier('ultra');
+        this.setRenderSize(width, height, 1, false);
+        // 观测者速度从零开始测量, 相同参数总是导出相同的画面
+        this.resetObserverVelocity();
+        try {
+            await this.syncAccretionParticles(this.time);
+            return await callback();
+        } finally {
+            this.camera.clearViewOffset();
+            this.setRenderSize(...savedSize);
+            [this.cameraTheta, this.cameraPhi, this.cameraRadius] = cameraState;
+            this.cameraTarget.copy(cameraState[3]);
+            this.camera.fov = cameraState[4];
+            this.exporting = false;
+            this.applyQualityTier(savedQuality);
+            this.resetObserverVelocity();
+            if (savedParticles) {
+                // 导出期间粒子被重建时保存的状态已失效, 改由 setTime 从检查点恢复
+                if (savedParticles.simulation === this.particleSimulation) {
+                    this.restoreParticleState(savedParticles);
+                }
+                this.disposeParticleState(savedParticles);
+            }
+            this.setTime(savedTime);
+            if (wasRunning) {
+                this.resume();
+            }
+            this.onResize();
+        }
+    }
+    
+    // 导出 [start, start + duration) 的帧序列: format 为 'png' (zip 打包) 或 'webm'
+    exportFrames({ start = this.time, duration = 5, fps = 30, width = 1920, height = 1080, format = 'png', onProgress } = {}) {
+        const frameCount = Math.max(1, Math.round(duration * fps));
+        return this.withExportSize(width, height, async () => {
+            const canvas = this.renderer.domElement;
+            const recorder = format === 'webm' ? createWebMRecorder(canvas, fps) : null;
+            const files = {};
+            
+            // 粒子从检查点积分到起始时间, 保证与实时播放到该时间的画面一致
+            this.setTime(start);
+            await this.syncAccretionParticles(start);
+            for (let i = 0; i < frameCount; i++) {
+                this.renderFrameAt(start + i / fps, i === 0 ? 0 : 1 / fps);
+                if (recorder) {
+                    await recorder.addFrame();
+                } else {
+                    files[frameFileName(i)] = await canvasToBlob(canvas);
+                }
+                if (onProgress) {
+                    onProgress((i + 1) / frameCount);
+                }
+            }
+            return recorder ? recorder.stop() : createZip(files);
+        });
+    }
+    
+    // 分块渲染任意分辨率的静帧: 每块四周多渲染一圈边距后裁掉, 避免屏幕空间透镜在接缝处采样不到背景
+    // 分块依赖单一相机的视锥偏移, 只支持单视图输出; 立体与全景可用 exportFrames 导出
+    async exportStill({ width = 7680, height = 4320, tileSize = 2048, onProgress } = {}) {
+        if (this.outputMode !== 'normal') {
+            throw new Error('分块静帧导出只支持单视图输出 (outputMode 为 normal)');
+        }
+        const margin = Math.round(tileSize / 4);
+        const renderSize = tileSize + margin * 2;
+        return this.withExportSize(renderSize, renderSize, async () => {
+            const output = document.createElement('canvas');
+            output.width = width;
+            output.height = height;
+            const context = output.getContext('2d');
+            const canvas = this.renderer.domElement;
+            const columns = Math.ceil(width / tileSize);
+            const rows = Math.ceil(height / tileSize);
+            
+            // 泛光与眩光的范围可达整幅图像, 逐块计算会在接缝处断开:
+            // 先以不超过单块的分辨率渲染整幅图像, 各块共用其光晕
+            const glowPasses = [this.bloomPass, this.glarePass].filter(pass => pass.enabled);
+            try {
+                if (glowPasses.length > 0) {
+                    const scale = Math.min(1, renderSize / Math.max(width, height));
+                    this.setRenderSize(Math.round(width * scale), Math.round(height * scale), 1, false);
+                    this.renderFrameAt(this.time, 0);
+                    glowPasses.forEach(pass => pass.freeze());
+                    this.setRenderSize(renderSize, renderSize, 1, false);
+                }
+                
+                for (let row = 0; row < rows; row++) {
+                    for (let column = 0; column < columns; column++) {
+                        const x = column * tileSize;
+                        const y = row * tileSize;
+                        // 视锥保持完整图像的宽高比, 视口只取其中一块
+                        this.camera.aspect = width / height;
+                        this.camera.setViewOffset(width, height, x - margin, y - margin, renderSize, renderSize);
+                        this.accretionParticles.material.uniforms.pointScale.value = this.getPointScale();
+                        this.renderFrameAt(this.time, 0);
+                        context.drawImage(canvas, margin, margin, tileSize, tileSize, x, y, tileSize, tileSize);
+                        if (onProgress) {
+                            onProgress((row * columns + column + 1) / (rows * columns));
+                        }
+                    }
+                }
+            } finally {
+                glowPasses.forEach(pass => pass.unfreeze());
+            }
+            return canvasToBlob(output);
+        });
+    }
+    
+    // 暂停渲染循环, 所有资源保留
+    pause() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+    
+    resume() {
+        if (this.animationFrameId !== null || this.disposed) {
+            return;
+        }
+        this.frameCount = 0;
+        this.lastTime = performance.now();
+        this.clock.resetDelta();
+        this.qualityGovernor.reset();
+        this.animationFrameId = requestAnimationFrame(this.animate);
+    }
+    
+    get paused() {
+        return this.animationFrameId === null;
+    }
+    
+    // 停止渲染并释放几何体、材质、纹理、渲染目标、事件监听与 WebGL 上下文
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.pause();
+        this.disposed = true;
+        
+        this.eventListeners.forEach(([target, type, listener, options]) => {
+            target.removeEventListener(type, listener, options);
+        });
+        this.resizeObserver.disconnect();
+        if (this.controlPanel) {
+            this.controlPanel.dispose();
+            this.controlPanel = null;
+        }
+        
+        this.disposeAccretionParticles();
+        [this.scene, this.lensScene, this.geodesicScene, this.geodesicUpscaleScene].forEach(scene => {
+            if (!scene) {
+                return;
+            }
+            scene.traverse(object => {
+                if (object.geometry) {
+                    object.geometry.dispose();
+                }
+                if (object.material) {
+                    object.material.dispose();
+                }
+            });
+        });
+        this.backgroundRenderTarget.dispose();
+        this.geodesicRenderTarget.dispose();
+        this.binaryRenderTarget.dispose();
+        this.skyCubeRenderTarget.dispose();
+        this.postPasses.forEach(pass => pass.dispose());
+        this.multiView.dispose();
+        this.composer.renderTarget1.dispose();
+        this.composer.renderTarget2.dispose();
+        this.blackbodyTexture.dispose();
+        if (this.panoramaTexture) {
+            this.panoramaTexture.dispose();
+        }
+        
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+    
     animate() {
-        requestAnimationFrame(this.animate.bind(this));
+        this.animationFrameId = requestAnimationFrame(this.animate);
         
         // 性能监控
         this.frameCount++;
@@ -640,14 +2962,48 @@ class BlackHoleVisualizer {
             this.updatePerformanceInfo();
         }
         
-        this.time += 0.016; // ~60fps
+        // 模拟时间按真实帧间隔推进, 与刷新率无关
+        this.clock.update();
+        this.time = this.clock.time;
+        
+        // 自适应画质: 帧率持续低于目标时降级, 持续达标时升级
+        // 使用未截断的帧间隔, 低于 10 fps 时仍按真实的帧耗时判断
+        if (this.quality === 'auto') {
+            const level = this.qualityGovernor.update(this.clock.rawDelta);
+            if (level !== null) {
+                this.applyQualityTier(QUALITY_TIERS[level]);
+            }
+        }
+        
+        // 更新相机 (交互与惯性按真实时间推进, 不受模拟时间暂停影响)
+        this.updateCamera(this.clock.realDelta);
+        this.updateObserverVelocity(this.clock.realDelta);
+        
+        this.updateAnimatedObjects();
+        
+        // 更新吸积盘粒子: 在赝牛顿势中积分轨道运动 (在 GPU 上计算)
+        this.updateAccretionParticles(this.time);
+        
+        // 渲染场景
+        this.render();
         
-        // 更新相机
-        this.updateCamera();
+        if (currentTime - this.lastReadoutTime >= 100) {
+            this.lastReadoutTime = currentTime;
+            this.updatePhysicsReadout();
+        }
+    }
+    
+    // 随时间变化的对象只由 this.time 决定, 不累加每帧增量
+    updateAnimatedObjects() {
+        // 双黑洞的轨道位置, 之后的对象以更新后的黑洞位置为准
+        this.updateBinary();
         
-        // 星空缓慢旋转
+        // 星空与全景天球一起缓慢旋转
         if (this.stars) {
-            this.stars.rotation.y += 0.0001;
+            this.stars.rotation.y = this.starRotationSpeed * this.time;
+        }
+        if (this.skySphere) {
+            this.skySphere.rotation.y = this.starRotationSpeed * this.time;
         }
         
         // 更新黑洞效果
@@ -659,15 +3015,25 @@ class BlackHoleVisualizer {
         // 更新扭曲环的动画
         if (this.distortionRings) {
             this.distortionRings.forEach((ring, index) => {
-                ring.rotation.z += (0.001 + index * 0.0005);
+                ring.rotation.z = (0.06 + index * 0.03) * this.time;
                 ring.material.opacity = (0.1 - index * 0.02) * (0.8 + 0.2 * Math.sin(this.time * 2 + index));
             });
         }
         
-        // 更新吸积盘
+        // 更新吸积盘 (较差自转在着色器中按轨道角速度计算)
         if (this.accretionDisk) {
             this.accretionDisk.material.uniforms.time.value = this.time;
-            this.accretionDisk.rotation.z += 0.002; // 缓慢旋转
+        }
+        [this.diskVolume, this.jetVolume].forEach(volume => {
+            if (volume) {
+                volume.material.uniforms.time.value = this.time;
+            }
+        });
+        
+        this.updateScriptedEvent();
+        this.updateProbes();
+        if (this.overlay) {
+            this.overlay.update(this.camera);
         }
         
         // 更新光源
@@ -676,104 +3042,255 @@ class BlackHoleVisualizer {
             this.diskLight.intensity = 2 + Math.sin(this.time * 3) * 0.5;
             this.diskLight.position.y = 5 + Math.sin(this.time * 2) * 1;
         }
-        
-        // 更新吸积盘粒子
-        if (this.accretionParticles) {
-            const positions = this.accretionParticles.geometry.attributes.position.array;
-            const velocities = this.accretionParticles.userData.velocities;
-            
-            for (let i = 0; i < positions.length; i += 3) {
-                // 更新位置
-                positions[i] += velocities[i] * 0.016;
-                positions[i + 1] += velocities[i + 1] * 0.016;
-                positions[i + 2] += velocities[i + 2] * 0.016;
-                
-                // 检查粒子是否太接近黑洞或太远
-                const radius = Math.sqrt(positions[i] * positions[i] + positions[i + 2] * positions[i + 2]);
-                
-                if (radius < this.accretionDiskInnerRadius || radius > this.accretionDiskOuterRadius) {
-                    // 重新生成粒子
-                    const newRadius = this.accretionDiskInnerRadius + 
-                                    Math.random() * (this.accretionDiskOuterRadius - this.accretionDiskInnerRadius);
-                    const theta = Math.random() * Math.PI * 2;
-                    
-                    positions[i] = newRadius * Math.cos(theta);
-                    positions[i + 1] = (Math.random() - 0.5) * 0.5;
-                    positions[i + 2] = newRadius * Math.sin(theta);
-                    
-                    const orbitalSpeed = Math.sqrt(1.0 / newRadius) * 0.1;
-                    velocities[i] = -orbitalSpeed * Math.sin(theta);
-                    velocities[i + 1] = 0;
-                    velocities[i + 2] = orbitalSpeed * Math.cos(theta);
-                }
-            }
-            
-            this.accretionParticles.geometry.attributes.position.needsUpdate = true;
-        }
-        
-        // 渲染场景
-        this.render();
     }
     
+    // 经后期处理链绘制一帧: 引力透镜 pass 把场景画入 HDR 缓冲, 其后是各个后期效果与色调映射
     render() {
-        if (this.enableLensing && this.backgroundRenderTarget && this.lensScene) {
-            this.updateLensingUniforms();
+        this.updatePostProcessingUniforms();
+        this.composer.render(0);
+    }
+    
+    // 链中的第一个 pass: 单视图直接绘制; 立体与全景输出由多视图渲染器逐个视图绘制后合成
+    renderOutput(target) {
+        if (this.outputMode === 'normal') {
+            this.renderLensedScene(target);
+            return;
+        }
+        // 零视差平面取相机到目标点的距离, 两眼间距按该距离的比例给出 (默认约 1/30)
+        const convergence = Math.max(this.camera.position.distanceTo(this.cameraTarget), this.camera.near);
+        this.multiView.render(this.renderer, this.outputMode, this.camera, target, {
+            separation: this.stereoSeparation * convergence,
+            convergence
+        });
+    }
+    
+    // 引力透镜 pass: 按透镜模式把场景绘制到 target
+    renderLensedScene(target, camera = this.camera) {
+        if (this.lensingMode === 'geodesic' && this.geodesicScene) {
+            this.renderGeodesic(target, camera);
+        } else if (this.lensingMode === 'screen' && this.backgroundRenderTarget && this.lensScene) {
+            // 透镜着色器按目标的宽高比校正距离 (立体的单眼、立方体面与分块导出的宽高比各不相同)
+            const resolution = this.lensMesh.material.uniforms.resolution.value;
+            if (target) {
+                resolution.set(target.width, target.height);
+            } else {
+                this.renderer.getDrawingBufferSize(resolution);
+            }
+            this.updateLensingUniforms(camera);
 
-            // 第一步：隐藏前景，仅渲染背景到纹理
+            // 第一步：隐藏前景，仅渲染背景 (以及事件物体位于黑洞后方的部分) 到纹理
             const prevVis = this._toggleForeground(false);
+            this.setLensSplit(1, camera);
             this.renderer.setRenderTarget(this.backgroundRenderTarget);
             this.renderer.clear(true, true, true);
-            this.renderer.render(this.scene, this.camera);
-            this.renderer.setRenderTarget(null);
+            this.renderer.render(this.scene, camera);
             this._toggleForeground(true, prevVis);
 
+            // 双黑洞: 较远的黑洞连同其吸积盘与粒子单独绘制, 在透镜 pass 中只被较近的黑洞偏折
+            const farGroup = this.getFarBinaryGroup(camera);
+            if (farGroup) {
+                const clearAlpha = this.renderer.getClearAlpha();
+                this.renderer.setRenderTarget(this.binaryRenderTarget);
+                this.renderer.setClearAlpha(0);
+                this.renderer.clear(true, true, true);
+                this.renderer.autoClear = false;
+                this.renderer.render(farGroup, camera);
+                this.renderer.autoClear = true;
+                this.renderer.setClearAlpha(clearAlpha);
+            }
+            this.renderer.setRenderTarget(target);
+
             // 更新透镜效果的 uniforms
             const lensUniforms = this.lensMesh.material.uniforms;
             lensUniforms.tBackground.value = this.backgroundRenderTarget.texture;
+            lensUniforms.tFarLayer.value = this.binaryRenderTarget.texture;
+            lensUniforms.farLayer.value = farGroup ? 1 : 0;
             lensUniforms.time.value = this.time;
 
-            // 第二步：将引力透镜结果渲染到屏幕
+            // 第二步：将引力透镜结果渲染到目标
             this.renderer.autoClear = true;
             this.renderer.render(this.lensScene, this.lensCamera);
 
-            // 第三步：叠加前景对象 (黑洞、吸积盘等)
-            this.renderer.autoClear = false;
-            this.renderer.clearDepth();
-            this.renderer.render(this.scene, this.camera);
-            this.renderer.autoClear = true;
+            // 第三步：叠加前景对象 (黑洞、吸积盘与事件物体位于前方的部分等), 较远的黑洞已在透镜 pass 中绘制
+            if (farGroup) {
+                farGroup.visible = false;
+            }
+            this.setLensSplit(-1, camera);
+            this.renderForegroundOverlay(camera);
+            this.setLensSplit(0);
+            if (farGroup) {
+                farGroup.visible = true;
+            }
         } else {
             // 正常渲染
-            this.renderer.render(this.scene, this.camera);
+            this.renderer.setRenderTarget(target);
+            this.renderer.render(this.scene, camera);
+        }
+    }
+    
+    renderGeodesic(target, camera = this.camera) {
+        this.updateGeodesicUniforms(camera);
+
+        // 第一步：以黑洞为中心渲染星空立方体贴图 (天空位于无穷远, 只与方向有关)
+        // 立方体贴图记录静止系中的天空, 观测者运动的光行差与频移由测地线着色器逐像素处理
+        this.eventHorizon.getWorldPosition(this.skyCubeCamera.position);
+        // 事件物体位于黑洞后方的部分一并写入立方体贴图, 随星空一起被透镜
+        // 测地线只追踪主黑洞的克尔度规: 伴星位于主黑洞后方时同样写入立方体贴图, 位于前方时作为前景叠加
+        const companionBehind = this.getFarBinaryGroup(camera) === this.companionGroup;
+        this.observerUniforms.observerVelocity.value.set(0, 0, 0);
+        this.setLensSplit(1, camera);
+        if (this.companionGroup) {
+            this.companionGroup.visible = companionBehind;
         }
+        this.skyCubeCamera.update(this.renderer, this.scene);
+        this.observerUniforms.observerVelocity.value.copy(this.observerVelocity);
+
+        // 第二步：逐像素追踪测地线，绘制弯曲后的吸积盘、阴影与星空
+        this.renderer.autoClear = true;
+        if (this.lensResolutionScale < 1) {
+            this.renderer.setRenderTarget(this.geodesicRenderTarget);
+            this.renderer.render(this.geodesicScene, this.lensCamera);
+            this.renderer.setRenderTarget(target);
+            this.renderer.render(this.geodesicUpscaleScene, this.lensCamera);
+        } else {
+            this.renderer.setRenderTarget(target);
+            this.renderer.render(this.geodesicScene, this.lensCamera);
+        }
+
+        // 第三步：叠加未参与追踪的前景对象 (粒子与事件物体位于前方的部分)
+        // 事件视界只写入深度, 用于遮挡其后方的粒子而不覆盖追踪得到的图像
+        const traced = this._tracedForegroundNodes();
+        const tracedVisibility = traced.map(n => n.visible);
+        traced.forEach(n => (n.visible = false));
+        const horizonMaterial = this.eventHorizon.material;
+        horizonMaterial.colorWrite = false;
+
+        if (this.companionGroup) {
+            this.companionGroup.visible = !companionBehind;
+        }
+        this.setLensSplit(-1, camera);
+        this.renderForegroundOverlay(camera);
+        this.setLensSplit(0);
+        if (this.companionGroup) {
+            this.companionGroup.visible = true;
+        }
+
+        horizonMaterial.colorWrite = true;
+        traced.forEach((n, i) => (n.visible = tracedVisibility[i]));
     }
     
+    // 双黑洞中离相机较远的一个 (blackHoleGroup 或 companionGroup), 单个黑洞时为 null
+    getFarBinaryGroup(camera = this.camera) {
+        if (!this.companionGroup) {
+            return null;
+        }
+        const primary = this.blackHoleGroup.getWorldPosition(this._lensTmpVecA);
+        const companion = this.companionGroup.getWorldPosition(this._lensTmpVecB);
+        const cameraPosition = camera.position;
+        return cameraPosition.distanceToSquared(companion) > cameraPosition.distanceToSquared(primary)
+            ? this.companionGroup
+            : this.blackHoleGroup;
+    }
+    
+    // 在透镜结果之上叠加前景图层 (背景已经过透镜处理, 不再重复绘制)
+    renderForegroundOverlay(camera = this.camera) {
+        camera.layers.disable(this.backgroundLayer);
+        this.renderer.autoClear = false;
+        this.renderer.clearDepth();
+        this.renderer.render(this.scene, camera);
+        this.renderer.autoClear = true;
+        camera.layers.enable(this.backgroundLayer);
+    }
+    
+    // 页面上的信息与加载提示 (仅当挂载元素内存在对应元素时更新)
     updatePerformanceInfo() {
-        const info = document.getElementById('info');
+        const info = this.container.querySelector('#info');
         if (info) {
             const performanceInfo = info.querySelector('.performance');
+            const mode = this.quality === 'auto' ? ' (自动)' : '';
+            const text = `FPS: ${this.fps} · 画质: ${QUALITY_SETTINGS[this.qualityTier].label}${mode}`;
             if (performanceInfo) {
-                performanceInfo.textContent = `FPS: ${this.fps}`;
+                performanceInfo.textContent = text;
             } else {
                 const p = document.createElement('p');
                 p.className = 'performance';
-                p.textContent = `FPS: ${this.fps}`;
+                p.textContent = text;
                 info.appendChild(p);
             }
         }
     }
     
+    // 场景中相对黑洞中心的位移 (场景单位) 换算为 Boyer-Lindquist 坐标: r 以 M 为单位, theta 相对自旋轴 (世界 -y)
+    // 与盘面网格、测地线着色器使用的场景半径相同; 视界网格放大绘制, 不参与换算。物理量读数与探测器都经由这里取半径
+    toBoyerLindquist(offset) {
+        const M = this.blackHoleMass;
+        const r = Math.max(boyerLindquistRadius(offset.lengthSq() / (M * M), -offset.y / M, this.blackHoleSpin), 1e-6);
+        return { r, theta: Math.acos(THREE.MathUtils.clamp(-offset.y / (r * M), -1, 1)) };
+    }
+    
+    // toBoyerLindquist 的逆变换: 沿 direction 方向、Boyer-Lindquist 半径为 r (M) 的点到黑洞中心的场景距离
+    toSceneDistance(r, direction) {
+        const a = this.blackHoleSpin;
+        const cosTheta = -direction.y / direction.length();
+        return this.blackHoleMass * Math.sqrt((r * r + a * a) / (1 + (a * a * cosTheta * cosTheta) / (r * r)));
+    }
+    
+    // 物理量读数: 半径取自网格使用的场景半径, 相机位置相对黑洞中心, 按 massSolar 换算为真实单位
+    getPhysicsReadout() {
+        const M = this.blackHoleMass;
+        const offset = this._observerTmpVecA.copy(this.camera.position).sub(this.blackHoleGroup.position);
+        const lines = physicsReadoutLines({
+            massSolar: this.blackHoleMassSolar,
+            spin: this.blackHoleSpin,
+            radii: {
+                horizon: this.horizonRadius / M,
+                horizonMesh: this.eventHorizonRadius / M,
+                photonSphere: this.photonSphereRadius / M,
+                isco: this.iscoRadius / M
+            },
+            camera: this.toBoyerLindquist(offset),
+            observerSpeed: this.observerVelocity.length()
+        });
+        if (this.binaryState) {
+            lines.push(...binaryReadoutLines({
+                massSolar: this.blackHoleMassSolar,
+                massRatio: this.companionMassRatio,
+                separation: this.binaryState.separation
+            }));
+        }
+        if (this.scriptedEvent && this.scriptedEventType === 'tde') {
+            lines.push(...tidalDisruptionReadoutLines(this.scriptedEvent, this.blackHoleMassSolar));
+        }
+        if (this.probes.length > 0) {
+            lines.push(...probeReadoutLines(this.probes[this.probes.length - 1], this.blackHoleMassSolar));
+        }
+        return lines;
+    }
+    
+    updatePhysicsReadout() {
+        const info = this.container.querySelector('#info');
+        if (!info) {
+            return;
+        }
+        let readout = info.querySelector('.physics');
+        if (!readout) {
+            readout = document.createElement('div');
+            readout.className = 'physics';
+            info.appendChild(readout);
+        }
+        readout.hidden = !this.physicsHud;
+        if (this.physicsHud) {
+            readout.textContent = this.getPhysicsReadout().join('\n');
+        }
+    }
+    
     hideLoading() {
-        const loading = document.getElementById('loading');
-        const info = document.getElementById('info');
-        const controls = document.getElementById('controls');
+        const loading = this.container.querySelector('#loading');
+        const info = this.container.querySelector('#info');
+        const controls = this.container.querySelector('#controls');
         
         if (loading) loading.classList.add('hidden');
         if (info) info.classList.remove('hidden');
         if (controls) controls.classList.remove('hidden');
     }
-}
-
-// 初始化应用
-window.addEventListener('DOMContentLoaded', () => {
-    new BlackHoleVisualizer();
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { DEFAULT_OPTIONS, parseQueryOptions } from './src/options.js';
+import { BRIGHT_STARS, parseStarCatalog } from './src/starCatalog.js';
+import { ReferenceRenderer } from './src/referenceRenderer.js';
+import { shadowPolarRadii } from './src/physics/kerr.js';
+
+// 离线参考渲染: node render.js spin=0.9 width=1280 height=720 out=blackhole.png
+// 可视化器参数与 URL 查询参数写法相同 (key=value), 另有以下渲染参数:
+//   width / height  图像尺寸 (像素)          out        输出 PNG 路径
+//   distance        相机到黑洞的距离 (场景单位) polar      相机极角 (度, 0 为正上方, 90 为侧视)
+//   azimuth         相机方位角 (度)           fov        垂直视场 (度)
+//   time            模拟时间 (秒)             samples    每像素每轴的子采样数
+//   stepScale       测地线步长                smoothDisk 1 时以平均花纹代替盘面花纹
+//   catalog         星表文件路径 (CSV)        shadow     测量阴影边缘的方向数, 0 为不测量
+
+const RENDER_DEFAULTS = {
+    width: 640,
+    height: 360,
+    out: 'blackhole.png',
+    distance: 30,
+    polar: 90,
+    azimuth: 0,
+    fov: 75,
+    time: 0,
+    samples: 2,
+    stepScale: 0.01,
+    smoothDisk: 0,
+    catalog: '',
+    shadow: 8
+};
+
+const args = new URLSearchParams(process.argv.slice(2).join('&'));
+const settings = { ...RENDER_DEFAULTS };
+args.forEach((text, key) => {
+    if (key in RENDER_DEFAULTS) {
+        const value = typeof RENDER_DEFAULTS[key] === 'number' ? Number(text) : text;
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            console.warn(`忽略无效的参数 ${key}=${text}`);
+            return;
+        }
+        settings[key] = value;
+    } else if (!(key in DEFAULT_OPTIONS)) {
+        console.warn(`未知参数 ${key}`);
+    }
+});
+const options = parseQueryOptions(args.toString());
+
+// 相机位置与 BlackHoleVisualizer.updateCamera 相同: 以目标点 (黑洞) 为中心的球坐标, 极角限制在 minPolarAngle ~ maxPolarAngle
+const minPolar = options.minPolarAngle ?? DEFAULT_OPTIONS.minPolarAngle;
+const maxPolar = options.maxPolarAngle ?? DEFAULT_OPTIONS.maxPolarAngle;
+const phi = Math.min(Math.max((settings.polar * Math.PI) / 180, minPolar), maxPolar);
+const theta = (settings.azimuth * Math.PI) / 180;
+const camera = {
+    position: [
+        settings.distance * Math.sin(phi) * Math.cos(theta),
+        settings.distance * Math.cos(phi),
+        settings.distance * Math.sin(phi) * Math.sin(theta)
+    ],
+    target: [0, 0, 0],
+    fov: settings.fov
+};
+
+const renderer = new ReferenceRenderer(options, {
+    camera,
+    time: settings.time,
+    starCatalog: settings.catalog ? parseStarCatalog(readFileSync(settings.catalog, 'utf8')) : BRIGHT_STARS,
+    samples: settings.samples,
+    stepScale: settings.stepScale,
+    smoothDisk: settings.smoothDisk > 0
+});
+
+const width = Math.max(1, Math.round(settings.width));
+const height = Math.max(1, Math.round(settings.height));
+const start = Date.now();
+let reported = -1;
+const png = renderer.renderPng(width, height, progress => {
+    const percent = Math.floor(progress * 100);
+    if (percent !== reported) {
+        reported = percent;
+        process.stdout.write(`\r渲染中 ${percent}%`);
+    }
+});
+writeFileSync(settings.out, png);
+console.log(`\n已写入 ${settings.out} (${width}×${height}, ${((Date.now() - start) / 1000).toFixed(1)} 秒)`);
+
+// 阴影边缘: 追踪结果与 Bardeen 临界曲线的解析值对比 (M 为单位, 从顺行一侧起逆时针)
+const count = Math.max(0, Math.round(settings.shadow));
+if (count > 0) {
+    const inclination = Math.acos(Math.min(Math.max(-camera.position[1] / settings.distance, -1), 1));
+    const analytic = shadowPolarRadii(renderer.spin, inclination, count);
+    console.log(`阴影半径 (M), a = ${renderer.spin}, 倾角 ${((inclination * 180) / Math.PI).toFixed(1)}°:`);
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const measured = renderer.shadowRadius(angle);
+        console.log(`  ${((angle * 180) / Math.PI).toFixed(0).padStart(3)}°  追踪 ${measured.toFixed(4)}  解析 ${analytic[i].toFixed(4)}`);
+    }
+}
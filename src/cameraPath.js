@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+
+// 相机路径: 关键帧 { time, position, target, fov, easing }, 按时间沿 Catmull-Rom 样条插值
+// units 为 'M' 时位置以几何质量 M 为单位, 回放时按黑洞大小缩放; 'scene' 为场景单位
+// 路径本身是纯 JSON, 可直接保存与载入
+
+export const EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+// 从远处俯冲到光子球外侧 (以 M 为单位; 史瓦西光子球位于 3M)
+export const APPROACH_GARGANTUA = {
+    name: '接近 Gargantua',
+    units: 'M',
+    easing: 'easeInOutSine',
+    keyframes: [
+        { time: 0, position: [0, 45, 160], target: [0, 0, 0], fov: 40 },
+        { time: 8, position: [70, 18, 70], target: [0, 0, 0], fov: 50 },
+        { time: 15, position: [30, 6, -18], target: [0, 0, 0], fov: 60 },
+        { time: 21, position: [-4, 1.4, -11], target: [0, 0, 0], fov: 70 },
+        { time: 26, position: [-3.2, 0.5, -1.6], target: [0, 0, 0], fov: 80 }
+    ]
+};
+
+export function cameraPathDuration(path) {
+    const keyframes = path.keyframes;
+    return keyframes.length > 0 ? keyframes[keyframes.length - 1].time : 0;
+}
+
+// 校验并整理从 JSON 读入的路径 (关键帧按时间排序)
+export function parseCameraPath(json) {
+    const path = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!path || !Array.isArray(path.keyframes) || path.keyframes.length === 0) {
+        throw new Error('相机路径至少需要一个关键帧');
+    }
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    path.keyframes.forEach((keyframe, index) => {
+        if (!Number.isFinite(keyframe.time) || !isVector(keyframe.position) || !isVector(keyframe.target)) {
+            throw new Error(`第 ${index + 1} 个关键帧格式无效`);
+        }
+    });
+    return {
+        name: path.name || '相机路径',
+        units: path.units === 'M' ? 'M' : 'scene',
+        easing: path.easing in EASINGS ? path.easing : 'linear',
+        keyframes: [...path.keyframes].sort((a, b) => a.time - b.time)
+    };
+}
+
+// 样条按关键帧缓存, 同一条路径重复采样时不再重建
+const curveCache = new WeakMap();
+
+function getCurves(path) {
+    let curves = curveCache.get(path);
+    if (!curves) {
+        const toVectors = key => path.keyframes.map(keyframe => new THREE.Vector3().fromArray(keyframe[key]));
+        curves = {
+            position: new THREE.CatmullRomCurve3(toVectors('position'), false, 'centripetal'),
+            target: new THREE.CatmullRomCurve3(toVectors('target'), false, 'centripetal')
+        };
+        curveCache.set(path, curves);
+    }
+    return curves;
+}
+
+// 采样路径时间 time 处的相机姿态 (结果写入 out: { position, target, fov })
+// 整条路径先按 path.easing 重映射时间, 每段再按起点关键帧的 easing 插值
+export function sampleCameraPath(path, time, out) {
+    const keyframes = path.keyframes;
+    const duration = cameraPathDuration(path);
+    const last = keyframes.length - 1;
+    if (last === 0 || duration <= 0) {
+        out.position.fromArray(keyframes[0].position);
+        out.target.fromArray(keyframes[0].target);
+        out.fov = keyframes[0].fov || 75;
+        return out;
+    }
+
+    const pathEasing = EASINGS[path.easing] || EASINGS.linear;
+    const t = keyframes[0].time + pathEasing(THREE.MathUtils.clamp(time / duration, 0, 1)) * (duration - keyframes[0].time);
+
+    let index = 0;
+    while (index < last - 1 && t >= keyframes[index + 1].time) {
+        index++;
+    }
+    const start = keyframes[index];
+    const end = keyframes[index + 1];
+    const span = Math.max(end.time - start.time, 1e-6);
+    const segmentEasing = EASINGS[start.easing] || EASINGS.linear;
+    const local = segmentEasing(THREE.MathUtils.clamp((t - start.time) / span, 0, 1));
+
+    // CatmullRomCurve3 的参数在关键帧之间均匀分布
+    const u = (index + local) / last;
+    const curves = getCurves(path);
+    curves.position.getPoint(u, out.position);
+    curves.target.getPoint(u, out.target);
+    out.fov = THREE.MathUtils.lerp(start.fov || 75, end.fov || 75, local);
+    return out;
+}
@@ -0,0 +1,53 @@
+// 模拟时钟: 按真实帧间隔推进, 支持时间倍率、暂停、单步与跳转
+// 所有动画都只依赖 time, 因此画面与显示器刷新率无关
+
+export class SimulationClock {
+    constructor({ timeScale = 1, maxDelta = 0.1 } = {}) {
+        this.time = 0;
+        this.delta = 0;
+        this.realDelta = 0;         // 未经倍率与暂停影响的真实帧间隔, 用于相机等交互
+        this.rawDelta = 0;          // 未经 maxDelta 截断的真实帧间隔, 用于画质调节等需要真实帧耗时的场合
+        this.timeScale = timeScale;
+        this.maxDelta = maxDelta;   // 单帧最大真实间隔 (秒), 避免切换标签页后时间跳跃
+        this.paused = false;
+        this.pendingStep = 0;
+        this.lastNow = null;
+    }
+
+    // 每帧调用一次, 返回本帧推进的模拟时间
+    update(now = performance.now()) {
+        const rawDelta = this.lastNow === null ? 0 : (now - this.lastNow) / 1000;
+        const realDelta = Math.min(rawDelta, this.maxDelta);
+        this.lastNow = now;
+        this.rawDelta = rawDelta;
+        this.realDelta = realDelta;
+
+        this.delta = (this.paused ? 0 : realDelta * this.timeScale) + this.pendingStep;
+        this.pendingStep = 0;
+        this.time += this.delta;
+        return this.delta;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    // 单步: 在下一次 update() 时推进 dt (通常在暂停时使用)
+    step(dt = 1 / 60) {
+        this.pendingStep += dt;
+    }
+
+    setTime(time) {
+        this.time = time;
+        this.pendingStep = 0;
+    }
+
+    // 渲染循环暂停后恢复时调用, 下一帧不计入暂停期间的真实时间
+    resetDelta() {
+        this.lastNow = null;
+    }
+}
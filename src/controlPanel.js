@@ -0,0 +1,305 @@
+import { GUI } from 'three/examples/jsm/libs/lil-gui.module.min.js';
+import { BUILTIN_PRESETS, deleteUserPreset, loadUserPresets, saveUserPreset } from './presets.js';
+import { downloadBlob } from './exporter.js';
+import { APPROACH_GARGANTUA } from './cameraPath.js';
+
+// 可折叠的参数面板: 所有修改都通过 visualizer.setParams() 生效,
+// 键盘快捷键等外部修改后由 setParams() 调用 refresh() 同步显示
+
+export function createControlPanel(visualizer, { container } = {}) {
+    const gui = new GUI({ title: '控制面板', container });
+    gui.close();
+    // 固定在挂载元素的右上角, 同一页面的多个实例各自拥有面板
+    Object.assign(gui.domElement.style, { position: 'absolute', top: '0', right: '0', zIndex: '150' });
+
+    const state = {
+        preset: '',
+        presetName: '',
+        resetInnerRadius() {
+            visualizer.setParams({ diskInnerRadius: null });
+        },
+        // 从本地文件载入全景图或星表
+        loadPanorama() {
+            chooseFile('image/*', file => visualizer.loadPanorama(file).then(() => {
+                visualizer.setParams({ skyBackground: 'panorama' });
+            }));
+        },
+        loadStarCatalog() {
+            chooseFile('.csv,.json', file => visualizer.loadStarCatalog(file).then(() => {
+                visualizer.setParams({ skyBackground: 'stars' });
+            }));
+        },
+        savePreset() {
+            const name = state.presetName.trim() || `预设 ${Object.keys(loadUserPresets()).length + 1}`;
+            saveUserPreset(name, visualizer.getParams());
+            state.preset = `user:${name}`;
+            state.presetName = '';
+            buildPresetControls();
+        },
+        triggerTidalDisruption() {
+            visualizer.triggerTidalDisruption();
+        },
+        stopEvent() {
+            visualizer.stopEvent();
+        },
+        launchProbe() {
+            visualizer.launchProbe();
+        },
+        clearProbes() {
+            visualizer.clearProbes();
+        },
+        deletePreset() {
+            if (!state.preset.startsWith('user:')) {
+                return;
+            }
+            deleteUserPreset(state.preset.slice('user:'.length));
+            state.preset = '';
+            buildPresetControls();
+        }
+    };
+
+    // 盘内缘为 null 时显示实际采用的 ISCO 半径
+    const syncState = () => {
+        Object.assign(state, visualizer.getParams());
+        if (state.diskInnerRadius === null) {
+            state.diskInnerRadius = visualizer.accretionDiskInnerRadius / visualizer.blackHoleMass;
+        }
+    };
+    syncState();
+
+    const set = key => value => visualizer.setParams({ [key]: value });
+    
+    const chooseFile = (accept, load) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.onchange = () => {
+            if (input.files.length > 0) {
+                load(input.files[0]).catch(error => console.error('无法载入文件:', error));
+            }
+        };
+        input.click();
+    };
+
+    const applyPreset = value => {
+        const separator = value.indexOf(':');
+        const source = value.slice(0, separator);
+        const name = value.slice(separator + 1);
+        const preset = source === 'builtin' ? BUILTIN_PRESETS[name] : loadUserPresets()[name];
+        if (preset) {
+            visualizer.setParams(preset);
+        }
+    };
+
+    // 预设: 下拉框选项随用户预设变化, 整个文件夹重建
+    const presetFolder = gui.addFolder('预设');
+    const buildPresetControls = () => {
+        presetFolder.controllers.slice().forEach(controller => controller.destroy());
+        const options = { '—': '' };
+        Object.keys(BUILTIN_PRESETS).forEach(name => {
+            options[name] = `builtin:${name}`;
+        });
+        Object.keys(loadUserPresets()).forEach(name => {
+            options[`★ ${name}`] = `user:${name}`;
+        });
+        presetFolder.add(state, 'preset', options).name('选择预设').onChange(value => {
+            if (value) {
+                applyPreset(value);
+            }
+        });
+        presetFolder.add(state, 'presetName').name('预设名称');
+        presetFolder.add(state, 'savePreset').name('保存当前参数');
+        presetFolder.add(state, 'deletePreset').name('删除所选用户预设');
+    };
+    buildPresetControls();
+
+    // 自旋、半径与粒子数量的修改需要重建网格, 松开滑块后才生效
+    const holeFolder = gui.addFolder('黑洞');
+    holeFolder.add(state, 'spin', 0, 0.999, 0.001).name('自旋 a').onFinishChange(set('spin'));
+    holeFolder.add(state, 'lensStrength', 0, 3, 0.05).name('透镜强度').onChange(set('lensStrength'));
+    holeFolder.add(state, 'lensingMode', visualizer.lensingModes).name('透镜模式').onChange(set('lensingMode'));
+    holeFolder.add(state, 'dopplerBeaming').name('多普勒聚束').onChange(set('dopplerBeaming'));
+    holeFolder.add(state, 'gravitationalRedshift').name('引力红移').onChange(set('gravitationalRedshift'));
+    holeFolder.add(state, 'observerMotion', { '静止': 'off', '随相机运动': 'camera', '圆轨道': 'orbit' })
+        .name('观测者运动').onChange(set('observerMotion'));
+    holeFolder.add(state, 'observerSpeedScale', 0.005, 0.5, 0.005).name('相机速度倍率').onChange(set('observerSpeedScale'));
+    holeFolder.add(state, 'maxObserverSpeed', 0, 0.99, 0.01).name('速度上限 (c)').onChange(set('maxObserverSpeed'));
+
+    const diskFolder = gui.addFolder('吸积盘');
+    diskFolder.add(state, 'diskInnerRadius', 1, 20, 0.1).name('内缘 (M)').onFinishChange(set('diskInnerRadius'));
+    diskFolder.add(state, 'resetInnerRadius').name('内缘取 ISCO');
+    diskFolder.add(state, 'diskOuterRadius', 8, 60, 1).name('外缘 (M)').onFinishChange(set('diskOuterRadius'));
+    diskFolder.add(state, 'particleCount', 10000, 1000000, 10000).name('粒子数量').onFinishChange(set('particleCount'));
+    diskFolder.add(state, 'particleViscosity', 0, 0.5, 0.01).name('粘滞系数').onChange(set('particleViscosity'));
+    diskFolder.add(state, 'diskModel', { '薄盘': 'thin', '厚盘 (体积)': 'thick' }).name('盘模型').onChange(set('diskModel'));
+    diskFolder.add(state, 'diskScaleHeight', 0.02, 0.5, 0.01).name('厚盘标高 H/R').onFinishChange(set('diskScaleHeight'));
+    diskFolder.add(state, 'diskOpacity', 0, 20, 0.1).name('厚盘光学深度').onChange(set('diskOpacity'));
+
+    const jetFolder = gui.addFolder('喷流');
+    jetFolder.close();
+    jetFolder.add(state, 'jets').name('相对论喷流').onChange(set('jets'));
+    jetFolder.add(state, 'jetSpeed', 0, 0.999, 0.001).name('速度 (c)').onChange(set('jetSpeed'));
+    jetFolder.add(state, 'jetOpeningAngle', 0.01, 0.4, 0.01).name('半张角 (弧度)').onChange(set('jetOpeningAngle'));
+    jetFolder.add(state, 'jetLength', 10, 100, 1).name('长度 (M)').onChange(set('jetLength'));
+    jetFolder.add(state, 'jetBrightness', 0, 5, 0.05).name('亮度').onChange(set('jetBrightness'));
+
+    const binaryFolder = gui.addFolder('双黑洞');
+    binaryFolder.close();
+    binaryFolder.add(state, 'binary').name('双黑洞').onChange(set('binary'));
+    binaryFolder.add(state, 'binaryMassRatio', 0.05, 1, 0.01).name('质量比 q').onFinishChange(set('binaryMassRatio'));
+    binaryFolder.add(state, 'binarySeparation', 12, 60, 1).name('初始间距 (M)').onFinishChange(set('binarySeparation'));
+    binaryFolder.add(state, 'binaryTimeScale', 10, 500, 10).name('轨道时间倍率 (M/秒)').onFinishChange(set('binaryTimeScale'));
+    binaryFolder.add(state, 'binaryInspiralScale', 1, 50, 0.5).name('旋近加速').onFinishChange(set('binaryInspiralScale'));
+
+    // 探测器从相机位置沿视线方向发射
+    const probeFolder = gui.addFolder('探测器');
+    probeFolder.close();
+    probeFolder.add(state, 'probeSpeed', 0, 0.95, 0.01).name('发射速度 (c)').onChange(set('probeSpeed'));
+    probeFolder.add(state, 'probeTimeScale', 1, 100, 1).name('时间尺度 (M/秒)').onChange(set('probeTimeScale'));
+    probeFolder.add(state, 'launchProbe').name('发射探测器');
+    probeFolder.add(state, 'clearProbes').name('清除探测器');
+
+    // 脚本事件: 参数在触发时读取
+    const eventFolder = gui.addFolder('事件');
+    eventFolder.close();
+    eventFolder.add(state, 'tdeStarMass', 0.1, 10, 0.1).name('恒星质量 (M☉)').onChange(set('tdeStarMass'));
+    eventFolder.add(state, 'tdeStarRadius', 0.1, 10, 0.1).name('恒星半径 (R☉)').onChange(set('tdeStarRadius'));
+    eventFolder.add(state, 'tdePenetration', 0.5, 5, 0.1).name('穿透因子 β').onChange(set('tdePenetration'));
+    eventFolder.add(state, 'triggerTidalDisruption').name('触发潮汐瓦解');
+    eventFolder.add(state, 'stopEvent').name('结束事件');
+
+    const viewFolder = gui.addFolder('视图');
+    viewFolder.add(state, 'exposure', 0.1, 3, 0.05).name('曝光').onChange(set('exposure'));
+    viewFolder.add(state, 'physicsHud').name('物理量读数').onChange(set('physicsHud'));
+    viewFolder.add(state, 'overlays').name('教学叠加层').onChange(set('overlays'));
+    viewFolder.add(state, 'outputMode', { '单视图': 'normal', '左右并排立体': 'stereo', '红青立体': 'anaglyph', '360° 全景': 'equirect' })
+        .name('输出模式').onChange(set('outputMode'));
+    viewFolder.add(state, 'stereoSeparation', 0, 0.1, 0.005).name('立体眼距').onChange(set('stereoSeparation'));
+    viewFolder.add(state, 'quality', { '自动': 'auto', '低': 'low', '中': 'medium', '高': 'high', '极高': 'ultra' })
+        .name('画质').onChange(set('quality'));
+    viewFolder.add(state, 'targetFps', 20, 144, 1).name('目标帧率').onFinishChange(set('targetFps'));
+    viewFolder.add(state, 'autoRotate').name('自动旋转').onChange(set('autoRotate'));
+    viewFolder.add(state, 'autoRotateSpeed', 0, 3, 0.05).name('旋转速度').onChange(set('autoRotateSpeed'));
+    viewFolder.add(state, 'skyBackground', { '星表': 'stars', '全景图': 'panorama', '经纬网格': 'grid', '棋盘格': 'checker' })
+        .name('背景天空').onChange(set('skyBackground'));
+    viewFolder.add(state, 'loadPanorama').name('载入全景图');
+    viewFolder.add(state, 'loadStarCatalog').name('载入星表 (HYG CSV)');
+
+    // HDR 后期处理: 每个效果单独开关与调节
+    const postFolder = gui.addFolder('后期处理');
+    postFolder.close();
+    postFolder.add(state, 'bloom').name('泛光').onChange(set('bloom'));
+    postFolder.add(state, 'bloomStrength', 0, 3, 0.05).name('泛光强度').onChange(set('bloomStrength'));
+    postFolder.add(state, 'bloomThreshold', 0, 8, 0.05).name('泛光阈值').onChange(set('bloomThreshold'));
+    postFolder.add(state, 'bloomRadius', 0, 1, 0.01).name('泛光半径').onChange(set('bloomRadius'));
+    postFolder.add(state, 'glare').name('变形镜头眩光').onChange(set('glare'));
+    postFolder.add(state, 'glareStrength', 0, 2, 0.05).name('眩光强度').onChange(set('glareStrength'));
+    postFolder.add(state, 'glareThreshold', 0, 8, 0.05).name('眩光阈值').onChange(set('glareThreshold'));
+    postFolder.add(state, 'glareLength', 0, 1, 0.01).name('眩光长度').onChange(set('glareLength'));
+    postFolder.add(state, 'chromaticAberration').name('色差').onChange(set('chromaticAberration'));
+    postFolder.add(state, 'chromaticAberrationStrength', 0, 0.02, 0.0005).name('色差强度').onChange(set('chromaticAberrationStrength'));
+    postFolder.add(state, 'filmGrain').name('胶片颗粒与暗角').onChange(set('filmGrain'));
+    postFolder.add(state, 'grainIntensity', 0, 0.3, 0.005).name('颗粒强度').onChange(set('grainIntensity'));
+    postFolder.add(state, 'vignetteIntensity', 0, 1, 0.01).name('暗角强度').onChange(set('vignetteIntensity'));
+
+    // 相机路径: 录制关键帧、回放, 以 JSON 保存与载入
+    const pathActions = {
+        record() {
+            const count = visualizer.recordCameraKeyframe();
+            recordController.name(`记录关键帧 (${count})`);
+        },
+        clear() {
+            visualizer.clearCameraRecording();
+            recordController.name('记录关键帧');
+        },
+        playRecorded() {
+            const path = visualizer.getRecordedCameraPath();
+            if (path) {
+                visualizer.playCameraPath(path);
+            }
+        },
+        playGargantua() {
+            visualizer.playCameraPath(APPROACH_GARGANTUA);
+        },
+        stop() {
+            visualizer.stopCameraPath();
+        },
+        save() {
+            const path = visualizer.getRecordedCameraPath();
+            if (path) {
+                downloadBlob(new Blob([JSON.stringify(path, null, 2)], { type: 'application/json' }), 'camera-path.json');
+            }
+        },
+        load() {
+            chooseFile('.json,application/json', async file => visualizer.playCameraPath(await file.text()));
+        }
+    };
+    const pathFolder = gui.addFolder('相机路径');
+    pathFolder.close();
+    const recordController = pathFolder.add(pathActions, 'record').name('记录关键帧');
+    pathFolder.add(pathActions, 'clear').name('清除录制');
+    pathFolder.add(pathActions, 'playRecorded').name('回放录制路径');
+    pathFolder.add(pathActions, 'playGargantua').name('接近 Gargantua');
+    pathFolder.add(pathActions, 'stop').name('停止回放');
+    pathFolder.add(pathActions, 'save').name('保存路径 JSON');
+    pathFolder.add(pathActions, 'load').name('载入路径 JSON');
+
+    // 离线导出: 按固定分辨率与帧率渲染, 完成后下载
+    const exportState = {
+        width: 1920,
+        height: 1080,
+        fps: 30,
+        duration: 5,
+        format: 'png',
+        stillWidth: 7680,
+        stillHeight: 4320
+    };
+    const exportFolder = gui.addFolder('导出');
+    exportFolder.close();
+    exportFolder.add(exportState, 'width', 16, 8192, 1).name('宽度');
+    exportFolder.add(exportState, 'height', 16, 8192, 1).name('高度');
+    exportFolder.add(exportState, 'fps', 1, 120, 1).name('帧率');
+    exportFolder.add(exportState, 'duration', 0.1, 120, 0.1).name('时长 (秒)');
+    exportFolder.add(exportState, 'format', { 'PNG 序列 (zip)': 'png', 'WebM 视频': 'webm' }).name('格式');
+    exportFolder.add(exportState, 'stillWidth', 16, 16384, 1).name('静帧宽度');
+    exportFolder.add(exportState, 'stillHeight', 16, 16384, 1).name('静帧高度');
+
+    const runExport = async (controller, label, task, filename) => {
+        const progress = fraction => controller.name(`${label} ${Math.round(fraction * 100)}%`);
+        controller.disable();
+        try {
+            downloadBlob(await task(progress), filename);
+        } catch (error) {
+            console.error('导出失败:', error);
+        } finally {
+            controller.name(label).enable();
+        }
+    };
+    const exportActions = {
+        exportFrames() {
+            const { width, height, fps, duration, format } = exportState;
+            runExport(framesController, '导出序列',
+                onProgress => visualizer.exportFrames({ width, height, fps, duration, format, onProgress }),
+                format === 'webm' ? 'blackhole.webm' : 'blackhole-frames.zip');
+        },
+        exportStill() {
+            const { stillWidth: width, stillHeight: height } = exportState;
+            runExport(stillController, '导出高清静帧',
+                onProgress => visualizer.exportStill({ width, height, onProgress }),
+                'blackhole.png');
+        }
+    };
+    const framesController = exportFolder.add(exportActions, 'exportFrames').name('导出序列');
+    const stillController = exportFolder.add(exportActions, 'exportStill').name('导出高清静帧');
+
+    return {
+        gui,
+        refresh() {
+            syncState();
+            gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+        },
+        dispose() {
+            gui.destroy();
+        }
+    };
+}
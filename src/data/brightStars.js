@@ -0,0 +1,105 @@
+// 全天最亮的约一百颗恒星 (取自 Yale 亮星星表, J2000)
+// 每项: [名称, 赤经 (小时), 赤纬 (度), 视星等 V, 色指数 B−V]
+// 更暗的星由 createStarField() 按星等分布补齐, 也可以用 loadStarCatalog() 载入完整的 HYG 星表
+
+export const BRIGHT_STARS = [
+    ['Sirius', 6.752, -16.716, -1.46, 0.00],
+    ['Canopus', 6.399, -52.696, -0.74, 0.15],
+    ['Arcturus', 14.261, 19.182, -0.05, 1.23],
+    ['Rigil Kentaurus', 14.660, -60.835, -0.01, 0.71],
+    ['Vega', 18.616, 38.784, 0.03, 0.00],
+    ['Capella', 5.278, 45.998, 0.08, 0.80],
+    ['Rigel', 5.242, -8.202, 0.13, -0.03],
+    ['Procyon', 7.655, 5.225, 0.34, 0.42],
+    ['Achernar', 1.629, -57.237, 0.46, -0.16],
+    ['Betelgeuse', 5.919, 7.407, 0.50, 1.85],
+    ['Hadar', 14.064, -60.373, 0.61, -0.23],
+    ['Altair', 19.846, 8.868, 0.77, 0.22],
+    ['Acrux', 12.443, -63.099, 0.77, -0.24],
+    ['Aldebaran', 4.599, 16.509, 0.85, 1.54],
+    ['Antares', 16.490, -26.432, 0.96, 1.83],
+    ['Spica', 13.420, -11.161, 0.97, -0.23],
+    ['Pollux', 7.755, 28.026, 1.14, 1.00],
+    ['Fomalhaut', 22.961, -29.622, 1.16, 0.09],
+    ['Deneb', 20.690, 45.280, 1.25, 0.09],
+    ['Mimosa', 12.795, -59.689, 1.25, -0.23],
+    ['Regulus', 10.140, 11.967, 1.35, -0.11],
+    ['Adhara', 6.977, -28.972, 1.50, -0.21],
+    ['Castor', 7.577, 31.888, 1.58, 0.03],
+    ['Shaula', 17.560, -37.104, 1.62, -0.22],
+    ['Gacrux', 12.519, -57.113, 1.63, 1.59],
+    ['Bellatrix', 5.419, 6.350, 1.64, -0.22],
+    ['Elnath', 5.438, 28.608, 1.65, -0.13],
+    ['Miaplacidus', 9.220, -69.717, 1.68, 0.07],
+    ['Alnilam', 5.604, -1.202, 1.69, -0.18],
+    ['Alnair', 22.137, -46.961, 1.74, -0.13],
+    ['Alnitak', 5.679, -1.943, 1.74, -0.21],
+    ['Alioth', 12.900, 55.960, 1.77, -0.02],
+    ['Dubhe', 11.062, 61.751, 1.79, 1.07],
+    ['Mirfak', 3.405, 49.861, 1.79, 0.48],
+    ['Wezen', 7.140, -26.393, 1.83, 0.68],
+    ['Regor', 8.159, -47.337, 1.83, -0.22],
+    ['Kaus Australis', 18.403, -34.385, 1.85, -0.03],
+    ['Avior', 8.375, -59.510, 1.86, 1.28],
+    ['Alkaid', 13.792, 49.313, 1.86, -0.19],
+    ['Sargas', 17.622, -42.998, 1.87, 0.40],
+    ['Menkalinan', 5.992, 44.948, 1.90, 0.03],
+    ['Atria', 16.811, -69.028, 1.91, 1.45],
+    ['Alhena', 6.629, 16.399, 1.93, 0.00],
+    ['Peacock', 20.427, -56.735, 1.94, -0.20],
+    ['Alsephina', 8.745, -54.709, 1.95, 0.04],
+    ['Polaris', 2.530, 89.264, 1.98, 0.60],
+    ['Mirzam', 6.378, -17.956, 1.98, -0.23],
+    ['Alphard', 9.460, -8.659, 1.99, 1.44],
+    ['Hamal', 2.120, 23.462, 2.01, 1.15],
+    ['Algieba', 10.333, 19.842, 2.08, 1.13],
+    ['Diphda', 0.726, -17.987, 2.04, 1.02],
+    ['Nunki', 18.921, -26.297, 2.05, -0.13],
+    ['Menkent', 14.111, -36.370, 2.06, 1.01],
+    ['Mirach', 1.162, 35.621, 2.05, 1.58],
+    ['Alpheratz', 0.140, 29.091, 2.06, -0.11],
+    ['Rasalhague', 17.582, 12.560, 2.07, 0.15],
+    ['Kochab', 14.845, 74.156, 2.08, 1.47],
+    ['Saiph', 5.796, -9.670, 2.07, -0.17],
+    ['Tiaki', 22.711, -46.885, 2.07, 1.60],
+    ['Algol', 3.136, 40.956, 2.12, -0.05],
+    ['Denebola', 11.818, 14.572, 2.14, 0.09],
+    ['Muhlifain', 12.692, -48.960, 2.17, -0.01],
+    ['Aspidiske', 9.285, -59.275, 2.21, 0.18],
+    ['Naos', 8.060, -40.003, 2.21, -0.27],
+    ['Alphecca', 15.578, 26.715, 2.22, -0.02],
+    ['Mintaka', 5.533, -0.299, 2.23, -0.22],
+    ['Mizar', 13.399, 54.925, 2.23, 0.02],
+    ['Sadr', 20.370, 40.257, 2.23, 0.67],
+    ['Schedar', 0.675, 56.537, 2.24, 1.17],
+    ['Eltanin', 17.943, 51.489, 2.24, 1.52],
+    ['Caph', 0.153, 59.150, 2.28, 0.34],
+    ['Dschubba', 16.006, -22.622, 2.29, -0.12],
+    ['Larawag', 16.836, -34.293, 2.29, 1.15],
+    ['Epsilon Centauri', 13.665, -53.466, 2.30, -0.22],
+    ['Alpha Lupi', 14.699, -47.388, 2.30, -0.20],
+    ['Eta Centauri', 14.592, -42.158, 2.31, -0.19],
+    ['Merak', 11.031, 56.382, 2.37, -0.02],
+    ['Izar', 14.750, 27.074, 2.37, 0.97],
+    ['Enif', 21.736, 9.875, 2.39, 1.53],
+    ['Girtab', 17.708, -39.030, 2.39, -0.22],
+    ['Ankaa', 0.438, -42.306, 2.40, 1.09],
+    ['Scheat', 23.063, 28.083, 2.42, 1.67],
+    ['Sabik', 17.173, -15.725, 2.43, 0.06],
+    ['Phecda', 11.897, 53.695, 2.44, 0.04],
+    ['Aludra', 7.402, -29.303, 2.45, -0.08],
+    ['Markeb', 9.368, -55.011, 2.47, -0.18],
+    ['Navi', 0.945, 60.717, 2.47, -0.15],
+    ['Markab', 23.079, 15.205, 2.49, -0.04],
+    ['Menkar', 3.038, 4.090, 2.54, 1.64],
+    ['Zeta Ophiuchi', 16.619, -10.567, 2.56, 0.02],
+    ['Zosma', 11.235, 20.524, 2.56, 0.12],
+    ['Arneb', 5.546, -17.822, 2.58, 0.21],
+    ['Gienah', 12.263, -17.542, 2.59, -0.11],
+    ['Acrab', 16.091, -19.806, 2.62, -0.07],
+    ['Unukalhai', 15.738, 6.426, 2.63, 1.17],
+    ['Sheratan', 1.911, 20.808, 2.64, 0.13],
+    ['Ruchbah', 1.430, 60.235, 2.68, 0.13],
+    ['Alcyone', 3.791, 24.105, 2.87, -0.09],
+    ['Albireo', 19.512, 27.960, 3.08, 1.13]
+];
@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+import { debrisFragmentShader, debrisVertexShader } from './shaders/events.js';
+import { blackbodyColor } from './physics/blackbody.js';
+import { horizonRadius, marginallyBoundRadius } from './physics/kerr.js';
+import {
+    debrisEnergySpread,
+    keplerOrbitPosition,
+    keplerPeriod,
+    parabolicTime,
+    peakFallbackEddingtonRatio,
+    stellarRadius,
+    tidalRadius
+} from './physics/tidalDisruption.js';
+
+// 脚本事件: 从触发时刻开始沿模拟时间轴播放的一次性场景
+// 事件的状态只由触发后经过的模拟时间决定, 因此暂停、单步、跳转时间与离线导出都得到一致的画面
+// 事件类的构造函数接收 (context, options), 需实现:
+//   update(elapsed)   按触发后经过的时间 (秒) 更新物体, 返回 false 表示事件已结束
+//   diskHeating       事件对吸积盘的额外加热 (盘面温度倍率, 1 为无影响)
+//   phase             当前阶段的说明
+//   dispose()         移除并释放事件创建的物体
+// context: scene、layers (事件物体所在的图层)、uniforms (光行差、点大小与透镜分割的共享 uniforms)、random、
+//          blackHoleMass 与 horizonRadius (场景单位)、massSolar、spin、eddingtonRatio、params (触发时的参数)
+
+const DEBRIS_COUNT = 12000;
+// 动画中每个近心点动力学时间 sqrt(rp³) 对应的秒数
+const SECONDS_PER_DYNAMICAL_TIME = 0.3;
+// 最束缚碎屑的回落时间至多为近心点轨道周期的这么多倍; 真实的回落需要数周到数年, 在动画中按比例加速
+const FALLBACK_PERIODS = 5;
+// 恒星从 6 倍近心距处沿抛物线轨道出发
+const START_DISTANCE = 6;
+// 轨道平面与盘面的夹角 (弧度)
+const ORBIT_INCLINATION = 0.5;
+// 恒星表面与回落环的温度 (K), 决定二者的颜色
+const STAR_TEMPERATURE = 5800;
+const RING_TEMPERATURE = 30000;
+// 耀发时盘面温度的最大倍率
+const MAX_DISK_HEATING = 2.5;
+
+function chromaticity(temperature) {
+    const { r, g, b } = blackbodyColor(temperature);
+    return new THREE.Color(r, g, b);
+}
+
+// 潮汐瓦解: 恒星沿抛物线轨道接近黑洞, 在潮汐半径内被拉长, 于近心点瓦解为碎屑流;
+// 比能量为负的一半碎屑沿椭圆轨道回落, 回到近心点后环化为半径 2rp 的新环, 回落率 ∝ t^(-5/3) 的吸积使盘面耀发;
+// 另一半沿双曲线逃逸。潮汐半径在 Hills 质量以上落入视界之内, 此时恒星被整体吞没, 不产生耀发
+export class TidalDisruptionEvent {
+    constructor(context, options = {}) {
+        const { params } = context;
+        this.context = context;
+        this.starMass = options.starMass ?? params.tdeStarMass;
+        this.starRadius = options.starRadius ?? params.tdeStarRadius;
+        this.penetration = options.penetration ?? params.tdePenetration;
+        const { massSolar, spin } = context;
+
+        // 以下长度与时间均为几何单位 (M)
+        this.tidalRadius = tidalRadius(massSolar, this.starMass, this.starRadius);
+        this.pericenter = this.tidalRadius / this.penetration;
+        this.swallowed = this.pericenter < marginallyBoundRadius(spin);
+        // 整体吞没时让恒星径直越过视界
+        const rp = this.swallowed ? horizonRadius(spin) * 0.5 : this.pericenter;
+        this.orbitPericenter = rp;
+        this.pericenterSpeed = Math.sqrt(2 / rp);
+        this.dynamicalTime = Math.pow(rp, 1.5);
+
+        // 碎屑在近心点的径向弥散 δ 对应比能量 ε ≈ δ / rp²; 按回落时间的上限放大 (同时放大恒星的显示尺寸)
+        const realSpread = debrisEnergySpread(massSolar, this.starMass, this.starRadius) * rp * rp;
+        this.debrisSpread = Math.max(realSpread, rp / (2 * Math.pow(FALLBACK_PERIODS, 2 / 3)));
+        this.pericenterStretch = this.stretch(rp);
+        this.displayRadius = Math.max(this.debrisSpread / this.pericenterStretch, stellarRadius(massSolar, this.starRadius));
+        this.fallbackTime = keplerPeriod(this.debrisEnergy(-this.debrisSpread));
+        this.peakFallbackRatio = peakFallbackEddingtonRatio(massSolar, spin, this.starMass, this.starRadius);
+
+        this.startTime = -parabolicTime(rp, START_DISTANCE * this.pericenter);
+        this.endTime = this.swallowed ? 2 * this.dynamicalTime : 3 * this.fallbackTime;
+        this.diskHeating = 1;
+        this.phase = '';
+
+        // 轨道平面: 近心点方向 P, 近心点速度方向 Q 与法向 N; 与吸积盘同向公转 (盘面角动量沿世界 -y)
+        const inclination = ORBIT_INCLINATION;
+        this.axisP = new THREE.Vector3(1, 0, 0);
+        this.axisQ = new THREE.Vector3(0, Math.sin(inclination), Math.cos(inclination));
+        this.axisN = new THREE.Vector3().crossVectors(this.axisP, this.axisQ);
+
+        this.createDebris();
+    }
+
+    // 近心点处径向偏移 delta 的碎屑的比能量
+    debrisEnergy(delta) {
+        return (this.pericenterSpeed * this.pericenterSpeed) / 2 - 1 / (this.orbitPericenter + delta);
+    }
+
+    // 恒星在半径 r 处沿径向被拉长的倍数 (垂直方向按体积守恒压缩)
+    stretch(r) {
+        return Math.min(1 + 0.5 * Math.pow(this.tidalRadius / r, 3), 3);
+    }
+
+    createDebris() {
+        const { random, scene, layers, uniforms } = this.context;
+        this.offsets = new Float32Array(DEBRIS_COUNT * 3);
+        const sizes = new Float32Array(DEBRIS_COUNT);
+        for (let i = 0; i < DEBRIS_COUNT; i++) {
+            // 恒星内均匀分布, 中心更密 (半径取随机数的平方)
+            const radius = random() * random();
+            const cosTheta = random() * 2 - 1;
+            const phi = random() * Math.PI * 2;
+            const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+            this.offsets[i * 3] = radius * sinTheta * Math.cos(phi);
+            this.offsets[i * 3 + 1] = radius * sinTheta * Math.sin(phi);
+            this.offsets[i * 3 + 2] = radius * cosTheta;
+            sizes[i] = 0.5 + random();
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(DEBRIS_COUNT * 3);
+        this.intensities = new Float32Array(DEBRIS_COUNT);
+        this.heats = new Float32Array(DEBRIS_COUNT);
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('intensity', new THREE.BufferAttribute(this.intensities, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('heat', new THREE.BufferAttribute(this.heats, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+        const material = new THREE.ShaderMaterial({
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            uniforms: {
+                particleScale: { value: 1.5 },
+                starColor: { value: chromaticity(STAR_TEMPERATURE) },
+                ringColor: { value: chromaticity(RING_TEMPERATURE) },
+                ...uniforms
+            },
+            vertexShader: debrisVertexShader,
+            fragmentShader: debrisFragmentShader
+        });
+
+        this.debris = new THREE.Points(geometry, material);
+        // 位置由 CPU 每帧写入, 包围球随之变化, 关闭视锥剔除
+        this.debris.frustumCulled = false;
+        this.debris.layers.disableAll();
+        layers.forEach(layer => this.debris.layers.enable(layer));
+        scene.add(this.debris);
+    }
+
+    update(elapsed) {
+        const tau = this.startTime + (elapsed * this.dynamicalTime) / SECONDS_PER_DYNAMICAL_TIME;
+        this.debris.visible = elapsed >= 0;
+        this.debris.position.copy(this.context.uniforms.blackHolePos.value);
+        if (elapsed < 0) {
+            this.diskHeating = 1;
+            return true;
+        }
+        if (tau > this.endTime) {
+            this.diskHeating = 1;
+            return false;
+        }
+
+        if (tau < 0) {
+            this.updateApproach(tau);
+        } else {
+            this.updateDebris(tau);
+        }
+        this.updateFlare(tau);
+
+        const geometry = this.debris.geometry;
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.intensity.needsUpdate = true;
+        geometry.attributes.heat.needsUpdate = true;
+        return true;
+    }
+
+    // 瓦解前: 恒星整体沿抛物线运动, 进入潮汐半径附近后沿径向拉长
+    updateApproach(tau) {
+        const center = keplerOrbitPosition(this.orbitPericenter, this.pericenterSpeed, tau);
+        const r = Math.hypot(center[0], center[1]);
+        const radialX = center[0] / r;
+        const radialY = center[1] / r;
+        const stretch = this.stretch(r);
+        const radial = this.displayRadius * stretch;
+        const perpendicular = this.displayRadius / Math.sqrt(stretch);
+        // 越过视界 (显示的视界网格为真实视界的 1.5 倍) 后消失
+        const inside = r * this.context.blackHoleMass < this.context.horizonRadius;
+        this.phase = this.swallowed ? '恒星坠向黑洞' : (r < this.tidalRadius ? '潮汐拉伸' : '恒星接近');
+
+        for (let i = 0; i < DEBRIS_COUNT; i++) {
+            const ox = this.offsets[i * 3] * radial;
+            const oy = this.offsets[i * 3 + 1] * perpendicular;
+            this.writeParticle(i, center[0] + ox * radialX - oy * radialY, center[1] + ox * radialY + oy * radialX,
+                this.offsets[i * 3 + 2] * perpendicular);
+            this.intensities[i] = inside ? 0 : 0.6;
+            this.heats[i] = 0;
+        }
+    }
+
+    // 瓦解后: 每块碎屑沿各自的开普勒轨道运动 (近心距 rp + δ, 近心点速度与恒星相同),
+    // 束缚碎屑回到近心点后环化: 半径过渡到角动量守恒的环化半径 h², 并逐渐被加热
+    updateDebris(tau) {
+        if (this.swallowed) {
+            this.intensities.fill(0);
+            this.phase = '恒星被整体吞没';
+            return;
+        }
+        this.phase = tau < this.fallbackTime ? '碎屑流' : '回落与耀发';
+        const vp = this.pericenterSpeed;
+        const radial = this.displayRadius * this.pericenterStretch;
+        const perpendicular = this.displayRadius / Math.sqrt(this.pericenterStretch);
+        const escapeFade = 1 - THREE.MathUtils.smoothstep(tau, this.fallbackTime, 2 * this.fallbackTime);
+        const point = [0, 0];
+
+        for (let i = 0; i < DEBRIS_COUNT; i++) {
+            const delta = this.offsets[i * 3] * radial;
+            const r0 = this.orbitPericenter + delta;
+            const height = this.offsets[i * 3 + 2] * perpendicular;
+            // 沿轨道方向的偏移折算为时间差
+            const t = tau + (this.offsets[i * 3 + 1] * perpendicular) / vp;
+            const energy = this.debrisEnergy(delta);
+            const period = energy < 0 ? keplerPeriod(energy) : Infinity;
+
+            if (t < period) {
+                keplerOrbitPosition(r0, vp, t, point);
+                this.writeParticle(i, point[0], point[1], height);
+                this.intensities[i] = energy < 0 ? 0.5 : 0.5 * escapeFade;
+                this.heats[i] = 0;
+                continue;
+            }
+
+            const circularRadius = r0 * r0 * vp * vp;
+            const since = t - period;
+            const circularPeriod = 2 * Math.PI * Math.pow(circularRadius, 1.5);
+            const settle = THREE.MathUtils.smoothstep(since, 0, circularPeriod * 0.5);
+            const ringRadius = THREE.MathUtils.lerp(r0, circularRadius * (1 + 0.1 * this.offsets[i * 3 + 1]), settle);
+            const angle = (2 * Math.PI * since) / circularPeriod;
+            this.writeParticle(i, ringRadius * Math.cos(angle), ringRadius * Math.sin(angle), height * (1 - 0.5 * settle));
+            this.intensities[i] = 0.5 + this.flareLevel * 1.5;
+            this.heats[i] = THREE.MathUtils.smoothstep(since, 0, circularPeriod);
+        }
+    }
+
+    // 回落率 (以峰值为 1) 决定耀发: 盘面有效吸积率增加 Ṁ_fb, 温度按 (Ṁ / Ṁ_disk)^(1/4) 升高
+    // 回落率通常比宁静盘面高出几个量级, 显示的升温以 MAX_DISK_HEATING 为上限并随回落率衰减, 保留 t^(-5/3) 的光变曲线
+    updateFlare(tau) {
+        const tMin = this.fallbackTime;
+        let level = 0;
+        if (!this.swallowed && tau > 0) {
+            const x = Math.max(tau / tMin, 1);
+            level = THREE.MathUtils.smoothstep(tau / tMin, 0.8, 1) * Math.pow(x, -5 / 3);
+            level *= 1 - THREE.MathUtils.smoothstep(tau, 0.75 * this.endTime, this.endTime);
+        }
+        this.flareLevel = level;
+        const ratio = this.context.eddingtonRatio;
+        const heating = Math.pow((ratio + this.peakFallbackRatio * level) / ratio, 0.25);
+        this.diskHeating = Math.min(heating, 1 + (MAX_DISK_HEATING - 1) * level);
+    }
+
+    // 轨道平面坐标 (x, y) 与法向高度 z (单位 M) 换算为世界坐标 (场景单位)
+    writeParticle(index, x, y, z) {
+        const M = this.context.blackHoleMass;
+        const P = this.axisP;
+        const Q = this.axisQ;
+        const N = this.axisN;
+        this.positions[index * 3] = (x * P.x + y * Q.x + z * N.x) * M;
+        this.positions[index * 3 + 1] = (x * P.y + y * Q.y + z * N.y) * M;
+        this.positions[index * 3 + 2] = (x * P.z + y * Q.z + z * N.z) * M;
+    }
+
+    dispose() {
+        this.context.scene.remove(this.debris);
+        this.debris.geometry.dispose();
+        this.debris.material.dispose();
+    }
+}
+
+// 可触发的脚本事件
+export const SCRIPTED_EVENTS = {
+    tde: TidalDisruptionEvent
+};
@@ -0,0 +1,119 @@
+import { zipSync, zlibSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// 离线导出的输出格式: PNG 序列打包为 zip, 或用 MediaRecorder 录制 WebM; 没有画布时 (Node 中的参考渲染) 由 encodePng 编码
+
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('无法读取画布内容'))), type);
+    });
+}
+
+export function frameFileName(index, extension = 'png') {
+    return `frame_${String(index).padStart(5, '0')}.${extension}`;
+}
+
+// files: { 文件名: Blob }; PNG 已经压缩过, zip 中直接存储
+export async function createZip(files) {
+    const entries = {};
+    for (const [name, blob] of Object.entries(files)) {
+        entries[name] = new Uint8Array(await blob.arrayBuffer());
+    }
+    return new Blob([zipSync(entries, { level: 0 })], { type: 'application/zip' });
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 8 位 RGBA 像素 (按行从上到下) 编码为 PNG, 不依赖画布; 每行使用 Sub 滤波, 对平滑的天空与盘面压缩较好
+export function encodePng(width, height, rgba) {
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        raw[row] = 1;
+        for (let x = 0; x < stride; x++) {
+            const value = rgba[y * stride + x];
+            raw[row + 1 + x] = x < 4 ? value : (value - rgba[y * stride + x - 4]) & 0xff;
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8);   // 位深 8, RGBA, 标准压缩与滤波, 不隔行
+
+    const chunks = [['IHDR', header], ['IDAT', zlibSync(raw, { level: 9 })], ['IEND', new Uint8Array(0)]];
+    const size = 8 + chunks.reduce((total, [, data]) => total + data.length + 12, 0);
+    const png = new Uint8Array(size);
+    const output = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    let offset = 8;
+    chunks.forEach(([type, data]) => {
+        output.setUint32(offset, data.length);
+        const typed = new Uint8Array(4 + data.length);
+        typed.set([...type].map(char => char.charCodeAt(0)));
+        typed.set(data, 4);
+        png.set(typed, offset + 4);
+        output.setUint32(offset + 8 + data.length, crc32(typed));
+        offset += data.length + 12;
+    });
+    return png;
+}
+
+// 逐帧录制画布: 每渲染一帧调用 addFrame(), 按帧率等待真实时间, 使视频时间轴与导出帧率一致
+export function createWebMRecorder(canvas, fps) {
+    if (typeof MediaRecorder === 'undefined') {
+        throw new Error('当前浏览器不支持 MediaRecorder');
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 40e6 });
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    recorder.start();
+
+    return {
+        addFrame() {
+            track.requestFrame();
+            return new Promise(resolve => setTimeout(resolve, 1000 / fps));
+        },
+        stop() {
+            return new Promise(resolve => {
+                recorder.onstop = () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                };
+                recorder.stop();
+            });
+        }
+    };
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
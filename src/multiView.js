@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { createPostMaterial } from './postProcessing.js';
+import { anaglyphShader, equirectShader, sideBySideShader } from './shaders/output.js';
+
+// 多视图输出: 立体 (左右并排 / 红青) 与 360° 等距柱状全景
+// 每个视图 (一只眼睛或立方体的一个面) 都以自己的相机完整地走一遍引力透镜渲染 (renderView(target, camera)),
+// 透镜中心、阴影形状与测地线都按该视图计算, 再合成为一幅 HDR 图像交给后期处理链
+// 视图的渲染目标在首次使用时创建, 尺寸随输出尺寸调整; 切换模式后由 release() 释放
+
+// 输出模式: normal (单视图) / stereo (左右并排) / anaglyph (红青立体) / equirect (360° 全景)
+export const OUTPUT_MODES = ['normal', 'stereo', 'anaglyph', 'equirect'];
+
+// 立方体六个面在水平参考系中的前方与上方 (顺序与 equirectShader 的纹理一致)
+const CUBE_FACES = [
+    ['tPositiveX', [1, 0, 0], [0, 1, 0]],
+    ['tNegativeX', [-1, 0, 0], [0, 1, 0]],
+    ['tPositiveY', [0, 1, 0], [0, 0, 1]],
+    ['tNegativeY', [0, -1, 0], [0, 0, -1]],
+    ['tPositiveZ', [0, 0, 1], [0, 1, 0]],
+    ['tNegativeZ', [0, 0, -1], [0, 1, 0]]
+];
+
+function createViewTarget() {
+    return new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, samples: 4 });
+}
+
+export class MultiViewRenderer {
+    constructor(renderView) {
+        this.renderView = renderView;
+        this.eyeCameras = [new THREE.PerspectiveCamera(), new THREE.PerspectiveCamera()];
+        this.faceCameras = CUBE_FACES.map(() => new THREE.PerspectiveCamera(90, 1));
+        this.eyeTargets = null;
+        this.faceTargets = null;
+        this.materials = {
+            stereo: createPostMaterial(sideBySideShader, { tLeft: { value: null }, tRight: { value: null } }),
+            anaglyph: createPostMaterial(anaglyphShader, { tLeft: { value: null }, tRight: { value: null } }),
+            equirect: createPostMaterial(equirectShader, Object.fromEntries(CUBE_FACES.map(([name]) => [name, { value: null }])))
+        };
+        this.fsQuad = new FullScreenQuad(null);
+        this._size = new THREE.Vector2();
+        this._forward = new THREE.Vector3();
+        this._right = new THREE.Vector3();
+        this._back = new THREE.Vector3();
+        this._frame = new THREE.Matrix4();
+        this._direction = new THREE.Vector3();
+    }
+
+    // 绘制 mode 对应的多视图输出到 target (null 为画布)
+    // separation: 两眼间距 (场景单位); convergence: 零视差平面的距离, 位于该距离的物体出现在屏幕平面上
+    render(renderer, mode, camera, target, { separation = 0, convergence = 1 } = {}) {
+        const size = target ? this._size.set(target.width, target.height) : renderer.getDrawingBufferSize(this._size);
+        const material = this.materials[mode];
+        if (mode === 'equirect') {
+            this.renderFaces(camera, size);
+            CUBE_FACES.forEach(([name], i) => {
+                material.uniforms[name].value = this.faceTargets[i].texture;
+            });
+        } else {
+            // 左右并排时每眼占一半宽度, 红青立体时每眼为完整尺寸
+            const width = mode === 'stereo' ? Math.max(1, Math.round(size.x / 2)) : size.x;
+            this.renderEyes(camera, width, size.y, separation, convergence);
+            material.uniforms.tLeft.value = this.eyeTargets[0].texture;
+            material.uniforms.tRight.value = this.eyeTargets[1].texture;
+        }
+        this.fsQuad.material = material;
+        renderer.setRenderTarget(target);
+        this.fsQuad.render(renderer);
+    }
+
+    // 平行相机加离轴视锥 (而非内倾): 两眼的视锥在 convergence 处重合, 没有梯形畸变带来的垂直视差
+    renderEyes(camera, width, height, separation, convergence) {
+        if (!this.eyeTargets) {
+            this.eyeTargets = [createViewTarget(), createViewTarget()];
+        }
+        const halfSeparation = separation / 2;
+        this.eyeCameras.forEach((eye, i) => {
+            const sign = i === 0 ? -1 : 1;
+            eye.copy(camera, false);
+            eye.aspect = width / height;
+            eye.updateProjectionMatrix();
+            eye.translateX(sign * halfSeparation);
+            eye.updateMatrixWorld();
+            // 视锥向另一只眼的方向平移, 使零视差平面上的点在两眼中的 NDC 坐标相同
+            const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(eye.fov) / 2) / eye.zoom;
+            eye.projectionMatrix.elements[8] -= (sign * halfSeparation) / (convergence * tanHalfFov * eye.aspect);
+            eye.projectionMatrixInverse.copy(eye.projectionMatrix).invert();
+
+            this.eyeTargets[i].setSize(width, height);
+            this.renderView(this.eyeTargets[i], eye);
+        });
+    }
+
+    // 全景以相机位置为中心, 参考系只随相机的水平朝向转动 (上方始终为世界 +y), 地平线保持水平
+    // 面的边长取全景宽度的 1/4 与高度的 1/2 中较大者, 赤道与两极处的采样密度不低于输出
+    renderFaces(camera, size) {
+        if (!this.faceTargets) {
+            this.faceTargets = CUBE_FACES.map(() => createViewTarget());
+        }
+        const faceSize = Math.max(1, Math.ceil(Math.max(size.x / 4, size.y / 2)));
+
+        const forward = camera.getWorldDirection(this._forward).setY(0);
+        if (forward.lengthSq() < 1e-8) {
+            forward.set(0, 0, -1).applyQuaternion(camera.quaternion).setY(0);
+        }
+        if (forward.lengthSq() < 1e-8) {
+            forward.set(0, 0, -1);
+        }
+        forward.normalize();
+        const right = this._right.set(-forward.z, 0, forward.x);
+        const back = this._back.copy(forward).negate();
+        const frame = this._frame.makeBasis(right, THREE.Object3D.DEFAULT_UP, back);
+
+        CUBE_FACES.forEach(([, faceForward, faceUp], i) => {
+            const face = this.faceCameras[i];
+            face.near = camera.near;
+            face.far = camera.far;
+            face.updateProjectionMatrix();
+            face.position.copy(camera.position);
+            face.up.fromArray(faceUp).applyMatrix4(frame);
+            face.lookAt(this._direction.fromArray(faceForward).applyMatrix4(frame).add(camera.position));
+            face.updateMatrixWorld();
+
+            this.faceTargets[i].setSize(faceSize, faceSize);
+            this.renderView(this.faceTargets[i], face);
+        });
+    }
+
+    // 释放视图的渲染目标 (切换回单视图或换用另一种多视图时)
+    release() {
+        [...(this.eyeTargets || []), ...(this.faceTargets || [])].forEach(target => target.dispose());
+        this.eyeTargets = null;
+        this.faceTargets = null;
+    }
+
+    dispose() {
+        this.release();
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.fsQuad.dispose();
+    }
+}
@@ -0,0 +1,123 @@
+// BlackHoleVisualizer 的可配置参数及其默认值
+// 构造函数选项、URL 查询参数与 setParams() 共用这套参数名
+// 长度以场景单位计; 盘面半径以几何质量 M (= rs / 2) 为单位, 随黑洞大小缩放
+
+export const DEFAULT_OPTIONS = {
+    schwarzschildRadius: 2.0,     // 史瓦西半径 rs (场景单位)
+    mass: null,                   // 几何质量 M (场景单位), 设置后覆盖 schwarzschildRadius
+    spin: 0,                      // 无量纲自旋 a
+    massSolar: 1e8,               // 真实质量 (太阳质量), 决定盘面温度
+    eddingtonRatio: 2e-6,         // 吸积率 (以爱丁顿吸积率为单位)
+    diskInnerRadius: null,        // 盘内缘 (M), null 表示取 ISCO
+    diskOuterRadius: 24,          // 盘外缘 (M)
+    diskModel: 'thin',            // 吸积盘模型: thin (几何薄盘) / thick (体积渲染的厚吸积流)
+    diskScaleHeight: 0.15,        // 厚盘标高与半径之比 H / R
+    diskOpacity: 3,               // 竖直穿过厚盘的光学深度
+    jets: false,                  // 沿自旋轴的双极相对论喷流
+    jetSpeed: 0.95,               // 喷流速度 (以光速为单位)
+    jetOpeningAngle: 0.08,        // 喷流半张角 (弧度)
+    jetLength: 60,                // 喷流长度 (M)
+    jetBrightness: 1,
+    tdeStarMass: 1,               // 潮汐瓦解事件中恒星的质量 (太阳质量)
+    tdeStarRadius: 1,             // 恒星半径 (太阳半径)
+    tdePenetration: 1,            // 穿透因子 β = 潮汐半径 / 近心距
+    binary: false,                // 双黑洞: 伴星绕质心公转并因引力波辐射旋近, 最终合并
+    binaryMassRatio: 0.3,         // 伴星与主黑洞的质量比 q (0.05 到 1)
+    binarySeparation: 24,         // 初始间距 (M)
+    binaryTimeScale: 100,         // 双黑洞轨道每动画秒对应的几何时间 (M)
+    binaryInspiralScale: 4,       // 引力波辐射反作用的加快倍数 (1 为真实旋近速度)
+    probeSpeed: 0.3,              // 探测器的发射速度 (相对当地静止观测者, 以光速为单位)
+    probeTimeScale: 20,           // 探测器运动每动画秒对应的远处坐标时 (M)
+    particleCount: 200000,
+    particleViscosity: 0.1,
+    starCount: 10000,             // 星表之外补齐的暗星数量
+    starCatalogUrl: '',           // 星表文件 (HYG 格式 CSV 或 JSON), 为空时使用内置亮星表
+    skyBackground: 'stars',       // 背景天空: stars / panorama / grid / checker
+    panoramaUrl: '',              // 等距柱状全景图 (例如银河全景), skyBackground 为 panorama 时显示
+    lensStrength: 1.2,            // 屏幕空间透镜强度
+    lensingMode: 'screen',        // off / screen / geodesic
+    orbitalTimeScale: 2.0,        // 盘面与粒子的公转速度倍率
+    autoRotate: false,
+    autoRotateSpeed: 0.5,         // 相机自动环绕速度
+    starRotationSpeed: 0.006,     // 星空旋转角速度 (弧度/秒)
+    exposure: 1.0,                // 色调映射曝光 (renderer.toneMappingExposure)
+    physicsHud: true,             // 在信息面板中以真实单位显示物理量 (按 massSolar 换算)
+    overlays: false,              // 教学叠加层: Flamm 抛物面嵌入网格、视界 / 光子球 / ISCO 标注圆与样本光线
+    outputMode: 'normal',         // 输出: normal / stereo (左右并排立体) / anaglyph (红青立体) / equirect (360° 全景)
+    stereoSeparation: 0.03,       // 立体的两眼间距 (相机到目标点距离的比例)
+    bloom: true,                  // HDR 后期处理: 泛光
+    bloomStrength: 0.6,
+    bloomThreshold: 1.0,          // 亮度阈值 (线性 HDR 值, 色调映射之前)
+    bloomRadius: 0.7,             // 0 到 1, 越大光晕越宽
+    glare: false,                 // 变形镜头眩光 (水平光条)
+    glareStrength: 0.3,
+    glareThreshold: 2.0,
+    glareLength: 0.6,             // 0 到 1
+    chromaticAberration: true,    // 径向色差
+    chromaticAberrationStrength: 0.004, // 图像边缘处红蓝通道的偏移 (以图像尺寸为单位)
+    filmGrain: false,             // 胶片颗粒与暗角
+    grainIntensity: 0.05,
+    vignetteIntensity: 0.3,
+    dopplerBeaming: true,
+    gravitationalRedshift: true,
+    observerMotion: 'off',        // 观测者运动: off (静止) / camera (随相机运动) / orbit (当地圆轨道速度)
+    observerSpeedScale: 0.05,     // camera 模式下相机速度的倍率 (1 表示以盘面动画的时间尺度换算为光速比例)
+    maxObserverSpeed: 0.95,       // 观测者速度上限 (以光速为单位)
+    minDistance: 5,               // 相机到目标点的距离范围
+    maxDistance: 100,
+    minPolarAngle: 0.1,           // 相机极角范围 (弧度, 0 为正上方)
+    maxPolarAngle: Math.PI - 0.1,
+    maxPanDistance: 50,           // 目标点离黑洞的最大距离
+    enablePan: true,
+    enableDamping: true,          // 阻尼与惯性: 松开后相机继续滑行并逐渐停止
+    dampingTime: 0.12,            // 阻尼时间常数 (秒)
+    rotateSpeed: 1,
+    zoomSpeed: 1,
+    panSpeed: 1,
+    quality: 'auto',              // 画质: auto (按帧率自动调节) / low / medium / high / ultra
+    targetFps: 60,                // 自动调节时力求保持的帧率
+    seed: 1,                      // 随机种子: 星空、粒子分布与重新注入都由它决定
+    timeScale: 1                  // 模拟时间倍率
+};
+
+// 默认值为 null 的参数均为数值
+function parseOptionValue(defaultValue, text) {
+    if (typeof defaultValue === 'boolean') {
+        return text === '' || text === '1' || text === 'true';
+    }
+    if (typeof defaultValue === 'string') {
+        return text;
+    }
+    if (text === '' || text === 'null' || text === 'auto') {
+        return null;
+    }
+    const value = Number(text);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+// 从 URL 查询字符串读取参数, 例如 ?spin=0.9&particleCount=1000000&lensingMode=geodesic
+export function parseQueryOptions(search) {
+    const options = {};
+    new URLSearchParams(search).forEach((text, key) => {
+        if (!(key in DEFAULT_OPTIONS)) {
+            return;
+        }
+        const value = parseOptionValue(DEFAULT_OPTIONS[key], text);
+        if (value === undefined) {
+            console.warn(`忽略无效的参数 ${key}=${text}`);
+            return;
+        }
+        options[key] = value;
+    });
+    return options;
+}
+
+// 统一质量的两种写法: mass (M) 换算为 schwarzschildRadius (2M)
+export function resolveOptions(options) {
+    const resolved = { ...options };
+    if (resolved.mass !== undefined && resolved.mass !== null) {
+        resolved.schwarzschildRadius = resolved.mass * 2;
+    }
+    delete resolved.mass;
+    return resolved;
+}
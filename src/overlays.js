@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { CRITICAL_IMPACT_PARAMETER, flammEmbeddingHeight, lightRayPath } from './physics/schwarzschild.js';
+import { formatNumber } from './physicsReadout.js';
+
+// 教学叠加层: Flamm 抛物面 (空间嵌入网格)、视界 / 光子球 / ISCO 的标注圆与几条样本光线的路径
+// 叠加层只位于前景图层, 不进入透镜的背景通道 (屏幕空间透镜的背景纹理与测地线的星空立方体贴图)
+// 抛物面与光线按史瓦西度规绘制; 标注圆取当前自旋下的真实半径, 与物理量读数一致
+// context: group (父节点, 以黑洞为原点)、layer、prepareMaterial (为材质加上观测者光行差)、
+//          blackHoleMass 与 radii { horizon, photonSphere, isco } (场景单位)
+
+// 嵌入网格的外缘半径与外缘低于盘面的距离 (M)
+const GRID_RADIUS = 32;
+const GRID_DROP = 4;
+const GRID_RINGS = 12;
+const GRID_SPOKES = 24;
+// 样本光线的冲击参数 (M, 上下对称) 与起点距离
+const RAY_IMPACT_PARAMETERS = [3, 5, 5.3, 6.5, 9, 13];
+const RAY_START = 30;
+// 标签高度 (占视场的比例, 不随距离缩放)
+const LABEL_HEIGHT = 0.045;
+
+const COLORS = {
+    grid: 0x3a6ea5,
+    horizon: 0xff5533,
+    photonSphere: 0xffcc33,
+    isco: 0x33ddff,
+    ray: 0xfff2b0,
+    capturedRay: 0xff7755
+};
+
+function createLabelTexture(text, color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = '500 40px sans-serif';
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = 56;
+    // 改变画布尺寸会重置上下文状态
+    context.font = font;
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.85)';
+    context.strokeText(text, 8, canvas.height / 2);
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(text, 8, canvas.height / 2);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export class EducationalOverlay {
+    constructor(context) {
+        this.context = context;
+        this.group = new THREE.Group();
+        this.labels = [];
+        this._right = new THREE.Vector3();
+
+        const M = context.blackHoleMass;
+        const { radii } = context;
+        const rs = 2 * M;
+        this.createEmbeddingGrid();
+        this.createMarker(radii.horizon, COLORS.horizon, `视界 ${formatNumber(radii.horizon / rs)} rs`);
+        this.createMarker(radii.photonSphere, COLORS.photonSphere, `光子球 ${formatNumber(radii.photonSphere / rs)} rs`);
+        this.createMarker(radii.isco, COLORS.isco, `ISCO ${formatNumber(radii.isco / rs)} rs`);
+        this.createLightRays();
+        context.group.add(this.group);
+    }
+
+    addLine(object) {
+        this.context.prepareMaterial(object.material);
+        object.layers.set(this.context.layer);
+        return object;
+    }
+
+    // radius: 标签沿相机右方偏离中心的距离; height: 高度 (均为场景单位)
+    addLabel(text, color, parent, radius, height = 0) {
+        const material = new THREE.SpriteMaterial({
+            map: createLabelTexture(text, color),
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            sizeAttenuation: false
+        });
+        const sprite = new THREE.Sprite(material);
+        const { width, height: pixels } = material.map.image;
+        sprite.scale.set((LABEL_HEIGHT * width) / pixels, LABEL_HEIGHT, 1);
+        // 锚点在文字左侧, 标签从标注点向右展开
+        sprite.center.set(0, 0.5);
+        sprite.renderOrder = 10;
+        sprite.layers.set(this.context.layer);
+        sprite.userData.radius = radius;
+        sprite.userData.height = height;
+        parent.add(sprite);
+        this.labels.push(sprite);
+        return sprite;
+    }
+
+    // Flamm 抛物面: 外缘位于盘面下方 GRID_DROP, 向内沿嵌入高度下沉到 r = 2M 的喉部; 径向按 s² 取样, 喉部附近更密
+    createEmbeddingGrid() {
+        const M = this.context.blackHoleMass;
+        const rimHeight = flammEmbeddingHeight(GRID_RADIUS);
+        const point = (r, angle) => new THREE.Vector3(
+            r * Math.cos(angle) * M,
+            (flammEmbeddingHeight(r) - rimHeight - GRID_DROP) * M,
+            r * Math.sin(angle) * M
+        );
+        const radiusAt = s => 2 + (GRID_RADIUS - 2) * s * s;
+        const points = [];
+        const ringSegments = 96;
+        for (let i = 0; i <= GRID_RINGS; i++) {
+            const r = radiusAt(i / GRID_RINGS);
+            for (let j = 0; j < ringSegments; j++) {
+                points.push(point(r, (j / ringSegments) * Math.PI * 2), point(r, ((j + 1) / ringSegments) * Math.PI * 2));
+            }
+        }
+        const spokeSegments = 48;
+        for (let i = 0; i < GRID_SPOKES; i++) {
+            const angle = (i / GRID_SPOKES) * Math.PI * 2;
+            for (let j = 0; j < spokeSegments; j++) {
+                points.push(point(radiusAt(j / spokeSegments), angle), point(radiusAt((j + 1) / spokeSegments), angle));
+            }
+        }
+        const grid = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: COLORS.grid, transparent: true, opacity: 0.35, depthWrite: false })
+        );
+        this.group.add(this.addLine(grid));
+        this.addLabel('Flamm 抛物面 (空间嵌入)', COLORS.grid, this.group, GRID_RADIUS * M, -GRID_DROP * M);
+    }
+
+    // 赤道面内的标注圆; 始终绘制在最上层, 视界圆不被显示的视界球 (真实视界的 1.5 倍) 遮挡
+    createMarker(radius, color, text) {
+        const segments = 128;
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push(new THREE.Vector3(radius * Math.cos(angle), 0, radius * Math.sin(angle)));
+        }
+        const circle = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.9, depthTest: false, depthWrite: false })
+        );
+        circle.renderOrder = 9;
+        this.group.add(this.addLine(circle));
+        this.addLabel(text, color, this.group, radius);
+    }
+
+    // 样本光线位于过黑洞中心、正对相机的平面内, 从画面左侧射入; 冲击参数小于 b_c = 3√3 M 的光线落入视界
+    createLightRays() {
+        const M = this.context.blackHoleMass;
+        this.rays = new THREE.Group();
+        RAY_IMPACT_PARAMETERS.forEach(b => {
+            const path = lightRayPath(b, RAY_START);
+            const captured = b < CRITICAL_IMPACT_PARAMETER;
+            [1, -1].forEach(sign => {
+                const points = path.map(([x, y]) => new THREE.Vector3(x * M, sign * y * M, 0));
+                const ray = new THREE.Line(
+                    new THREE.BufferGeometry().setFromPoints(points),
+                    new THREE.LineBasicMaterial({
+                        color: captured ? COLORS.capturedRay : COLORS.ray,
+                        transparent: true,
+                        opacity: 0.8,
+                        depthWrite: false
+                    })
+                );
+                this.rays.add(this.addLine(ray));
+            });
+        });
+        const top = RAY_IMPACT_PARAMETERS[RAY_IMPACT_PARAMETERS.length - 1];
+        const label = this.addLabel(`光线 (b_c = ${formatNumber(CRITICAL_IMPACT_PARAMETER / 2)} rs)`, COLORS.ray, this.rays, 0);
+        label.position.set(-RAY_START * M, top * M, 0);
+        label.userData.fixed = true;
+        this.group.add(this.rays);
+    }
+
+    // 每帧调用: 光线平面转向相机, 标注圆的标签放在圆上相机右侧的一点, 环绕时不被黑洞遮挡
+    update(camera) {
+        this.rays.quaternion.copy(camera.quaternion);
+        const right = this._right.set(1, 0, 0).applyQuaternion(camera.quaternion).setY(0);
+        if (right.lengthSq() < 1e-6) {
+            right.set(1, 0, 0);
+        }
+        right.normalize();
+        this.labels.forEach(label => {
+            if (!label.userData.fixed) {
+                label.position.copy(right).multiplyScalar(label.userData.radius).setY(label.userData.height);
+            }
+        });
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        this.group.traverse(object => {
+            // 精灵共用同一个几何体, 不随之释放
+            if (object.geometry && !object.isSprite) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                if (object.material.map) {
+                    object.material.map.dispose();
+                }
+                object.material.dispose();
+            }
+        });
+    }
+}
@@ -0,0 +1,129 @@
+import { iscoRadius } from './kerr.js';
+
+// 吸积盘温度分布与黑体颜色模型
+// 吸积盘网格、粒子与测地线透镜共用这里生成的温度标度与黑体查找表, 保证三者颜色一致
+
+// 物理常数 (国际单位制)
+export const G = 6.674e-11;
+export const C = 2.998e8;
+export const SIGMA_SB = 5.670e-8;
+export const SOLAR_MASS = 1.989e30;
+const H = 6.626e-34;
+const K_B = 1.381e-23;
+// 每太阳质量的爱丁顿光度 (W)
+const EDDINGTON_LUMINANCE_PER_SOLAR_MASS = 1.26e31;
+
+// 自旋决定的辐射效率 η = 1 - E_isco
+export function radiativeEfficiency(spin) {
+    return 1 - Math.sqrt(1 - 2 / (3 * iscoRadius(spin)));
+}
+
+// 爱丁顿比 eddingtonRatio 对应的吸积率 (kg/s)
+export function accretionRate(massSolar, eddingtonRatio, spin) {
+    const eddingtonLuminance = EDDINGTON_LUMINANCE_PER_SOLAR_MASS * massSolar;
+    return eddingtonRatio * eddingtonLuminance / (radiativeEfficiency(spin) * C * C);
+}
+
+// Shakura–Sunyaev 薄盘 (内边界零力矩) 的温度标度 T* (K):
+// T(r) = T* · [(1 - sqrt(r_in / r)) / r³]^(1/4), r 以 GM/c² 为单位
+export function diskTemperatureScale(massSolar, eddingtonRatio, spin) {
+    const mass = massSolar * SOLAR_MASS;
+    const mdot = accretionRate(massSolar, eddingtonRatio, spin);
+    return Math.pow((3 * Math.pow(C, 6) * mdot) / (8 * Math.PI * SIGMA_SB * G * G * mass * mass), 0.25);
+}
+
+export function diskTemperature(r, innerRadius, temperatureScale) {
+    if (r <= innerRadius) {
+        return 0;
+    }
+    return temperatureScale * Math.pow((1 - Math.sqrt(innerRadius / r)) / (r * r * r), 0.25);
+}
+
+// 温度峰值位于 r = (49 / 36) r_in
+export function peakDiskTemperature(innerRadius, temperatureScale) {
+    return diskTemperature(innerRadius * 49 / 36, innerRadius, temperatureScale);
+}
+
+// 恒星色指数 B−V 对应的有效温度 (Ballesteros 2012, 把恒星近似为黑体)
+export function colorIndexTemperature(bv) {
+    return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+// CIE 1931 配色函数的多瓣高斯近似 (Wyman, Sloan & Shirley 2013), 波长单位 nm
+function piecewiseGaussian(lambda, mu, sigma1, sigma2) {
+    const t = (lambda - mu) / (lambda < mu ? sigma1 : sigma2);
+    return Math.exp(-0.5 * t * t);
+}
+
+function cieMatching(lambda) {
+    return [
+        1.056 * piecewiseGaussian(lambda, 599.8, 37.9, 31.0) +
+            0.362 * piecewiseGaussian(lambda, 442.0, 16.0, 26.7) -
+            0.065 * piecewiseGaussian(lambda, 501.1, 20.4, 26.2),
+        0.821 * piecewiseGaussian(lambda, 568.8, 46.9, 40.5) +
+            0.286 * piecewiseGaussian(lambda, 530.9, 16.3, 31.1),
+        1.217 * piecewiseGaussian(lambda, 437.0, 11.8, 36.0) +
+            0.681 * piecewiseGaussian(lambda, 459.0, 26.0, 13.8)
+    ];
+}
+
+// 普朗克黑体光谱辐射度 B_λ(T)
+function planck(lambdaNm, temperature) {
+    const lambda = lambdaNm * 1e-9;
+    const exponent = (H * C) / (lambda * K_B * temperature);
+    if (exponent > 700) {
+        return 0;
+    }
+    return (2 * H * C * C) / (Math.pow(lambda, 5) * (Math.exp(exponent) - 1));
+}
+
+// 黑体在可见光波段的 CIE XYZ (未归一化)
+export function blackbodyXYZ(temperature) {
+    const xyz = [0, 0, 0];
+    for (let lambda = 380; lambda <= 780; lambda += 5) {
+        const radiance = planck(lambda, temperature);
+        const [x, y, z] = cieMatching(lambda);
+        xyz[0] += radiance * x;
+        xyz[1] += radiance * y;
+        xyz[2] += radiance * z;
+    }
+    return xyz;
+}
+
+// 黑体颜色: 返回线性 sRGB 色度 (亮度 Y 归一化为 1) 与 log10 亮度
+export function blackbodyColor(temperature) {
+    const [X, Y, Z] = blackbodyXYZ(temperature);
+    if (!(Y > 0)) {
+        return { r: 0, g: 0, b: 0, logLuminance: -300 };
+    }
+    // XYZ -> 线性 sRGB, 超出色域的负值截断
+    const r = Math.max(0, 3.2406 * X - 1.5372 * Y - 0.4986 * Z) / Y;
+    const g = Math.max(0, -0.9689 * X + 1.8758 * Y + 0.0415 * Z) / Y;
+    const b = Math.max(0, 0.0557 * X - 0.2040 * Y + 1.0570 * Z) / Y;
+    return { r, g, b, logLuminance: Math.log10(Y) };
+}
+
+// 黑体查找表: 按 log10 T 等间距采样, 每个像素 RGBA = (色度 rgb, log10 亮度)
+export const BLACKBODY_LOG_TEMPERATURE_RANGE = [2.5, 7.5];
+
+export function createBlackbodyTable(size = 1024, range = BLACKBODY_LOG_TEMPERATURE_RANGE) {
+    const data = new Float32Array(size * 4);
+    for (let i = 0; i < size; i++) {
+        const logT = range[0] + (range[1] - range[0]) * (i / (size - 1));
+        const color = blackbodyColor(Math.pow(10, logT));
+        data[i * 4] = color.r;
+        data[i * 4 + 1] = color.g;
+        data[i * 4 + 2] = color.b;
+        data[i * 4 + 3] = color.logLuminance;
+    }
+    return data;
+}
+
+// 按最近邻读取黑体查找表 (与着色器中 blackbodyLookup 的 NearestFilter 纹理一致), 返回 [r, g, b, log10 亮度]
+export function sampleBlackbodyTable(table, temperature, range = BLACKBODY_LOG_TEMPERATURE_RANGE) {
+    const size = table.length / 4;
+    const logT = Math.log10(Math.max(temperature, 1));
+    const u = Math.min(Math.max((logT - range[0]) / (range[1] - range[0]), 0), 1);
+    const index = Math.min(Math.floor(u * (size - 1) + 0.5), size - 1) * 4;
+    return [table[index], table[index + 1], table[index + 2], table[index + 3]];
+}
@@ -0,0 +1,196 @@
+// 克尔 (旋转) 黑洞的解析公式
+// 除特别说明外均采用几何单位 G = c = M = 1, 半径以 M 为单位, 自旋 a ∈ [0, 1)
+
+export const MAX_SPIN = 0.9999;
+
+export function clampSpin(a) {
+    return Math.min(Math.max(a, 0), MAX_SPIN);
+}
+
+// 外视界半径 r+ = M + sqrt(M² - a²)
+export function horizonRadius(a) {
+    return 1 + Math.sqrt(1 - a * a);
+}
+
+// 赤道面最内稳定圆轨道 (Bardeen, Press & Teukolsky 1972)
+export function iscoRadius(a, prograde = true) {
+    const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a));
+    const z2 = Math.sqrt(3 * a * a + z1 * z1);
+    const sign = prograde ? -1 : 1;
+    return 3 + z2 + sign * Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+}
+
+// 吸积盘内外缘 (M): 内缘为 null 时取 ISCO, 外缘至少为内缘的 1.1 倍
+export function diskRadii(a, innerRadius, outerRadius) {
+    const inner = innerRadius === null ? iscoRadius(a) : innerRadius;
+    return [inner, Math.max(outerRadius, inner * 1.1)];
+}
+
+// 赤道面顺行边缘束缚 (抛物线) 轨道的近心距 r_mb = 2 - a + 2 sqrt(1 - a); 近心点更近的抛物线轨道直接坠入黑洞
+export function marginallyBoundRadius(a) {
+    return 2 - a + 2 * Math.sqrt(1 - a);
+}
+
+// 赤道面圆形光子轨道半径 (顺行与逆行)
+export function photonOrbitRadius(a, prograde = true) {
+    const sign = prograde ? -1 : 1;
+    return 2 * (1 + Math.cos((2 / 3) * Math.acos(sign * a)));
+}
+
+// 顺行开普勒圆轨道角速度 Ω = 1 / (r^1.5 + a), 已包含参考系拖拽
+export function keplerAngularVelocity(r, a) {
+    return 1 / (Math.pow(r, 1.5) + a);
+}
+
+// 黑洞阴影边界 (Bardeen 临界曲线)
+// inclination 为自旋轴与视线的夹角, 返回天空平面上的点 {alpha, beta} (单位 M)
+// alpha 沿 "观测方向 × 自旋轴", 顺行光子所在的一侧为正 (阴影被压平的一侧)
+export function shadowBoundary(a, inclination, samples = 256) {
+    const points = [];
+
+    if (a < 1e-4) {
+        const radius = 3 * Math.sqrt(3);
+        for (let i = 0; i < samples; i++) {
+            const angle = (i / samples) * Math.PI * 2;
+            points.push({ alpha: radius * Math.cos(angle), beta: radius * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    const sinI = Math.max(Math.sin(inclination), 1e-3);
+    const cosI = Math.cos(inclination);
+    const criticalCurve = r => {
+        const xi = (r * r * (3 - r) - a * a * (r + 1)) / (a * (r - 1));
+        const eta = (r * r * r * (4 * a * a - r * (r - 3) * (r - 3))) / (a * a * (r - 1) * (r - 1));
+        const betaSq = eta + a * a * cosI * cosI - (xi * xi * cosI * cosI) / (sinI * sinI);
+        return { alpha: xi / sinI, betaSq };
+    };
+
+    // 先粗扫找到 beta² >= 0 的光子轨道半径区间, 再二分细化两端,
+    // 小倾角时该区间很窄, 直接均匀采样会丢失阴影左右两端
+    const rMin = photonOrbitRadius(a, true);
+    const rMax = photonOrbitRadius(a, false);
+    const coarse = 512;
+    let first = -1;
+    let last = -1;
+    for (let i = 0; i <= coarse; i++) {
+        if (criticalCurve(rMin + (rMax - rMin) * (i / coarse)).betaSq >= 0) {
+            if (first < 0) first = i;
+            last = i;
+        }
+    }
+    if (first < 0) {
+        return shadowBoundary(0, inclination, samples);
+    }
+
+    const refine = (inside, outside) => {
+        for (let k = 0; k < 40; k++) {
+            const mid = 0.5 * (inside + outside);
+            if (criticalCurve(mid).betaSq >= 0) inside = mid;
+            else outside = mid;
+        }
+        return inside;
+    };
+    const step = (rMax - rMin) / coarse;
+    const rLow = first > 0 ? refine(rMin + first * step, rMin + (first - 1) * step) : rMin;
+    const rHigh = last < coarse ? refine(rMin + last * step, rMin + (last + 1) * step) : rMax;
+
+    const upper = [];
+    for (let i = 0; i <= samples; i++) {
+        const r = rLow + (rHigh - rLow) * (i / samples);
+        const { alpha, betaSq } = criticalCurve(r);
+        upper.push({ alpha, beta: Math.sqrt(Math.max(betaSq, 0)) });
+    }
+
+    upper.forEach(p => points.push(p));
+    for (let i = upper.length - 1; i >= 0; i--) {
+        points.push({ alpha: upper[i].alpha, beta: -upper[i].beta });
+    }
+    return points;
+}
+
+// 将阴影边界重采样为以黑洞中心为原点的极坐标半径 (角度从 +alpha 轴起算, 逆时针)
+export function shadowPolarRadii(a, inclination, count = 64) {
+    const boundary = shadowBoundary(a, inclination);
+    const fallback = 3 * Math.sqrt(3);
+    const radii = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        let best = 0;
+
+        // 射线与边界多边形求交
+        for (let j = 0; j < boundary.length; j++) {
+            const p = boundary[j];
+            const q = boundary[(j + 1) % boundary.length];
+            const ex = q.alpha - p.alpha;
+            const ey = q.beta - p.beta;
+            const denom = dx * ey - dy * ex;
+            if (Math.abs(denom) < 1e-12) continue;
+            const t = (p.alpha * ey - p.beta * ex) / denom;
+            const u = (p.alpha * dy - p.beta * dx) / denom;
+            if (t > 0 && u >= 0 && u <= 1) {
+                best = Math.max(best, t);
+            }
+        }
+
+        radii[i] = best > 0 ? best : fallback;
+    }
+
+    return radii;
+}
+
+// 顺行开普勒圆轨道相对 ZAMO 的局部速度 (以光速为单位, Bardeen, Press & Teukolsky 1972)
+// a = 0 时即 1 / sqrt(r - 2); 光子轨道以内不存在圆轨道, 返回 1
+export function circularOrbitSpeed(r, a) {
+    const delta = r * r - 2 * r + a * a;
+    if (!(delta > 0) || r <= photonOrbitRadius(a, true)) {
+        return 1;
+    }
+    const speed = (r * r - 2 * a * Math.sqrt(r) + a * a) / (Math.sqrt(delta) * (Math.pow(r, 1.5) + a));
+    return Math.min(speed, 1);
+}
+
+// 由相对黑洞的笛卡尔坐标 (单位 M, z 沿自旋轴) 反解 Boyer-Lindquist 半径, 与测地线着色器中的换算相同
+export function boyerLindquistRadius(R2, z, a) {
+    const k = R2 - a * a;
+    return Math.sqrt(0.5 * (k + Math.sqrt(k * k + 4 * a * a * z * z)));
+}
+
+// ZAMO 的时移函数 α = sqrt(ΣΔ / A): 其固有时与无穷远坐标时之比 (a = 0 时即 sqrt(1 - 2/r)), 视界内返回 0
+export function zamoLapse(r, theta, a) {
+    const delta = r * r - 2 * r + a * a;
+    if (!(delta > 0)) {
+        return 0;
+    }
+    const cosT = Math.cos(theta);
+    const sinT = Math.sin(theta);
+    const sigma = r * r + a * a * cosT * cosT;
+    const A = (r * r + a * a) * (r * r + a * a) - a * a * delta * sinT * sinT;
+    return Math.sqrt((sigma * delta) / A);
+}
+
+// 赤道面上沿 ZAMO 局部方向射出的光子的比角动量 λ = L / E, nPhi 为光子方向沿公转方向 (φ) 的分量
+export function equatorialPhotonLambda(r, a, nPhi) {
+    const delta = r * r - 2 * r + a * a;
+    const A = (r * r + a * a) * (r * r + a * a) - a * a * delta;
+    const lapse = r * Math.sqrt(delta / A);
+    const omega = (2 * a * r) / A;
+    const varpi = Math.sqrt(A) / r;
+    return (varpi * nPhi) / (lapse + omega * varpi * nPhi);
+}
+
+// 开普勒圆轨道发射体到无穷远观测者的频移 g = 1 / (u^t (1 - Ωλ)),
+// 拆分为 [引力红移 (ZAMO -> 无穷远), 多普勒因子 (发射体 -> ZAMO)], 二者乘积为总频移
+export function circularOrbitRedshift(r, a, lambda) {
+    const delta = r * r - 2 * r + a * a;
+    const A = (r * r + a * a) * (r * r + a * a) - a * a * delta;
+    const lapse = r * Math.sqrt(Math.max(delta, 0) / A);
+    const omega = (2 * a * r) / A;
+    const ut = (Math.pow(r, 1.5) + a) / (Math.pow(r, 0.75) * Math.sqrt(Math.max(Math.pow(r, 1.5) - 3 * Math.sqrt(r) + 2 * a, 1e-4)));
+    const gravitational = lapse / (1 - omega * lambda);
+    const total = 1 / (ut * (1 - keplerAngularVelocity(r, a) * lambda));
+    return [gravitational, total / Math.max(gravitational, 1e-4)];
+}
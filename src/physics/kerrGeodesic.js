@@ -0,0 +1,176 @@
+import { horizonRadius } from './kerr.js';
+
+// 克尔时空的零测地线 (几何单位 G = c = M = 1), 与测地线透镜着色器的 KERR 分支一一对应, 供 CPU 参考渲染使用
+// 坐标为自旋坐标系: z 沿自旋轴, φ 从 +x 转向 +z 方向的公转方向; 光线从相机逆向追踪
+// 以 Mino 时间积分 Carter 方程: r'' = R'(r) / 2, θ'' = Θ'(θ) / 2, 一阶量 r'² = R, θ'² = Θ 作为约束修正漂移
+
+function radialAcceleration(r, a, L, Q) {
+    return 2 * r * (r * r + a * a - a * L) - (r - 1) * ((L - a) * (L - a) + Q);
+}
+
+function polarAcceleration(theta, a, L) {
+    const c = Math.cos(theta);
+    let s = Math.sin(theta);
+    s = Math.sign(s) * Math.max(Math.abs(s), 1e-4);
+    return -a * a * s * c + (L * L * c) / (s * s * s);
+}
+
+function radialPotential(r, a, L, Q) {
+    const delta = r * r - 2 * r + a * a;
+    const k = r * r + a * a - a * L;
+    return k * k - delta * ((L - a) * (L - a) + Q);
+}
+
+function polarPotential(theta, a, L, Q) {
+    const s = Math.max(Math.abs(Math.sin(theta)), 1e-4);
+    const c = Math.cos(theta);
+    return Q + a * a * c * c - (L * L * c * c) / (s * s);
+}
+
+function azimuthalRate(r, theta, a, L) {
+    const s = Math.max(Math.abs(Math.sin(theta)), 1e-4);
+    const delta = r * r - 2 * r + a * a;
+    return (a * (r * r + a * a - a * L)) / delta + L / (s * s) - a;
+}
+
+// 状态 x = [r, θ, r', θ'] 的导数写入 out, 返回 dφ (逆时间积分: 一阶量反号)
+function derivative(x, a, L, Q, out) {
+    out[0] = x[2];
+    out[1] = x[3];
+    out[2] = radialAcceleration(x[0], a, L, Q);
+    out[3] = polarAcceleration(x[1], a, L);
+    return -azimuthalRate(x[0], x[1], a, L);
+}
+
+// 相机 (视为零角动量观测者) 位于 position, 沿 direction 观看 (均为自旋坐标系, 单位 M)
+// 返回初始状态与守恒量: 真实光子沿 -direction 射入相机, 取 E = 1 求比角动量 L 与 Carter 常数 Q
+export function kerrPhotonState(position, direction, a) {
+    const [px, py, pz] = position;
+    const R2 = px * px + py * py + pz * pz;
+    const k = R2 - a * a;
+    const r = Math.sqrt(0.5 * (k + Math.sqrt(k * k + 4 * a * a * pz * pz)));
+    const theta = Math.acos(Math.min(Math.max(pz / r, -1), 1));
+    const phi = Math.atan2(py, px);
+
+    // 相机所在处的局部正交基
+    const sinT = Math.sin(theta);
+    const cosT = Math.cos(theta);
+    const [dx, dy, dz] = direction;
+    const nr = sinT * Math.cos(phi) * dx + sinT * Math.sin(phi) * dy + cosT * dz;
+    const nth = cosT * Math.cos(phi) * dx + cosT * Math.sin(phi) * dy - sinT * dz;
+    const nph = -Math.sin(phi) * dx + Math.cos(phi) * dy;
+
+    const sigma = r * r + a * a * cosT * cosT;
+    const delta = r * r - 2 * r + a * a;
+    const A = (r * r + a * a) * (r * r + a * a) - a * a * delta * sinT * sinT;
+    const lapse = Math.sqrt((sigma * delta) / A);
+    const omega = (2 * a * r) / A;
+    const varpi = Math.sqrt(A / sigma) * sinT;
+
+    const energy = 1 / (lapse - omega * varpi * nph);
+    const L = -energy * varpi * nph;
+    const pTheta = -energy * Math.sqrt(sigma) * nth;
+    const Q = pTheta * pTheta + cosT * cosT * ((L * L) / (sinT * sinT) - a * a);
+
+    return {
+        x: [r, theta, energy * Math.sqrt(sigma * delta) * nr, energy * Math.sqrt(sigma) * nth],
+        phi,
+        angularMomentum: L,
+        carter: Q
+    };
+}
+
+const k1 = [0, 0, 0, 0];
+const k2 = [0, 0, 0, 0];
+const k3 = [0, 0, 0, 0];
+const k4 = [0, 0, 0, 0];
+const probe = [0, 0, 0, 0];
+const next = [0, 0, 0, 0];
+
+// 从 kerrPhotonState 给出的状态逆向追踪光线 (RK4, 步长按 r、θ、φ 的相对变化自适应, stepScale 越小越精确)
+// 光线穿过赤道面时调用 onEquatorCrossing(r, φ) (交点按 cos θ 线性插值), 返回 true 表示光线在此被完全吸收
+// 返回 { captured, direction }: captured 为落入视界、被吸收或步数用尽, direction 为逃逸后的方向 (自旋坐标系单位向量)
+export function traceKerrGeodesic(state, a, { stepScale = 0.01, maxSteps = 20000, escapeRadius, onEquatorCrossing } = {}) {
+    const L = state.angularMomentum;
+    const Q = state.carter;
+    const x = state.x.slice();
+    let phi = state.phi;
+    let dphi = 0;
+    const horizon = horizonRadius(a);
+    const escape = escapeRadius || Math.max(x[0] * 2, 1000);
+    let escaped = false;
+
+    for (let i = 0; i < maxSteps; i++) {
+        if (x[0] < horizon * 1.01) {
+            break;
+        }
+        if (x[0] > escape && x[2] > 0) {
+            escaped = true;
+            break;
+        }
+
+        const p1 = derivative(x, a, L, Q, k1);
+        const sinTheta = Math.max(Math.abs(Math.sin(x[1])), 0.02);
+        const rate = Math.max(Math.abs(x[2]) / x[0], Math.abs(x[3]) / sinTheta, Math.abs(p1), 1e-3);
+        const h = stepScale / rate;
+
+        for (let j = 0; j < 4; j++) probe[j] = x[j] + 0.5 * h * k1[j];
+        const p2 = derivative(probe, a, L, Q, k2);
+        for (let j = 0; j < 4; j++) probe[j] = x[j] + 0.5 * h * k2[j];
+        const p3 = derivative(probe, a, L, Q, k3);
+        for (let j = 0; j < 4; j++) probe[j] = x[j] + h * k3[j];
+        const p4 = derivative(probe, a, L, Q, k4);
+        for (let j = 0; j < 4; j++) next[j] = x[j] + (h / 6) * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]);
+        let nextPhi = phi + (h / 6) * (p1 + 2 * p2 + 2 * p3 + p4);
+
+        const radial = radialPotential(next[0], a, L, Q);
+        if (radial > 0) {
+            next[2] = Math.sign(next[2]) * Math.sqrt(radial);
+        }
+        const polar = polarPotential(next[1], a, L, Q);
+        if (polar > 0) {
+            next[3] = Math.sign(next[3]) * Math.sqrt(polar);
+        }
+
+        // 穿过极轴时翻折到另一侧
+        if (next[1] < 0) {
+            next[1] = -next[1];
+            next[3] = -next[3];
+            nextPhi += Math.PI;
+        } else if (next[1] > Math.PI) {
+            next[1] = 2 * Math.PI - next[1];
+            next[3] = -next[3];
+            nextPhi += Math.PI;
+        }
+
+        const c0 = Math.cos(x[1]);
+        const c1 = Math.cos(next[1]);
+        if (onEquatorCrossing && c0 * c1 < 0) {
+            const t = c0 / (c0 - c1);
+            if (onEquatorCrossing(x[0] + (next[0] - x[0]) * t, phi + (nextPhi - phi) * t)) {
+                return { captured: true, direction: null };
+            }
+        }
+
+        for (let j = 0; j < 4; j++) x[j] = next[j];
+        phi = nextPhi;
+        dphi = p1;
+    }
+
+    // 步数用尽 (长时间绕光子球) 时与落入视界相同
+    if (!escaped) {
+        return { captured: true, direction: null };
+    }
+
+    // 逃逸方向 (远处近似平直)
+    const [r, theta, rDot, thetaDot] = x;
+    const s = Math.sin(theta);
+    const c = Math.cos(theta);
+    const cp = Math.cos(phi);
+    const sp = Math.sin(phi);
+    const vx = s * cp * rDot + c * cp * r * thetaDot - sp * r * s * dphi;
+    const vy = s * sp * rDot + c * sp * r * thetaDot + cp * r * s * dphi;
+    const vz = c * rDot - s * r * thetaDot;
+    const length = Math.hypot(vx, vy, vz);
+    return { captured: false, direction: [vx / length, vy / length, vz / length] };
+}
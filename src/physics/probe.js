@@ -0,0 +1,93 @@
+// 自由下落探测器的史瓦西类时测地线 (几何单位 G = c = M = 1)
+// 运动限于过黑洞中心的轨道平面; 状态 [r, φ, u, τ] 为半径、方位角、径向四速度 u = dr/dτ 与探测器的固有时
+// 比能量 E 与比角动量 L 守恒, 远处观测者的坐标时 t 满足 dt/dτ = E / (1 - 2/r)
+
+export const PROBE_HORIZON = 2;
+
+// 由相对当地静止观测者的径向与切向速度 (以光速为单位) 求守恒量与初始径向四速度
+export function probeConstants(r, radialSpeed, tangentialSpeed) {
+    const lapse = Math.sqrt(1 - PROBE_HORIZON / r);
+    const gamma = 1 / Math.sqrt(1 - radialSpeed * radialSpeed - tangentialSpeed * tangentialSpeed);
+    return {
+        energy: gamma * lapse,
+        angularMomentum: gamma * r * tangentialSpeed,
+        radialVelocity: gamma * lapse * radialSpeed
+    };
+}
+
+// 径向运动方程 d²r/dτ² = -1/r² + L²/r³ - 3L²/r⁴ (最后一项为广义相对论修正)
+function radialAcceleration(r, L2) {
+    return -1 / (r * r) + L2 / (r * r * r) - (3 * L2) / (r * r * r * r);
+}
+
+// 对坐标时 t 的导数: 对固有时的导数乘以 dτ/dt = (1 - 2/r) / E
+function coordinateDerivatives(r, u, energy, angularMomentum, out) {
+    const rate = (1 - PROBE_HORIZON / r) / energy;
+    out[0] = u * rate;
+    out[1] = (angularMomentum / (r * r)) * rate;
+    out[2] = radialAcceleration(r, angularMomentum * angularMomentum) * rate;
+    out[3] = rate;
+    return out;
+}
+
+const k1 = [0, 0, 0, 0];
+const k2 = [0, 0, 0, 0];
+const k3 = [0, 0, 0, 0];
+const k4 = [0, 0, 0, 0];
+
+// 按坐标时推进 dt (RK4, 原地更新 state)
+// 接近视界时 dτ/dt → 0, 探测器在远处观测者看来越来越慢, 永远停在视界之外
+export function stepProbe(state, energy, angularMomentum, dt) {
+    const [r, phi, u, tau] = state;
+    coordinateDerivatives(r, u, energy, angularMomentum, k1);
+    coordinateDerivatives(r + 0.5 * dt * k1[0], u + 0.5 * dt * k1[2], energy, angularMomentum, k2);
+    coordinateDerivatives(r + 0.5 * dt * k2[0], u + 0.5 * dt * k2[2], energy, angularMomentum, k3);
+    coordinateDerivatives(r + dt * k3[0], u + dt * k3[2], energy, angularMomentum, k4);
+    const sixth = dt / 6;
+    state[0] = Math.max(r + sixth * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]), PROBE_HORIZON * (1 + 1e-9));
+    state[1] = phi + sixth * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]);
+    state[2] = u + sixth * (k1[2] + 2 * k2[2] + 2 * k3[2] + k4[2]);
+    state[3] = tau + sixth * (k1[3] + 2 * k2[3] + 2 * k3[3] + k4[3]);
+    return state;
+}
+
+// 相对当地静止观测者的速度分量 [径向, 切向] (以光速为单位)
+export function probeLocalVelocity(r, u, energy, angularMomentum, target = [0, 0]) {
+    const gamma = energy / Math.sqrt(1 - PROBE_HORIZON / r);
+    target[0] = u / energy;
+    target[1] = angularMomentum / (r * gamma);
+    return target;
+}
+
+// 远处观测者接收到的频率与探测器发射频率之比: 引力红移 sqrt(1 - 2/r) 乘以相对静止观测者的多普勒因子
+// lineOfSightSpeed 为局部速度沿视线 (由观测者指向探测器) 的分量, 远离观测者时为正
+export function probeRedshift(r, speed, lineOfSightSpeed) {
+    const gamma = 1 / Math.sqrt(Math.max(1 - speed * speed, 1e-12));
+    return Math.sqrt(1 - PROBE_HORIZON / r) / (gamma * (1 + lineOfSightSpeed));
+}
+
+// 从当前状态沿固有时积分到视界, 返回越过视界时的固有时; 逃逸 (越过 escapeRadius) 或长期束缚时返回 Infinity
+// 固有时有限: 探测器自身在有限时间内穿过视界, 只是远处观测者永远看不到这一刻
+export function probeHorizonProperTime(state, angularMomentum, escapeRadius, maxProperTime = 1e5) {
+    const L2 = angularMomentum * angularMomentum;
+    let [r, , u, tau] = state;
+    const limit = tau + maxProperTime;
+    while (tau < limit) {
+        if (r <= PROBE_HORIZON) {
+            return tau;
+        }
+        if (r > escapeRadius && u > 0) {
+            return Infinity;
+        }
+        // 步长随半径缩放 (RK4, 只需 r 与 u)
+        const h = 0.01 * r;
+        const a1 = radialAcceleration(r, L2);
+        const a2 = radialAcceleration(r + 0.5 * h * u, L2);
+        const a3 = radialAcceleration(r + 0.5 * h * (u + 0.5 * h * a1), L2);
+        const a4 = radialAcceleration(r + h * (u + 0.5 * h * a2), L2);
+        r += (h / 6) * (u + 2 * (u + 0.5 * h * a1) + 2 * (u + 0.5 * h * a2) + (u + h * a3));
+        u += (h / 6) * (a1 + 2 * a2 + 2 * a3 + a4);
+        tau += h;
+    }
+    return Infinity;
+}
@@ -0,0 +1,17 @@
+import { iscoRadius } from './kerr.js';
+
+// 吸积盘粒子使用的赝牛顿 (Paczyński–Wiita) 势, 几何单位 M = 1
+// Φ = -1 / (r - rg), 其最内稳定圆轨道位于 3 rg; 取 rg = r_isco / 3,
+// 使粒子的 ISCO 与克尔盘内缘一致 (a = 0 时 rg = 2, 即史瓦西半径)
+// 参考系拖拽以弱场引力磁加速度 -2 v × B, B = a (3 (Ĵ·r̂) r̂ - Ĵ) / r³ 计入 (与 particleDynamicsChunk 相同):
+// 顺行轨道受到向外的 2aΩ / r², 同一半径处公转变慢, 与克尔开普勒角速度 1 / (r^1.5 + a) 的修正方向一致
+
+export function pseudoNewtonianRadius(spin) {
+    return iscoRadius(spin) / 3;
+}
+
+// 赤道面顺行圆轨道角速度: r Ω² = 1 / (r - rg)² - 2aΩ / r² 的正根; a = 0 时 Ω = sqrt(r) / (r (r - rg))
+export function pseudoNewtonianAngularVelocity(r, rg, a = 0) {
+    const drag = a / (r * r);
+    return (Math.sqrt(drag * drag + r / ((r - rg) * (r - rg))) - drag) / r;
+}
@@ -0,0 +1,24 @@
+// 运动观测者的狭义相对论效应 (速度 β 以光速为单位), 与 src/shaders/relativity.js 一一对应
+// 方向 n 均为静止系中由观测者指向光源的单位向量
+
+export function lorentzFactor(speed) {
+    return 1 / Math.sqrt(1 - speed * speed);
+}
+
+// 相对论光行差: 静止系方向 n 在以速度 beta 运动的观测者眼中的方向 (写入 target)
+// cos θ' = (cos θ + β) / (1 + β cos θ), 光源向运动方向聚拢
+export function aberrateDirection(n, beta, target) {
+    const speed = beta.length();
+    target.copy(n);
+    if (speed < 1e-6) {
+        return target;
+    }
+    const gamma = lorentzFactor(speed);
+    const cosine = n.dot(beta) / speed;
+    return target.addScaledVector(beta, ((gamma - 1) * cosine + gamma * speed) / speed).normalize();
+}
+
+// 观测频率与静止系频率之比 D = γ (1 + β · n), 迎着运动方向的光源蓝移
+export function dopplerFactor(n, beta) {
+    return lorentzFactor(beta.length()) * (1 + n.dot(beta));
+}
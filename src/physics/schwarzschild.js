@@ -0,0 +1,49 @@
+// 史瓦西时空的几何, 用于教学叠加层 (几何单位 G = c = M = 1)
+
+// 光子能从无穷远绕过黑洞而不被捕获的最小冲击参数 b_c = 3√3 M
+export const CRITICAL_IMPACT_PARAMETER = 3 * Math.sqrt(3);
+
+// Flamm 抛物面: 赤道面 (t 为常数) 的空间几何嵌入三维欧氏空间后的高度 z = 2 sqrt(2 (r - 2)),
+// 曲面上沿径向的长度即固有距离 dr / sqrt(1 - 2/r)
+export function flammEmbeddingHeight(r) {
+    return 2 * Math.sqrt(2 * Math.max(r - 2, 0));
+}
+
+// 轨道方程 d²u/dφ² = 3u² - u (u = 1 / r)
+function orbitAcceleration(u) {
+    return 3 * u * u - u;
+}
+
+// 冲击参数为 b (> 0) 的光线从 x = -startDistance 处沿 +x 方向射入, 返回其在轨道平面内的路径 [[x, y], ...]
+// 光线进入视界 (r ≤ 2) 时截止; 逃逸的光线回到 startDistance 处截止; 绕行超过 maxTurns 圈 (接近临界) 时同样截止
+export function lightRayPath(b, startDistance, { step = 0.005, maxTurns = 2 } = {}) {
+    const r0 = Math.hypot(startDistance, b);
+    let phi = Math.atan2(b, -startDistance);
+    // 入射直线 r sin φ = b: u = sin φ / b, du/dφ = cos φ / b
+    let u = 1 / r0;
+    let w = Math.cos(phi) / b;
+    const h = -step;   // 光线沿 +x 运动时 φ 减小
+    const endPhi = phi - maxTurns * 2 * Math.PI;
+    const points = [[-startDistance, b]];
+
+    while (phi > endPhi) {
+        const a1 = orbitAcceleration(u);
+        const a2 = orbitAcceleration(u + 0.5 * h * w);
+        const a3 = orbitAcceleration(u + 0.5 * h * (w + 0.5 * h * a1));
+        const a4 = orbitAcceleration(u + h * (w + 0.5 * h * a2));
+        u += (h / 6) * (w + 2 * (w + 0.5 * h * a1) + 2 * (w + 0.5 * h * a2) + (w + h * a3));
+        w += (h / 6) * (a1 + 2 * a2 + 2 * a3 + a4);
+        phi += h;
+
+        if (u >= 0.5) {
+            points.push([2 * Math.cos(phi), 2 * Math.sin(phi)]);
+            break;
+        }
+        if (u <= 1 / r0) {
+            points.push([Math.cos(phi) / u, Math.sin(phi) / u]);
+            break;
+        }
+        points.push([Math.cos(phi) / u, Math.sin(phi) / u]);
+    }
+    return points;
+}
@@ -0,0 +1,91 @@
+import { SOLAR_MASS, accretionRate } from './blackbody.js';
+import { SOLAR_RADIUS, gravitationalLength, gravitationalTime } from './units.js';
+
+// 潮汐瓦解事件 (TDE) 的解析公式
+// 几何单位 G = c = M = 1, 半径与时间以 M 为单位; 恒星质量与半径以太阳质量、太阳半径给出
+// 轨道按牛顿力学计算 (潮汐半径通常在几十 M 以外, 相对论修正只影响细节)
+
+// 恒星半径 (M)
+export function stellarRadius(massSolar, starRadius = 1) {
+    return (starRadius * SOLAR_RADIUS) / gravitationalLength(massSolar);
+}
+
+// 潮汐半径 r_t = R* (M / m*)^(1/3): 黑洞的潮汐力在此超过恒星的自引力
+export function tidalRadius(massSolar, starMass = 1, starRadius = 1) {
+    return stellarRadius(massSolar, starRadius) * Math.cbrt(massSolar / starMass);
+}
+
+// 碎屑比能量的弥散 Δε = R* / r_t² (冻结近似: 瓦解时恒星各部分在黑洞势中的势能差)
+// 一半碎屑 (ε < 0) 被束缚并回落, 另一半 (ε > 0) 沿双曲线逃逸
+export function debrisEnergySpread(massSolar, starMass = 1, starRadius = 1) {
+    const rt = tidalRadius(massSolar, starMass, starRadius);
+    return stellarRadius(massSolar, starRadius) / (rt * rt);
+}
+
+// 比能量 ε < 0 的椭圆轨道周期 2π a^1.5, a = 1 / 2|ε|; 碎屑在近心点瓦解后经过一个周期回到近心点
+export function keplerPeriod(energy) {
+    return (2 * Math.PI) / Math.pow(-2 * energy, 1.5);
+}
+
+// 束缚最紧的碎屑的回落时间 t_min (M)
+export function fallbackTime(energySpread) {
+    return keplerPeriod(-energySpread);
+}
+
+// 回落率 (每 M 时间回落的恒星质量比例): dM/dε 在 [-Δε, Δε] 内均匀时
+// Ṁ(t) = (1 / 3 t_min) (t / t_min)^(-5/3), t ≥ t_min, 总计回落一半质量
+export function fallbackRate(t, tMin) {
+    return t < tMin ? 0 : Math.pow(t / tMin, -5 / 3) / (3 * tMin);
+}
+
+// 峰值回落率与爱丁顿吸积率之比
+export function peakFallbackEddingtonRatio(massSolar, spin, starMass = 1, starRadius = 1) {
+    const tMin = fallbackTime(debrisEnergySpread(massSolar, starMass, starRadius)) * gravitationalTime(massSolar);
+    const peakRate = (starMass * SOLAR_MASS) / (3 * tMin);
+    return peakRate / accretionRate(massSolar, 1, spin);
+}
+
+// 抛物线轨道从近心点 (近心距 rp) 运动到半径 r 所需的时间 (Barker 方程)
+export function parabolicTime(rp, r) {
+    const d = Math.sqrt(Math.max(r / rp - 1, 0));   // tan(f / 2)
+    return Math.sqrt(2 * rp * rp * rp) * (d + (d * d * d) / 3);
+}
+
+// Stumpff 函数 C(z), S(z)
+function stumpff(z) {
+    if (z > 1e-6) {
+        const s = Math.sqrt(z);
+        return [(1 - Math.cos(s)) / z, (s - Math.sin(s)) / (s * s * s)];
+    }
+    if (z < -1e-6) {
+        const s = Math.sqrt(-z);
+        return [(Math.cosh(s) - 1) / -z, (Math.sinh(s) - s) / (s * s * s)];
+    }
+    return [1 / 2 - z / 24, 1 / 6 - z / 120];
+}
+
+// 从近心点出发 (近心距 rp, 切向速度 vp) 经过时间 t (可为负) 后在轨道平面内的位置, 写入 target = [x, y]
+// x 指向近心点, y 沿近心点速度方向; 万有变量形式统一处理椭圆、抛物线与双曲线轨道
+export function keplerOrbitPosition(rp, vp, t, target = [0, 0]) {
+    const alpha = 2 / rp - vp * vp;   // 1 / a, 椭圆为正
+    // 以抛物线轨道的解 (Barker 方程) 作为牛顿迭代的初值
+    const w = (1.5 * t) / Math.sqrt(2 * rp * rp * rp);
+    const y = Math.cbrt(w + Math.sqrt(w * w + 1));
+    let chi = Math.sqrt(2 * rp) * (y - 1 / y);
+    let c = 0.5;
+    let s = 1 / 6;
+    for (let i = 0; i < 50; i++) {
+        [c, s] = stumpff(alpha * chi * chi);
+        const residual = (1 - alpha * rp) * chi * chi * chi * s + rp * chi - t;
+        const radius = (1 - alpha * rp) * chi * chi * c + rp;
+        const step = residual / radius;
+        chi -= step;
+        if (Math.abs(step) < 1e-10 * (1 + Math.abs(chi))) {
+            break;
+        }
+    }
+    [c, s] = stumpff(alpha * chi * chi);
+    target[0] = rp * (1 - (chi * chi * c) / rp);
+    target[1] = vp * (t - chi * chi * chi * s);
+    return target;
+}
@@ -0,0 +1,24 @@
+import { C, G, SOLAR_MASS } from './blackbody.js';
+
+// 几何单位 (G = c = M = 1) 与国际单位制的换算, 质量以太阳质量给出
+
+export const SECONDS_PER_YEAR = 3.156e7;
+export const STANDARD_GRAVITY = 9.80665;
+export const SOLAR_RADIUS = 6.957e8;
+
+// 引力半径 GM/c² (m), 即几何单位中长度 1 M 对应的米数; 史瓦西半径为其两倍
+export function gravitationalLength(massSolar) {
+    return (G * massSolar * SOLAR_MASS) / (C * C);
+}
+
+// 几何单位中时间 1 M 对应的秒数 GM/c³
+export function gravitationalTime(massSolar) {
+    return gravitationalLength(massSolar) / C;
+}
+
+// 相距 length (m) 的两点在径向上的潮汐加速度差 2GM·length / r³ (m/s²), r 以 M 为单位
+// 对径向自由下落的物体在史瓦西度规中严格成立, 自旋不为零时作为近似
+export function tidalAcceleration(r, massSolar, length) {
+    const radius = r * gravitationalLength(massSolar);
+    return (2 * G * massSolar * SOLAR_MASS * length) / (radius * radius * radius);
+}
@@ -0,0 +1,122 @@
+import { keplerAngularVelocity, zamoLapse } from './physics/kerr.js';
+import { debrisEnergySpread, fallbackTime } from './physics/tidalDisruption.js';
+import { binaryAngularVelocity, mergerTime, radiatedEnergyFraction, remnantSpin } from './physics/binary.js';
+import {
+    SECONDS_PER_YEAR,
+    STANDARD_GRAVITY,
+    gravitationalLength,
+    gravitationalTime,
+    tidalAcceleration
+} from './physics/units.js';
+
+// 物理量读数 (HUD): 以真实单位显示特征半径、相机处的时间膨胀、圆轨道周期与潮汐加速度
+// 半径均以 M 为单位传入, 由可视化器中网格使用的场景半径换算而来, 读数与画面始终一致
+
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+const DURATION_UNITS = [
+    ['年', SECONDS_PER_YEAR],
+    ['天', 86400],
+    ['小时', 3600],
+    ['分钟', 60],
+    ['秒', 1]
+];
+
+// 三位有效数字, 很大或很小时写成 a×10ⁿ
+export function formatNumber(value) {
+    if (value === 0 || !Number.isFinite(value)) {
+        return String(value);
+    }
+    const exponent = Math.floor(Math.log10(Math.abs(value)));
+    if (exponent >= -2 && exponent < 5) {
+        return String(Number(value.toPrecision(3)));
+    }
+    const [mantissa, power] = value.toExponential(2).split('e');
+    return `${mantissa}×10${String(Number(power)).split('').map(char => SUPERSCRIPTS[char]).join('')}`;
+}
+
+// 选取不小于 1 的最大时间单位
+export function formatDuration(seconds) {
+    const [label, size] = DURATION_UNITS.find(([, size]) => seconds >= size) || DURATION_UNITS[DURATION_UNITS.length - 1];
+    return `${formatNumber(seconds / size)} ${label}`;
+}
+
+// radii: 视界、视界网格 (放大绘制, 可省略)、顺行光子轨道与 ISCO 半径; camera: 相机处的 Boyer-Lindquist 坐标 r 与极角 theta (相对自旋轴)
+// observerSpeed: 观测者相对 ZAMO 的速度 (以光速为单位), 其狭义相对论时间膨胀与引力时间膨胀相乘
+export function physicsReadoutLines({ massSolar, spin, radii, camera, observerSpeed = 0, bodyLength = 2 }) {
+    const meters = gravitationalLength(massSolar);
+    const radius = (label, r) => `${label}: ${formatNumber(r / 2)} rs (${formatNumber((r * meters) / 1000)} km)`;
+    const lines = [
+        `质量: ${formatNumber(massSolar)} M☉ · 自旋 a = ${spin.toFixed(3)}`,
+        `史瓦西半径 rs: ${formatNumber((2 * meters) / 1000)} km`,
+        radius('事件视界', radii.horizon),
+        ...(radii.horizonMesh ? [`视界网格: ${formatNumber(radii.horizonMesh / 2)} rs (放大绘制, 相机距离不以它为准)`] : []),
+        radius(spin > 0 ? '光子球 (顺行)' : '光子球', radii.photonSphere),
+        radius('ISCO', radii.isco),
+        radius('相机距离', camera.r)
+    ];
+
+    const lapse = zamoLapse(camera.r, camera.theta, spin);
+    if (lapse > 0) {
+        const dilation = 1 / (lapse * Math.sqrt(1 - observerSpeed * observerSpeed));
+        const motion = observerSpeed > 0 ? ` (含 ${observerSpeed.toFixed(2)}c 运动)` : '';
+        lines.push(`时间膨胀${motion}: 此处 1 小时 = 远处 ${formatDuration(3600 * dilation)}`);
+    } else {
+        lines.push('时间膨胀: 相机位于视界内, 不存在静止观测者');
+    }
+
+    // 远处观测者测得的顺行圆轨道周期 2π / Ω
+    if (camera.r > radii.photonSphere) {
+        const period = (2 * Math.PI * gravitationalTime(massSolar)) / keplerAngularVelocity(camera.r, spin);
+        lines.push(`圆轨道周期: ${formatDuration(period)}${camera.r < radii.isco ? ' (不稳定)' : ''}`);
+    } else {
+        lines.push('圆轨道周期: 光子球以内不存在圆轨道');
+    }
+
+    const tidal = tidalAcceleration(camera.r, massSolar, bodyLength);
+    lines.push(`潮汐加速度 (${bodyLength} m): ${formatNumber(tidal)} m/s² (${formatNumber(tidal / STANDARD_GRAVITY)} g)`);
+    return lines;
+}
+
+// 潮汐瓦解事件的读数: 回落时间为真实值, 动画中按比例压缩
+export function tidalDisruptionReadoutLines(event, massSolar) {
+    const meters = gravitationalLength(massSolar);
+    const lines = [
+        `潮汐瓦解: ${event.phase} · 恒星 ${formatNumber(event.starMass)} M☉, ${formatNumber(event.starRadius)} R☉`,
+        `潮汐半径: ${formatNumber(event.tidalRadius / 2)} rs (${formatNumber((event.tidalRadius * meters) / 1000)} km) · 近心点 ${formatNumber(event.pericenter / 2)} rs`
+    ];
+    if (event.swallowed) {
+        lines.push('近心点在边缘束缚轨道以内: 恒星未被撕裂即被整体吞没, 不产生耀发');
+        return lines;
+    }
+    const tMin = fallbackTime(debrisEnergySpread(massSolar, event.starMass, event.starRadius)) * gravitationalTime(massSolar);
+    lines.push(`最早回落: ${formatDuration(tMin)} 后 · 峰值回落率 ${formatNumber(event.peakFallbackRatio)} Ṁ_Edd (动画按比例加速)`);
+    return lines;
+}
+
+// 双黑洞读数: separation 为当前间距 (以主黑洞的 M 为单位), 距合并时间按真实的引力波辐射计算 (动画中按比例加快)
+export function binaryReadoutLines({ massSolar, massRatio, separation }) {
+    const meters = gravitationalLength(massSolar);
+    const seconds = gravitationalTime(massSolar);
+    const period = (2 * Math.PI * seconds) / binaryAngularVelocity(separation, massRatio);
+    const finalMass = massSolar * (1 + massRatio) * (1 - radiatedEnergyFraction(massRatio));
+    return [
+        `双黑洞: 伴星 ${formatNumber(massSolar * massRatio)} M☉ · 间距 ${formatNumber(separation / 2)} rs (${formatNumber((separation * meters) / 1000)} km)`,
+        `轨道周期: ${formatDuration(period)} · 引力波频率 ${formatNumber(2 / period)} Hz`,
+        `距合并: ${formatDuration(mergerTime(separation, massRatio) * seconds)} (动画按比例加速)`,
+        `合并后: ${formatNumber(finalMass)} M☉ · 自旋 a = ${remnantSpin(massRatio).toFixed(3)}`
+    ];
+}
+
+// 探测器读数: 自身的固有时与远处观测者的坐标时并列; 固有时在越过视界时有限, 坐标时则无限增长
+export function probeReadoutLines(probe, massSolar) {
+    const seconds = gravitationalTime(massSolar);
+    const lines = [
+        `探测器: ${probe.phase} · r = ${formatNumber(probe.radius / 2)} rs · 频率比 ${formatNumber(probe.redshift)}`,
+        `固有时 ${formatDuration(probe.properTime * seconds)} · 远处坐标时 ${formatDuration(probe.coordinateTime * seconds)}`
+    ];
+    if (Number.isFinite(probe.horizonProperTime)) {
+        lines.push(`越过视界时的固有时: ${formatDuration(probe.horizonProperTime * seconds)} (远处永远看不到)`);
+    }
+    return lines;
+}
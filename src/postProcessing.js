@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import {
+    brightPassShader,
+    downsampleShader,
+    glowCompositeShader,
+    postVertexShader,
+    streakShader,
+    upsampleShader
+} from './shaders/post.js';
+
+// HDR 后期处理链中的自定义 pass (与 three 的 EffectComposer 配合使用)
+// 链中的渲染目标均为半精度浮点, 色调映射与 sRGB 编码只在最后的 OutputPass 中进行
+
+function createHdrTarget(width = 1, height = 1) {
+    return new THREE.WebGLRenderTarget(Math.max(1, width), Math.max(1, height), {
+        type: THREE.HalfFloatType,
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        depthBuffer: false
+    });
+}
+
+export function createPostMaterial(fragmentShader, uniforms) {
+    return new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: postVertexShader,
+        fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+}
+
+// 场景 (含引力透镜) 作为链中的第一个 pass, 由回调直接绘制到读缓冲
+export class LensingPass extends Pass {
+    constructor(renderScene) {
+        super();
+        this.renderScene = renderScene;
+        this.needsSwap = false;
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        this.renderScene(this.renderToScreen ? null : readBuffer);
+    }
+}
+
+// 光晕类效果的基类: 在低分辨率目标中生成光晕 (glowTarget), 再叠加到画面上
+// freeze() 保留当前光晕供之后的帧使用: 分块导出时先渲染整幅图像的光晕, 各块按 viewRect 取用对应部分, 避免接缝
+class GlowPass extends Pass {
+    constructor(viewRect, tint) {
+        super();
+        this.viewRect = viewRect;
+        this.glowTarget = createHdrTarget();
+        this.frozenTarget = null;
+        this.compositeMaterial = createPostMaterial(glowCompositeShader, {
+            tDiffuse: { value: null },
+            tGlow: { value: null },
+            tint: { value: tint },
+            strength: { value: 1 },
+            glowRect: { value: new THREE.Vector4(0, 0, 1, 1) }
+        });
+        this.fsQuad = new FullScreenQuad(null);
+    }
+
+    renderQuad(renderer, material, target) {
+        this.fsQuad.material = material;
+        renderer.setRenderTarget(target);
+        this.fsQuad.render(renderer);
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const uniforms = this.compositeMaterial.uniforms;
+        if (this.frozenTarget) {
+            uniforms.tGlow.value = this.frozenTarget.texture;
+            uniforms.glowRect.value.copy(this.viewRect);
+        } else {
+            uniforms.tGlow.value = this.renderGlow(renderer, readBuffer);
+            uniforms.glowRect.value.set(0, 0, 1, 1);
+        }
+        uniforms.tDiffuse.value = readBuffer.texture;
+        uniforms.strength.value = this.getCompositeStrength();
+        this.renderQuad(renderer, this.compositeMaterial, this.renderToScreen ? null : writeBuffer);
+    }
+
+    freeze() {
+        this.unfreeze();
+        this.frozenTarget = this.glowTarget;
+        this.glowTarget = createHdrTarget(this.frozenTarget.width, this.frozenTarget.height);
+    }
+
+    unfreeze() {
+        if (this.frozenTarget) {
+            this.frozenTarget.dispose();
+            this.frozenTarget = null;
+        }
+    }
+
+    dispose() {
+        this.unfreeze();
+        this.glowTarget.dispose();
+        this.compositeMaterial.dispose();
+        this.fsQuad.dispose();
+    }
+}
+
+// 泛光: 亮部降采样为多级金字塔后逐级上采样叠加 (双重滤波), 光晕范围与分辨率成比例, 不同分辨率下观感一致
+export class BloomPass extends GlowPass {
+    constructor(viewRect, { strength = 0.8, threshold = 1, radius = 0.7, levels = 6 } = {}) {
+        super(viewRect, new THREE.Color(1, 1, 1));
+        this.strength = strength;
+        this.radius = radius;
+        this.levels = levels;
+        this.downTargets = Array.from({ length: levels }, () => createHdrTarget());
+        this.upTargets = Array.from({ length: levels - 1 }, (_, i) => (i === 0 ? null : createHdrTarget()));
+        this.brightMaterial = createPostMaterial(brightPassShader, {
+            tInput: { value: null },
+            texelSize: { value: new THREE.Vector2() },
+            threshold: { value: threshold }
+        });
+        this.downsampleMaterial = createPostMaterial(downsampleShader, {
+            tInput: { value: null },
+            texelSize: { value: new THREE.Vector2() }
+        });
+        this.upsampleMaterial = createPostMaterial(upsampleShader, {
+            tInput: { value: null },
+            tDetail: { value: null },
+            texelSize: { value: new THREE.Vector2() },
+            radius: { value: radius }
+        });
+    }
+
+    get threshold() {
+        return this.brightMaterial.uniforms.threshold.value;
+    }
+
+    set threshold(value) {
+        this.brightMaterial.uniforms.threshold.value = value;
+    }
+
+    setSize(width, height) {
+        this.downTargets.forEach((target, i) => {
+            const scale = Math.pow(2, i + 1);
+            target.setSize(Math.max(1, Math.round(width / scale)), Math.max(1, Math.round(height / scale)));
+            if (i === 0) {
+                this.glowTarget.setSize(target.width, target.height);
+            } else if (i < this.levels - 1) {
+                this.upTargets[i].setSize(target.width, target.height);
+            }
+        });
+    }
+
+    renderGlow(renderer, readBuffer) {
+        const bright = this.brightMaterial.uniforms;
+        bright.tInput.value = readBuffer.texture;
+        bright.texelSize.value.set(1 / readBuffer.width, 1 / readBuffer.height);
+        this.renderQuad(renderer, this.brightMaterial, this.downTargets[0]);
+
+        const down = this.downsampleMaterial.uniforms;
+        for (let i = 1; i < this.levels; i++) {
+            const source = this.downTargets[i - 1];
+            down.tInput.value = source.texture;
+            down.texelSize.value.set(1 / source.width, 1 / source.height);
+            this.renderQuad(renderer, this.downsampleMaterial, this.downTargets[i]);
+        }
+
+        // 从最低一级开始逐级上采样, 最后一级写入光晕目标
+        const up = this.upsampleMaterial.uniforms;
+        up.radius.value = this.radius;
+        let source = this.downTargets[this.levels - 1];
+        for (let i = this.levels - 2; i >= 0; i--) {
+            const target = i === 0 ? this.glowTarget : this.upTargets[i];
+            up.tInput.value = source.texture;
+            up.tDetail.value = this.downTargets[i].texture;
+            up.texelSize.value.set(1 / source.width, 1 / source.height);
+            this.renderQuad(renderer, this.upsampleMaterial, target);
+            source = target;
+        }
+        return this.glowTarget.texture;
+    }
+
+    // 各级按 radius 的幂次叠加, 除以权重之和使总亮度与 radius 无关
+    getCompositeStrength() {
+        let total = 0;
+        for (let i = 0; i < this.levels; i++) {
+            total += Math.pow(this.radius, i);
+        }
+        return this.strength / total;
+    }
+
+    dispose() {
+        super.dispose();
+        [...this.downTargets, ...this.upTargets].forEach(target => target && target.dispose());
+        [this.brightMaterial, this.downsampleMaterial, this.upsampleMaterial].forEach(material => material.dispose());
+    }
+}
+
+// 变形镜头眩光: 亮部在四分之一分辨率下沿水平方向多级拉长, 染成变形镜头特有的蓝色
+export class AnamorphicGlarePass extends GlowPass {
+    constructor(viewRect, { strength = 0.3, threshold = 2, length = 0.6, iterations = 4 } = {}) {
+        super(viewRect, new THREE.Color(0.35, 0.6, 1.0));
+        this.strength = strength;
+        this.length = length;
+        this.iterations = iterations;
+        this.brightTarget = createHdrTarget();
+        this.streakTargets = [createHdrTarget(), createHdrTarget()];
+        this.brightMaterial = createPostMaterial(brightPassShader, {
+            tInput: { value: null },
+            texelSize: { value: new THREE.Vector2() },
+            threshold: { value: threshold }
+        });
+        this.streakMaterial = createPostMaterial(streakShader, {
+            tInput: { value: null },
+            texelSize: { value: new THREE.Vector2() },
+            stride: { value: 1 },
+            attenuation: { value: 0.9 }
+        });
+    }
+
+    get threshold() {
+        return this.brightMaterial.uniforms.threshold.value;
+    }
+
+    set threshold(value) {
+        this.brightMaterial.uniforms.threshold.value = value;
+    }
+
+    setSize(width, height) {
+        const halfWidth = Math.max(1, Math.round(width / 2));
+        const halfHeight = Math.max(1, Math.round(height / 2));
+        const quarterWidth = Math.max(1, Math.round(width / 4));
+        const quarterHeight = Math.max(1, Math.round(height / 4));
+        this.brightTarget.setSize(halfWidth, halfHeight);
+        this.streakTargets.forEach(target => target.setSize(quarterWidth, quarterHeight));
+        this.glowTarget.setSize(quarterWidth, quarterHeight);
+    }
+
+    renderGlow(renderer, readBuffer) {
+        const bright = this.brightMaterial.uniforms;
+        bright.tInput.value = readBuffer.texture;
+        bright.texelSize.value.set(1 / readBuffer.width, 1 / readBuffer.height);
+        this.renderQuad(renderer, this.brightMaterial, this.brightTarget);
+
+        // 每级样本间距为上一级的 4 倍, 四级后拉长约 200 个四分之一分辨率像素
+        const streak = this.streakMaterial.uniforms;
+        const width = this.glowTarget.width;
+        streak.texelSize.value.set(1 / width, 1 / this.glowTarget.height);
+        streak.attenuation.value = 0.75 + 0.23 * THREE.MathUtils.clamp(this.length, 0, 1);
+        let source = this.brightTarget;
+        for (let i = 0; i < this.iterations; i++) {
+            const target = i === this.iterations - 1 ? this.glowTarget : this.streakTargets[i % 2];
+            streak.tInput.value = source.texture;
+            streak.stride.value = Math.pow(4, i);
+            this.renderQuad(renderer, this.streakMaterial, target);
+            source = target;
+        }
+        return this.glowTarget.texture;
+    }
+
+    getCompositeStrength() {
+        return this.strength;
+    }
+
+    dispose() {
+        super.dispose();
+        [this.brightTarget, ...this.streakTargets].forEach(target => target.dispose());
+        [this.brightMaterial, this.streakMaterial].forEach(material => material.dispose());
+    }
+}
@@ -0,0 +1,119 @@
+// 参数预设: 内置的著名黑洞与保存在 localStorage 中的用户预设
+// 预设内容是 setParams() 的参数子集, 未列出的参数保持不变
+
+export const BUILTIN_PRESETS = {
+    // 《星际穿越》: 近极端自旋, 电影中关闭了多普勒聚束与引力红移
+    Gargantua: {
+        spin: 0.999,
+        massSolar: 1e8,
+        eddingtonRatio: 2e-6,
+        diskInnerRadius: null,
+        diskOuterRadius: 24,
+        diskModel: 'thin',
+        jets: false,
+        lensStrength: 1.2,
+        lensingMode: 'geodesic',
+        dopplerBeaming: false,
+        gravitationalRedshift: false,
+        exposure: 1.2
+    },
+    // M87*: 约 65 亿太阳质量, 高自旋, 低吸积率; 辐射低效的厚吸积流与延伸数千光年的喷流
+    'M87*': {
+        spin: 0.9,
+        massSolar: 6.5e9,
+        eddingtonRatio: 1e-5,
+        diskInnerRadius: null,
+        diskOuterRadius: 20,
+        diskModel: 'thick',
+        diskScaleHeight: 0.3,
+        diskOpacity: 1,
+        jets: true,
+        jetSpeed: 0.98,
+        jetOpeningAngle: 0.1,
+        jetLength: 80,
+        jetBrightness: 1,
+        lensStrength: 1.2,
+        lensingMode: 'geodesic',
+        dopplerBeaming: true,
+        gravitationalRedshift: true,
+        exposure: 1.0
+    },
+    // 银河系中心 Sgr A*: 约 430 万太阳质量, 吸积率极低
+    'Sgr A*': {
+        spin: 0.5,
+        massSolar: 4.3e6,
+        eddingtonRatio: 1e-8,
+        diskInnerRadius: null,
+        diskOuterRadius: 16,
+        diskModel: 'thick',
+        diskScaleHeight: 0.4,
+        diskOpacity: 0.5,
+        jets: false,
+        lensStrength: 1.0,
+        lensingMode: 'geodesic',
+        dopplerBeaming: true,
+        gravitationalRedshift: true,
+        exposure: 1.4
+    },
+    // 类星体: 十亿太阳质量级的活动星系核, 接近爱丁顿极限的明亮薄盘与强喷流
+    Quasar: {
+        spin: 0.95,
+        massSolar: 1e9,
+        eddingtonRatio: 0.3,
+        diskInnerRadius: null,
+        diskOuterRadius: 30,
+        diskModel: 'thin',
+        jets: true,
+        jetSpeed: 0.995,
+        jetOpeningAngle: 0.05,
+        jetLength: 100,
+        jetBrightness: 2,
+        lensStrength: 1.2,
+        lensingMode: 'geodesic',
+        dopplerBeaming: true,
+        gravitationalRedshift: true,
+        exposure: 0.8
+    }
+};
+
+const STORAGE_KEY = 'blackhole-visualizer-presets';
+
+// 隐私模式或存储配额已满时 localStorage 可能不可用, 此时用户预设只在本次会话中有效
+// 任何一次读写失败后都改用内存存储, 读写始终使用同一份数据
+let memoryPresets = {};
+let storageAvailable = true;
+
+export function loadUserPresets() {
+    if (storageAvailable) {
+        try {
+            const stored = window.localStorage.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            storageAvailable = false;
+        }
+    }
+    return { ...memoryPresets };
+}
+
+function storeUserPresets(presets) {
+    memoryPresets = presets;
+    if (!storageAvailable) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        storageAvailable = false;
+        console.warn('无法保存用户预设, 本次会话中改为保存在内存中:', error);
+    }
+}
+
+export function saveUserPreset(name, params) {
+    storeUserPresets({ ...loadUserPresets(), [name]: params });
+}
+
+export function deleteUserPreset(name) {
+    const presets = loadUserPresets();
+    delete presets[name];
+    storeUserPresets(presets);
+}
@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { blackbodyColor } from './physics/blackbody.js';
+import {
+    PROBE_HORIZON,
+    probeConstants,
+    probeHorizonProperTime,
+    probeLocalVelocity,
+    probeRedshift,
+    stepProbe
+} from './physics/probe.js';
+
+// 自由下落的探测器: 从发射点沿史瓦西测地线运动, 以远处观测者的坐标时推进
+// 状态只由发射后经过的坐标时决定 (固定步长积分, 时间倒退时从发射状态重新积分), 与帧率、暂停与跳转无关
+// 探测器是普通的前景物体 (前景图层的网格), 透镜与图层设置对它与对吸积盘相同
+// context: group (父节点, 以黑洞为原点)、layer、prepareMaterial (为材质加上观测者光行差)、
+//          blackHoleMass (场景单位)、toRadius 与 toSceneDistance (相对黑洞的场景位移与测地线半径 r 互换, 与物理量读数的相机距离一致)
+
+// 积分步长 (坐标时, M)
+const STEP = 0.25;
+// 信标的黑体温度 (K) 与静止时的显示亮度 (HDR)
+const BEACON_TEMPERATURE = 8000;
+const BEACON_BRIGHTNESS = 6;
+// 探测器的显示半径 (M)
+const PROBE_SIZE = 0.25;
+// 频率比低于此值后信号视为消失; 远离到发射半径的这么多倍视为逃逸; 超过此坐标时 (M) 后移除
+const FADE_REDSHIFT = 1e-3;
+const ESCAPE_FACTOR = 3;
+const MAX_COORDINATE_TIME = 2e4;
+
+export class Probe {
+    // position: 发射点 (相对黑洞中心, 场景单位); direction: 发射方向; speed: 相对当地静止观测者的速度 (以光速为单位)
+    constructor(context, { position, direction, speed }) {
+        this.context = context;
+        const M = context.blackHoleMass;
+        const r0 = context.toRadius(position);
+
+        // 轨道平面: e1 指向发射点, e2 为切向速度方向; 径向发射时任取一个垂直方向
+        this.axisR = position.clone().normalize();
+        const unit = direction.clone().normalize();
+        const radialSpeed = speed * unit.dot(this.axisR);
+        const tangential = unit.addScaledVector(this.axisR, -unit.dot(this.axisR));
+        const tangentialLength = tangential.length();
+        if (tangentialLength < 1e-6) {
+            tangential.set(0, 1, 0).cross(this.axisR);
+            if (tangential.lengthSq() < 1e-6) {
+                tangential.set(1, 0, 0);
+            }
+        }
+        this.axisT = tangential.normalize();
+        const tangentialSpeed = speed * tangentialLength;
+
+        const { energy, angularMomentum, radialVelocity } = probeConstants(r0, radialSpeed, tangentialSpeed);
+        this.energy = energy;
+        this.angularMomentum = angularMomentum;
+        this.launchRadius = r0;
+        this.initialState = [r0, 0, radialVelocity, 0];
+        this.state = this.initialState.slice();
+        this.stepCount = 0;
+        this.horizonProperTime = probeHorizonProperTime(this.initialState, angularMomentum, ESCAPE_FACTOR * r0);
+
+        this.coordinateTime = 0;
+        this.redshift = 1;
+        this.phase = '';
+        this._radial = new THREE.Vector3();
+        this._tangent = new THREE.Vector3();
+        this._lineOfSight = new THREE.Vector3();
+
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        context.prepareMaterial(material);
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(PROBE_SIZE * M, 12, 8), material);
+        this.mesh.layers.set(context.layer);
+        context.group.add(this.mesh);
+    }
+
+    get radius() {
+        return this.state[0];
+    }
+
+    get properTime() {
+        return this.state[3];
+    }
+
+    // coordinateTime: 发射后经过的坐标时 (M); observer: 观测者相对黑洞中心的位置 (场景单位), 决定视线方向
+    // 返回 false 表示探测器已逃逸、信号已消失或飞行时间过长, 应当移除
+    update(coordinateTime, observer) {
+        const targetStep = Math.floor(Math.max(coordinateTime, 0) / STEP + 1e-6);
+        if (targetStep < this.stepCount) {
+            this.state = this.initialState.slice();
+            this.stepCount = 0;
+        }
+        for (; this.stepCount < targetStep; this.stepCount++) {
+            stepProbe(this.state, this.energy, this.angularMomentum, STEP);
+        }
+        this.coordinateTime = this.stepCount * STEP;
+
+        const [r, phi, u] = this.state;
+        const radial = this._radial
+            .copy(this.axisR).multiplyScalar(Math.cos(phi))
+            .addScaledVector(this.axisT, Math.sin(phi));
+        this.mesh.position.copy(radial).multiplyScalar(this.context.toSceneDistance(r, radial));
+
+        // 局部速度沿视线的分量决定多普勒因子; 不计光的传播时间与光线弯曲
+        const [radialSpeed, tangentialSpeed] = probeLocalVelocity(r, u, this.energy, this.angularMomentum);
+        const tangent = this._tangent
+            .copy(this.axisR).multiplyScalar(-Math.sin(phi))
+            .addScaledVector(this.axisT, Math.cos(phi));
+        const lineOfSight = this._lineOfSight.subVectors(this.mesh.position, observer).normalize();
+        const velocity = radial.multiplyScalar(radialSpeed).addScaledVector(tangent, tangentialSpeed);
+        this.redshift = probeRedshift(r, velocity.length(), velocity.dot(lineOfSight));
+
+        // 信标的观测温度为 g·T, 面亮度 ∝ g⁴: 接近视界时变红、变暗
+        const { r: red, g: green, b: blue } = blackbodyColor(BEACON_TEMPERATURE * this.redshift);
+        const brightness = BEACON_BRIGHTNESS * Math.pow(this.redshift, 4);
+        this.mesh.material.color.setRGB(red * brightness, green * brightness, blue * brightness);
+
+        const escaped = r > ESCAPE_FACTOR * this.launchRadius && u > 0;
+        if (escaped) {
+            this.phase = '已逃逸';
+        } else if (r < 1.1 * PROBE_HORIZON) {
+            this.phase = '冻结在视界附近';
+        } else {
+            this.phase = u < 0 ? '下落' : '远离';
+        }
+        return !escaped && this.redshift > FADE_REDSHIFT && this.coordinateTime < MAX_COORDINATE_TIME;
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
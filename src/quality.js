@@ -0,0 +1,96 @@
+// 画质等级与自适应画质调节
+// quality 为 auto 时由 QualityGovernor 根据帧间隔在各等级之间切换, 手动指定等级时不再自动调节
+
+export const QUALITY_TIERS = ['low', 'medium', 'high', 'ultra'];
+
+// pixelRatio: 渲染器像素比上限 (不超过设备像素比)
+// lensResolution: 透镜渲染目标 (屏幕空间背景 / 测地线追踪) 相对绘制缓冲的分辨率
+// particleFraction: 实际模拟与绘制的粒子比例 (计算 pass 只覆盖这些粒子所在的纹理行; 比例增大时从检查点重新积分, 粒子状态仍只取决于种子与时间)
+// geometryDetail: 球体与圆环分段数的倍率
+// volumeSteps: 厚盘与喷流每个像素的光线步进次数
+export const QUALITY_SETTINGS = {
+    low: { label: '低', pixelRatio: 0.75, lensResolution: 0.5, particleFraction: 0.25, geometryDetail: 0.5, volumeSteps: 24 },
+    medium: { label: '中', pixelRatio: 1, lensResolution: 0.75, particleFraction: 0.5, geometryDetail: 0.75, volumeSteps: 40 },
+    high: { label: '高', pixelRatio: 1.5, lensResolution: 1, particleFraction: 1, geometryDetail: 1, volumeSteps: 64 },
+    ultra: { label: '极高', pixelRatio: 2, lensResolution: 1, particleFraction: 1, geometryDetail: 1.5, volumeSteps: 96 }
+};
+
+// 按固定时长的窗口统计平均帧率:
+// 连续 downgradeWindows 个窗口低于目标的 85% 时降一级, 连续 upgradeWindows 个窗口达到目标的 95% 时升一级
+// 某一等级因过慢被降下后, 再次升到该等级所需的窗口数加倍, 避免在两级之间来回切换; 每次切换后冷却若干窗口
+export class QualityGovernor {
+    constructor({
+        targetFps = 60,
+        level = QUALITY_TIERS.indexOf('high'),
+        windowDuration = 1,
+        downgradeWindows = 2,
+        upgradeWindows = 5,
+        cooldownWindows = 2
+    } = {}) {
+        this.targetFps = targetFps;
+        this.level = level;
+        this.windowDuration = windowDuration;
+        this.downgradeWindows = downgradeWindows;
+        this.upgradeWindows = upgradeWindows;
+        this.cooldownWindows = cooldownWindows;
+        this.failures = QUALITY_TIERS.map(() => 0);
+        this.fps = targetFps;
+        this.reset();
+    }
+
+    // 重新开始统计 (例如手动切换等级或恢复渲染后)
+    reset() {
+        this.elapsed = 0;
+        this.frames = 0;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.cooldown = this.cooldownWindows;
+    }
+
+    // 每帧调用, 参数为真实帧间隔 (秒); 需要切换等级时返回新等级的下标, 否则返回 null
+    update(frameTime) {
+        if (!(frameTime > 0)) {
+            return null;
+        }
+        this.elapsed += frameTime;
+        this.frames++;
+        if (this.elapsed < this.windowDuration) {
+            return null;
+        }
+
+        this.fps = this.frames / this.elapsed;
+        this.elapsed = 0;
+        this.frames = 0;
+        if (this.cooldown > 0) {
+            this.cooldown--;
+            return null;
+        }
+
+        if (this.fps < this.targetFps * 0.85) {
+            this.slowWindows++;
+            this.fastWindows = 0;
+        } else if (this.fps >= this.targetFps * 0.95) {
+            this.fastWindows++;
+            this.slowWindows = 0;
+        } else {
+            this.slowWindows = 0;
+            this.fastWindows = 0;
+        }
+
+        if (this.slowWindows >= this.downgradeWindows && this.level > 0) {
+            this.failures[this.level]++;
+            return this.changeLevel(this.level - 1);
+        }
+        const next = this.level + 1;
+        if (next < QUALITY_TIERS.length && this.fastWindows >= this.upgradeWindows * Math.pow(2, Math.min(this.failures[next], 4))) {
+            return this.changeLevel(next);
+        }
+        return null;
+    }
+
+    changeLevel(level) {
+        this.level = level;
+        this.reset();
+        return level;
+    }
+}
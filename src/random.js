@@ -0,0 +1,21 @@
+// 可复现的伪随机数: 相同的种子总是产生相同的序列 (mulberry32)
+// stream 用于从同一个种子派生互不相关的序列, 例如星空与粒子各用一条
+
+// 可视化器与 CPU 参考渲染共用的序列编号, 同一种子下两者的星空完全相同
+export const RANDOM_STREAMS = {
+    stars: 0,
+    particles: 1,
+    respawn: 2,
+    events: 3
+};
+
+export function createRandom(seed, stream = 0) {
+    let state = (Math.imul(seed >>> 0, 0x9e3779b1) ^ Math.imul(stream + 1, 0x85ebca6b)) >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
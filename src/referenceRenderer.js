@@ -0,0 +1,421 @@
+import { DEFAULT_OPTIONS, resolveOptions } from './options.js';
+import { RANDOM_STREAMS, createRandom } from './random.js';
+import { BRIGHT_STARS, createStarAttributes } from './starCatalog.js';
+import { encodePng } from './exporter.js';
+import {
+    circularOrbitRedshift,
+    clampSpin,
+    diskRadii,
+    keplerAngularVelocity
+} from './physics/kerr.js';
+import {
+    blackbodyColor,
+    createBlackbodyTable,
+    diskTemperature,
+    diskTemperatureScale,
+    peakDiskTemperature,
+    sampleBlackbodyTable
+} from './physics/blackbody.js';
+import { kerrPhotonState, traceKerrGeodesic } from './physics/kerrGeodesic.js';
+
+// CPU 参考渲染: 不依赖 GPU 与浏览器, 逐像素积分克尔零测地线, 在 Node 中输出 PNG
+// 参数与 BlackHoleVisualizer 相同 (DEFAULT_OPTIONS), 盘面半径、温度分布、黑体颜色、频移与星空都与实时路径共用同一套公式和种子,
+// 用于高质量离线静帧, 以及核对实时路径的阴影大小、光子环与盘面成像形状
+// 只渲染薄盘、星空与测试天空: 厚盘、喷流、双黑洞、粒子、事件与运动观测者不在参考渲染的范围内; 不做泛光等后期效果
+// camera: { position, target, fov } 与相机路径关键帧的格式相同 (场景单位, 黑洞位于原点); 相机视为零角动量观测者
+
+// 与可视化器默认视角相同: 目标点周围 (30, θ = 0, φ = π/2)
+const DEFAULT_CAMERA = { position: [30, 0, 0], target: [0, 0, 0], fov: 75 };
+// 星点的最小直径 (像素), 与星空着色器的 minPointSize 相同
+const MIN_STAR_PIXELS = 1.5;
+// 星空索引的经纬格大小 (弧度)
+const STAR_BIN_SIZE = Math.PI / 180;
+// smoothDisk 时以盘面花纹的平均值代替花纹 (螺旋与湍流各约 0.5, 再乘 2)
+const DISK_MEAN_PATTERN = 0.25;
+
+const UNSUPPORTED_OPTIONS = [
+    ['diskModel', 'thin', '厚盘'],
+    ['jets', false, '喷流'],
+    ['binary', false, '双黑洞'],
+    ['observerMotion', 'off', '运动观测者']
+];
+
+const fract = x => x - Math.floor(x);
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
+
+// 世界坐标与自旋坐标系互换: 自旋轴为世界 -y, 与测地线着色器相同
+const toSpinFrame = ([x, y, z]) => [x, z, -y];
+const fromSpinFrame = ([x, y, z]) => [x, -z, y];
+
+// 吸积盘花纹, 与 diskEmissionChunk 的噪声与较差自转花纹相同 (双精度下的哈希值与 GPU 不逐点相同, 统计特征一致)
+function diskRandom(x, y) {
+    return fract(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453123);
+}
+
+function diskNoise(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+    const a = diskRandom(ix, iy);
+    const b = diskRandom(ix + 1, iy);
+    const c = diskRandom(ix, iy + 1);
+    const d = diskRandom(ix + 1, iy + 1);
+    const ux = fx * fx * (3 - 2 * fx);
+    const uy = fy * fy * (3 - 2 * fy);
+    return a + (b - a) * ux + (c - a) * uy * (1 - ux) + (d - b) * ux * uy;
+}
+
+function diskPattern(radius, angle, rotation, time) {
+    const a = angle - rotation;
+    const qx = radius * Math.cos(a);
+    const qy = radius * Math.sin(a);
+    const spiralPattern = Math.sin(a * 3 - radius * 0.5) * 0.5 + 0.5;
+    const noiseScale = 8;
+    const turbulence = diskNoise(qx * noiseScale + time * 0.5, qy * noiseScale + time * 0.5) * 0.6 +
+        diskNoise(qx * noiseScale * 2 + time * 0.3, qy * noiseScale * 2 + time * 0.3) * 0.3 +
+        diskNoise(qx * noiseScale * 4 + time * 0.1, qy * noiseScale * 4 + time * 0.1) * 0.1;
+    return spiralPattern * turbulence;
+}
+
+// three 的 ACESFilmicToneMapping 与 sRGB 编码, 与实时路径最后的 OutputPass 相同
+function acesFilmic(r, g, b, exposure) {
+    const scale = exposure / 0.6;
+    r *= scale;
+    g *= scale;
+    b *= scale;
+    const fit = v => (v * (v + 0.0245786) - 0.000090537) / (v * (0.983729 * v + 0.432951) + 0.238081);
+    const x = fit(0.59719 * r + 0.35458 * g + 0.04823 * b);
+    const y = fit(0.076 * r + 0.90834 * g + 0.01566 * b);
+    const z = fit(0.0284 * r + 0.13383 * g + 0.83777 * b);
+    return [
+        1.60475 * x - 0.53108 * y - 0.07367 * z,
+        -0.10208 * x + 1.10813 * y - 0.00605 * z,
+        -0.00327 * x - 0.07276 * y + 1.07602 * z
+    ];
+}
+
+function linearToSrgb(value) {
+    const v = Math.min(Math.max(value, 0), 1);
+    return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+export class ReferenceRenderer {
+    // options: 可视化器参数; camera: { position, target, fov }; time: 模拟时间 (秒), 决定盘面花纹与星空转角
+    // starCatalog: 星表条目 (与 BRIGHT_STARS 同格式); samples: 每像素每轴的子采样数; stepScale: 测地线步长 (实时路径为 0.05)
+    // smoothDisk: 以花纹的平均值代替花纹, 便于比较盘面成像形状
+    constructor(options = {}, { camera = DEFAULT_CAMERA, time = 0, starCatalog = BRIGHT_STARS, samples = 2, stepScale = 0.01, smoothDisk = false } = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...resolveOptions(options) };
+        const o = this.options;
+        UNSUPPORTED_OPTIONS.forEach(([key, supported, name]) => {
+            if (o[key] !== supported) {
+                console.warn(`参考渲染不支持${name} (${key}=${o[key]}), 已忽略`);
+            }
+        });
+        if (o.skyBackground === 'panorama') {
+            console.warn('参考渲染不载入全景图, 以经纬网格代替');
+        }
+
+        this.camera = { ...DEFAULT_CAMERA, ...camera };
+        this.time = time;
+        this.samples = Math.max(1, Math.round(samples));
+        this.stepScale = stepScale;
+        this.smoothDisk = smoothDisk;
+
+        // 与 BlackHoleVisualizer.updateBlackHoleRadii / updateDiskTemperature 相同
+        this.mass = o.schwarzschildRadius / 2;
+        this.spin = clampSpin(o.spin);
+        [this.diskInnerRadius, this.diskOuterRadius] = diskRadii(this.spin, o.diskInnerRadius, o.diskOuterRadius);
+        this.temperatureScale = diskTemperatureScale(o.massSolar, o.eddingtonRatio, this.spin);
+        this.referenceLuminance = blackbodyColor(peakDiskTemperature(this.diskInnerRadius, this.temperatureScale)).logLuminance;
+        this.blackbodyTable = createBlackbodyTable(1024);
+
+        this.skyAngle = o.starRotationSpeed * time;
+        if (o.skyBackground === 'stars') {
+            this.createStarIndex(starCatalog);
+        }
+    }
+
+    // 星点按方向放入经纬格, 每条逃逸光线只检查附近几格
+    createStarIndex(catalog) {
+        const random = createRandom(this.options.seed, RANDOM_STREAMS.stars);
+        const count = Math.max(0, Math.floor(this.options.starCount));
+        const { positions, colors, sizes } = createStarAttributes(catalog, count, random, 1);
+        this.starPositions = positions;
+        this.starColors = colors;
+        this.starSizes = sizes;
+        this.starLatitudeBins = Math.round(Math.PI / STAR_BIN_SIZE);
+        this.starLongitudeBins = 2 * this.starLatitudeBins;
+        this.starBins = Array.from({ length: this.starLatitudeBins * this.starLongitudeBins }, () => []);
+        this.maxStarSize = 0;
+        for (let i = 0; i < sizes.length; i++) {
+            const [row, column] = this.starBin(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            this.starBins[row * this.starLongitudeBins + column].push(i);
+            this.maxStarSize = Math.max(this.maxStarSize, sizes[i]);
+        }
+    }
+
+    starBin(x, y, z) {
+        const latitude = Math.asin(Math.min(Math.max(y, -1), 1));
+        const longitude = Math.atan2(z, x);
+        const row = Math.min(Math.floor((latitude + Math.PI / 2) / STAR_BIN_SIZE), this.starLatitudeBins - 1);
+        const column = Math.min(Math.floor((longitude + Math.PI) / STAR_BIN_SIZE), this.starLongitudeBins - 1);
+        return [row, column];
+    }
+
+    // 线性 sRGB 辐射度, 以盘面峰值温度的亮度为 1 (blackbodyRadiance)
+    blackbodyRadiance(temperature) {
+        if (temperature <= 0) {
+            return [0, 0, 0];
+        }
+        const [r, g, b, logLuminance] = sampleBlackbodyTable(this.blackbodyTable, temperature);
+        const scale = Math.pow(10, Math.min(Math.max(logLuminance - this.referenceLuminance, -30), 10));
+        return [r * scale, g * scale, b * scale];
+    }
+
+    // 盘面 (r 以 M 为单位, φ 为自旋坐标系方位角) 射向观测者的发光与不透明度, 与 diskEmission 相同
+    diskEmission(r, phi, lambda) {
+        const o = this.options;
+        const a = this.spin;
+        const normalizedRadius = (r - this.diskInnerRadius) / (this.diskOuterRadius - this.diskInnerRadius);
+
+        const [gravitational, doppler] = circularOrbitRedshift(r, a, lambda);
+        const g = (o.gravitationalRedshift ? gravitational : 1) * (o.dopplerBeaming ? doppler : 1);
+        const radiance = this.blackbodyRadiance(g * diskTemperature(r, this.diskInnerRadius, this.temperatureScale));
+        const brightness = 0.2126 * radiance[0] + 0.7152 * radiance[1] + 0.0722 * radiance[2];
+
+        let pattern = DISK_MEAN_PATTERN;
+        if (!this.smoothDisk) {
+            // 花纹以场景单位的半径计算, 较差自转的两组相位交替淡入淡出 (diskFlowPattern)
+            const radius = r * this.mass;
+            const omega = (o.orbitalTimeScale * keplerAngularVelocity(r, a)) / this.mass;
+            const flowPeriod = 8;
+            const phaseA = fract(this.time / flowPeriod);
+            const phaseB = fract(this.time / flowPeriod + 0.5);
+            const weightA = 1 - Math.abs(2 * phaseA - 1);
+            pattern = diskPattern(radius, phi, omega * phaseA * flowPeriod, this.time) * weightA +
+                diskPattern(radius, phi, omega * phaseB * flowPeriod, this.time) * (1 - weightA);
+        }
+        const intensity = pattern * 2 * smoothstep(0, 0.1, normalizedRadius) * smoothstep(1, 0.9, normalizedRadius);
+        return {
+            color: radiance.map(value => value * intensity),
+            alpha: Math.min(Math.max(intensity * 0.8 * Math.min(brightness, 1), 0), 1)
+        };
+    }
+
+    // 逃逸方向 (世界坐标) 上的天空: 星空随时间绕 y 轴旋转, 先转回天球的局部坐标
+    skyRadiance(direction, pixelAngle) {
+        const [dx, dy, dz] = direction;
+        const c = Math.cos(this.skyAngle);
+        const s = Math.sin(this.skyAngle);
+        const x = c * dx - s * dz;
+        const y = dy;
+        const z = s * dx + c * dz;
+        return this.options.skyBackground === 'stars' ? this.starRadiance(x, y, z, pixelAngle) : this.testSkyRadiance(x, y, z, pixelAngle);
+    }
+
+    // 星点: 高斯轮廓 exp(-16 d²), d 以星点直径为单位, 直径不小于 MIN_STAR_PIXELS 个像素 (与星空着色器相同, 点精灵的方形取为内切圆)
+    starRadiance(x, y, z, pixelAngle) {
+        const minSize = MIN_STAR_PIXELS * pixelAngle;
+        const reach = 0.5 * Math.max(this.maxStarSize, minSize);
+        const [row, column] = this.starBin(x, y, z);
+        const color = [0, 0, 0];
+        const rowReach = Math.ceil(reach / STAR_BIN_SIZE);
+        for (let i = Math.max(row - rowReach, 0); i <= Math.min(row + rowReach, this.starLatitudeBins - 1); i++) {
+            // 高纬度的格子更窄, 经度方向需要检查更多格
+            const edgeLatitude = Math.max(Math.abs(i * STAR_BIN_SIZE - Math.PI / 2), Math.abs((i + 1) * STAR_BIN_SIZE - Math.PI / 2));
+            const cosLatitude = Math.cos(Math.min(edgeLatitude, Math.PI / 2));
+            const columnReach = Math.ceil(reach / (STAR_BIN_SIZE * Math.max(cosLatitude, 1e-6)));
+            const columns = Math.min(2 * columnReach + 1, this.starLongitudeBins);
+            for (let k = 0; k < columns; k++) {
+                const j = (((column - columnReach + k) % this.starLongitudeBins) + this.starLongitudeBins) % this.starLongitudeBins;
+                this.starBins[i * this.starLongitudeBins + j].forEach(star => {
+                    const px = this.starPositions[star * 3] - x;
+                    const py = this.starPositions[star * 3 + 1] - y;
+                    const pz = this.starPositions[star * 3 + 2] - z;
+                    const size = Math.max(this.starSizes[star], minSize);
+                    const distance2 = (px * px + py * py + pz * pz) / (size * size);
+                    if (distance2 < 0.25) {
+                        const falloff = Math.exp(-16 * distance2);
+                        color[0] += this.starColors[star * 3] * falloff;
+                        color[1] += this.starColors[star * 3 + 1] * falloff;
+                        color[2] += this.starColors[star * 3 + 2] * falloff;
+                    }
+                });
+            }
+        }
+        return color;
+    }
+
+    // 经纬网格与棋盘格, 与天球着色器相同 (每 15° 一格, 颜色随经度变化); 网格线宽取一个像素对应的角度
+    testSkyRadiance(x, y, z, pixelAngle) {
+        const longitude = Math.atan2(z, x);
+        const latitude = Math.asin(Math.min(Math.max(y, -1), 1));
+        const tint = [0, 2.094, 4.189].map(offset => 0.6 + 0.4 * Math.cos(longitude + offset));
+        const cell = 15 * Math.PI / 180;
+        const cellX = longitude / cell;
+        const cellY = latitude / cell;
+
+        if (this.options.skyBackground === 'checker') {
+            const parity = (((Math.floor(cellX) + Math.floor(cellY)) % 2) + 2) % 2;
+            const shade = 0.08 + (0.6 - 0.08) * parity;
+            return tint.map(value => value * shade);
+        }
+        const widthX = pixelAngle / (cell * Math.max(Math.cos(latitude), 1e-3));
+        const widthY = pixelAngle / cell;
+        const distanceX = Math.abs(fract(cellX + 0.5) - 0.5) / widthX;
+        const distanceY = Math.abs(fract(cellY + 0.5) - 0.5) / widthY;
+        const line = 1 - Math.min(Math.max(Math.min(distanceX, distanceY) - 0.5, 0), 1);
+        const parallel = distanceY < distanceX;
+        let lineColor = tint;
+        if (parallel && Math.abs(cellY) < 0.5) {
+            lineColor = [1, 0.25, 0.2];
+        } else if (!parallel && Math.abs(cellX) < 0.5) {
+            lineColor = [0.2, 1, 0.3];
+        }
+        return [0.01, 0.012, 0.03].map((value, i) => value + (lineColor[i] - value) * line);
+    }
+
+    // 沿世界方向 direction 从相机追踪一条光线, 返回线性 HDR 颜色与是否落入黑洞 (不含天空时 captured 为 true)
+    traceRay(direction, pixelAngle = 0) {
+        const M = this.mass;
+        const position = toSpinFrame(this.camera.position.map(value => value / M));
+        const state = kerrPhotonState(position, toSpinFrame(direction), this.spin);
+        const lambda = state.angularMomentum;
+        const color = [0, 0, 0];
+        let transmittance = 1;
+
+        const result = traceKerrGeodesic(state, this.spin, {
+            stepScale: this.stepScale,
+            onEquatorCrossing: (r, phi) => {
+                if (r <= this.diskInnerRadius || r >= this.diskOuterRadius) {
+                    return false;
+                }
+                const emission = this.diskEmission(r, phi, lambda);
+                for (let i = 0; i < 3; i++) {
+                    color[i] += transmittance * emission.color[i] * emission.alpha;
+                }
+                transmittance *= 1 - emission.alpha;
+                return transmittance < 0.01;
+            }
+        });
+        if (!result.captured) {
+            const sky = this.skyRadiance(fromSpinFrame(result.direction), pixelAngle);
+            for (let i = 0; i < 3; i++) {
+                color[i] += transmittance * sky[i];
+            }
+        }
+        return { color, captured: result.captured };
+    }
+
+    // 相机的正交基 (与 three 的 lookAt 相同, 上方为世界 +y) 与半视场的正切
+    cameraBasis() {
+        const [px, py, pz] = this.camera.position;
+        const [tx, ty, tz] = this.camera.target;
+        const forward = [tx - px, ty - py, tz - pz];
+        const length = Math.hypot(...forward);
+        forward.forEach((value, i) => (forward[i] = value / length));
+        let right = [-forward[2], 0, forward[0]];
+        const rightLength = Math.hypot(...right);
+        right = rightLength < 1e-8 ? [1, 0, 0] : right.map(value => value / rightLength);
+        const up = [
+            right[1] * forward[2] - right[2] * forward[1],
+            right[2] * forward[0] - right[0] * forward[2],
+            right[0] * forward[1] - right[1] * forward[0]
+        ];
+        return { forward, right, up, tanHalfFov: Math.tan((this.camera.fov * Math.PI) / 360) };
+    }
+
+    // 渲染 width × height 的线性 HDR 图像 (RGB, 按行从上到下), 每行完成后调用 onProgress(完成比例)
+    render(width, height, onProgress) {
+        const { forward, right, up, tanHalfFov } = this.cameraBasis();
+        const aspect = width / height;
+        const pixelAngle = (2 * tanHalfFov) / height;
+        const n = this.samples;
+        const image = new Float32Array(width * height * 3);
+        const direction = [0, 0, 0];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = (y * width + x) * 3;
+                for (let sy = 0; sy < n; sy++) {
+                    for (let sx = 0; sx < n; sx++) {
+                        const u = ((x + (sx + 0.5) / n) / width) * 2 - 1;
+                        const v = 1 - ((y + (sy + 0.5) / n) / height) * 2;
+                        for (let i = 0; i < 3; i++) {
+                            direction[i] = forward[i] + u * tanHalfFov * aspect * right[i] + v * tanHalfFov * up[i];
+                        }
+                        const length = Math.hypot(...direction);
+                        const { color } = this.traceRay(direction.map(value => value / length), pixelAngle);
+                        for (let i = 0; i < 3; i++) {
+                            image[pixel + i] += color[i] / (n * n);
+                        }
+                    }
+                }
+            }
+            if (onProgress) {
+                onProgress((y + 1) / height);
+            }
+        }
+        return image;
+    }
+
+    // 线性 HDR 图像经曝光、ACES 色调映射与 sRGB 编码转为 8 位 RGBA
+    toRgba(image) {
+        const pixels = new Uint8Array((image.length / 3) * 4);
+        for (let i = 0, j = 0; i < image.length; i += 3, j += 4) {
+            const mapped = acesFilmic(image[i], image[i + 1], image[i + 2], this.options.exposure);
+            for (let k = 0; k < 3; k++) {
+                pixels[j + k] = Math.round(linearToSrgb(mapped[k]) * 255);
+            }
+            pixels[j + 3] = 255;
+        }
+        return pixels;
+    }
+
+    renderPng(width, height, onProgress) {
+        return encodePng(width, height, this.toRgba(this.render(width, height, onProgress)));
+    }
+
+    // 沿天空平面内的方向 angle 二分查找阴影边缘 (只看是否落入视界, 不计盘面), 返回以 M 为单位的半径
+    // angle 从 "视线 × 自旋轴" 方向 (顺行一侧, 与 shadowPolarRadii 的 +α 轴相同) 起算, 逆时针为正;
+    // 半径按 r sin ψ / sqrt(1 - 2/r) 由相机处的视角 ψ 换算, 史瓦西时即冲击参数, 有自旋时为近似值
+    shadowRadius(angle, iterations = 40) {
+        const M = this.mass;
+        const position = this.camera.position;
+        const distance = Math.hypot(...position);
+        const toHole = position.map(value => -value / distance);
+        // 自旋轴为世界 -y; 视线方向 (黑洞指向相机) × 自旋轴 为 +α, 自旋轴在天空平面内的投影为 +β
+        const view = toHole.map(value => -value);
+        let alphaAxis = [view[2], 0, -view[0]];
+        const alphaLength = Math.hypot(...alphaAxis);
+        alphaAxis = alphaLength < 1e-8 ? [1, 0, 0] : alphaAxis.map(value => value / alphaLength);
+        const betaAxis = [
+            view[1] * alphaAxis[2] - view[2] * alphaAxis[1],
+            view[2] * alphaAxis[0] - view[0] * alphaAxis[2],
+            view[0] * alphaAxis[1] - view[1] * alphaAxis[0]
+        ];
+        const offset = alphaAxis.map((value, i) => Math.cos(angle) * value + Math.sin(angle) * betaAxis[i]);
+        const rayAt = psi => toHole.map((value, i) => Math.cos(psi) * value + Math.sin(psi) * offset[i]);
+        const isShadow = psi => {
+            const state = kerrPhotonState(toSpinFrame(position.map(value => value / M)), toSpinFrame(rayAt(psi)), this.spin);
+            return traceKerrGeodesic(state, this.spin, { stepScale: this.stepScale }).captured;
+        };
+
+        let inside = 0;
+        let outside = Math.min(Math.PI / 2, 20 * M / distance);
+        for (let i = 0; i < iterations; i++) {
+            const mid = 0.5 * (inside + outside);
+            if (isShadow(mid)) {
+                inside = mid;
+            } else {
+                outside = mid;
+            }
+        }
+        const r = distance / M;
+        return (r * Math.sin(0.5 * (inside + outside))) / Math.sqrt(1 - 2 / r);
+    }
+}
@@ -0,0 +1,46 @@
+// 黑体颜色与吸积盘温度分布的 GLSL 片段, 查找表与标度由 src/physics/blackbody.js 生成
+
+export const blackbodyChunk = `
+    uniform sampler2D blackbodyLUT;            // RGBA = (色度 rgb, log10 亮度), 按 log10 T 等间距
+    uniform vec2 blackbodyRange;               // 查找表覆盖的 log10 T 范围
+    uniform float blackbodyReferenceLuminance; // 参考亮度 (盘面峰值温度) 的 log10, 用于归一化
+    uniform float diskTemperatureScale;        // 薄盘温度标度 T* (K)
+
+    // 查找表中温度 temperature 的条目: rgb 为色度 (亮度归一化为 1), a 为 log10 亮度
+    vec4 blackbodyLookup(float temperature) {
+        float logT = log2(max(temperature, 1.0)) * 0.30103;
+        float u = clamp((logT - blackbodyRange.x) / (blackbodyRange.y - blackbodyRange.x), 0.0, 1.0);
+        float size = float(textureSize(blackbodyLUT, 0).x);
+        return texture2D(blackbodyLUT, vec2((u * (size - 1.0) + 0.5) / size, 0.5));
+    }
+
+    // 线性 sRGB 辐射度, 以盘面峰值温度的亮度为 1
+    vec3 blackbodyRadiance(float temperature) {
+        if (temperature <= 0.0) {
+            return vec3(0.0);
+        }
+        vec4 entry = blackbodyLookup(temperature);
+        return entry.rgb * pow(10.0, clamp(entry.a - blackbodyReferenceLuminance, -30.0, 10.0));
+    }
+
+    // 温度为 temperature 的黑体经频移 shift 后的辐射度与原辐射度之比 (逐通道)
+    // 黑体谱频移后仍是黑体, 温度变为 shift * temperature
+    vec3 blackbodyShiftRatio(float temperature, float shift) {
+        vec4 rest = blackbodyLookup(temperature);
+        vec4 shifted = blackbodyLookup(temperature * shift);
+        return shifted.rgb / max(rest.rgb, vec3(1e-4)) * pow(10.0, clamp(shifted.a - rest.a, -30.0, 10.0));
+    }
+
+    // 非热辐射的颜色 (全景图、立方体贴图中的天空) 按 6500 K 黑体近似做频移
+    vec3 dopplerShiftRadiance(vec3 color, float shift) {
+        return color * blackbodyShiftRatio(6500.0, shift);
+    }
+
+    // Shakura–Sunyaev 薄盘温度 (K), r 与 innerRadius 以 M 为单位
+    float diskTemperature(float r, float innerRadius) {
+        if (r <= innerRadius) {
+            return 0.0;
+        }
+        return diskTemperatureScale * pow((1.0 - sqrt(innerRadius / r)) / (r * r * r), 0.25);
+    }
+`;
@@ -0,0 +1,109 @@
+// 吸积盘着色器片段
+// 网格吸积盘与测地线透镜通道共用同一套发光模型，保证两种渲染路径下的盘面外观一致
+// 使用前需先包含 kerrChunk 与 blackbodyChunk
+
+export const diskEmissionChunk = `
+    uniform float blackHoleMass;     // 几何单位质量 M = rs / 2 (场景单位)
+    uniform float blackHoleSpin;     // 无量纲自旋 a
+    uniform float orbitalTimeScale;  // 几何时间与动画时间的换算比例
+    uniform float dopplerBeaming;          // 1: 开启多普勒聚束, 0: 关闭
+    uniform float gravitationalRedshift;   // 1: 开启引力红移, 0: 关闭
+    uniform float diskHeating;       // 脚本事件 (如潮汐瓦解的回落吸积) 对盘面温度的倍率, 平时为 1
+
+    // 运动观测者的多普勒因子 (静止观测者为 1), 由调用方在计算发光之前按视线方向设置
+    float observerFrequencyShift = 1.0;
+
+    // 噪声函数
+    float diskRandom(vec2 st) {
+        return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
+    }
+
+    float diskNoise(vec2 st) {
+        vec2 i = floor(st);
+        vec2 f = fract(st);
+        float a = diskRandom(i);
+        float b = diskRandom(i + vec2(1.0, 0.0));
+        float c = diskRandom(i + vec2(0.0, 1.0));
+        float d = diskRandom(i + vec2(1.0, 1.0));
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(a, b, u.x) + (c - a) * u.y * (1.0 - u.x) + (d - b) * u.x * u.y;
+    }
+
+    // 半径 radius (场景单位) 处的观测频移, lambda 为射向观测者的光子比角动量 (单位 M)
+    // 两种效应可分别开关, 关闭后即为《星际穿越》电影中的对称盘面
+    float diskFrequencyShift(float radius, float lambda) {
+        vec2 shift = circularOrbitRedshift(radius / blackHoleMass, blackHoleSpin, lambda);
+        return mix(1.0, shift.x, gravitationalRedshift) * mix(1.0, shift.y, dopplerBeaming) * observerFrequencyShift;
+    }
+
+    // 由局部视线方向估算光子比角动量 (用于没有追踪光线的网格与粒子)
+    // toObserver 为世界空间中指向观测者的单位向量
+    float diskPhotonLambda(vec3 worldPos, vec3 toObserver) {
+        vec3 orbitDir = normalize(vec3(-worldPos.z, 0.0, worldPos.x));
+        float r = length(worldPos.xz) / blackHoleMass;
+        return equatorialPhotonLambda(r, blackHoleSpin, dot(toObserver, orbitDir));
+    }
+
+    // 半径 radius 处观测到的黑体辐射 (场景单位)
+    // 黑体谱经频移 g 后仍是黑体, 温度变为 gT, 因此颜色与亮度都由 gT 决定
+    vec3 diskObservedRadiance(float radius, float innerRadius, float lambda) {
+        float g = diskFrequencyShift(radius, lambda);
+        float temperature = diskTemperature(radius / blackHoleMass, innerRadius / blackHoleMass) * diskHeating;
+        return blackbodyRadiance(g * temperature);
+    }
+
+    // 盘面轨道角速度 (场景单位, 克尔开普勒轨道)
+    float diskAngularVelocity(float radius) {
+        return orbitalTimeScale * keplerAngularVelocity(radius / blackHoleMass, blackHoleSpin) / blackHoleMass;
+    }
+
+    // 按较差自转旋转后的螺旋与湍流花纹
+    float diskPattern(float radius, float angle, float rotation, float time) {
+        float a = angle - rotation;
+        vec2 q = radius * vec2(cos(a), sin(a));
+        float spiralPattern = sin(a * 3.0 - radius * 0.5) * 0.5 + 0.5;
+
+        // 多层次噪声
+        float noiseScale = 8.0;
+        float turbulence = diskNoise(q * noiseScale + time * 0.5) * 0.6 +
+                           diskNoise(q * noiseScale * 2.0 + time * 0.3) * 0.3 +
+                           diskNoise(q * noiseScale * 4.0 + time * 0.1) * 0.1;
+        return spiralPattern * turbulence;
+    }
+
+    // 较差自转: 内圈转得快, 两组相位错开的周期花纹交替淡入淡出, 避免剪切无限累积
+    float diskFlowPattern(float radius, float angle, float time) {
+        float omega = diskAngularVelocity(radius);
+        float flowPeriod = 8.0;
+        float phaseA = fract(time / flowPeriod);
+        float phaseB = fract(time / flowPeriod + 0.5);
+        float weightA = 1.0 - abs(2.0 * phaseA - 1.0);
+        return diskPattern(radius, angle, omega * phaseA * flowPeriod, time) * weightA +
+               diskPattern(radius, angle, omega * phaseB * flowPeriod, time) * (1.0 - weightA);
+    }
+
+    // p: 盘面内的二维坐标 (世界 XZ 平面, 以黑洞为原点)
+    // lambda: 射向观测者的光子比角动量, 用于计算多普勒与引力频移
+    // 返回值: rgb 为发光颜色, a 为不透明度
+    vec4 diskEmission(vec2 p, float time, float innerRadius, float outerRadius, float lambda) {
+        float radius = length(p);
+        float normalizedRadius = (radius - innerRadius) / (outerRadius - innerRadius);
+        float pattern = diskFlowPattern(radius, atan(p.y, p.x), time);
+
+        // 薄盘温度分布决定的黑体颜色与亮度 (越接近黑洞越热)
+        vec3 radiance = diskObservedRadiance(radius, innerRadius, lambda);
+        float brightness = dot(radiance, vec3(0.2126, 0.7152, 0.0722));
+
+        // 结合螺旋模式和湍流
+        float intensity = pattern * 2.0;
+
+        // 边缘渐变
+        float edgeFade = smoothstep(0.0, 0.1, normalizedRadius) *
+                         smoothstep(1.0, 0.9, normalizedRadius);
+
+        intensity *= edgeFade;
+
+        // 较冷 (较暗) 的区域更透明
+        return vec4(radiance * intensity, clamp(intensity * 0.8 * min(brightness, 1.0), 0.0, 1.0));
+    }
+`;
@@ -0,0 +1,56 @@
+import { observerMotionChunk } from './relativity.js';
+
+// 脚本事件 (潮汐瓦解等) 的着色器
+// 事件物体同时位于前景与背景图层: 位于黑洞后方的部分随背景一起经过引力透镜 (屏幕空间透镜的背景纹理或测地线追踪的星空立方体贴图),
+// 前方的部分在透镜结果之上作为前景叠加; lensSplitSide 选择当前通道绘制哪一部分
+
+export const lensSplitChunk = `
+    uniform float lensSplitSide;     // 1: 只绘制黑洞后方的部分, -1: 只绘制前方的部分, 0: 全部绘制
+    uniform vec3 lensSplitCamera;    // 主相机位置 (立方体贴图通道中 cameraPosition 为黑洞中心, 不能用来判断前后)
+    uniform vec3 blackHolePos;
+
+    bool lensSplitVisible(vec3 worldPosition) {
+        vec3 viewAxis = blackHolePos - lensSplitCamera;
+        float side = dot(worldPosition - blackHolePos, viewAxis);
+        return lensSplitSide * side >= 0.0;
+    }
+`;
+
+// 碎屑粒子: 位置与亮度由 CPU 按解析轨道逐帧写入, heat 在恒星表面颜色与回落环的炽热颜色之间插值
+export const debrisVertexShader = `
+    attribute float size;
+    attribute float intensity;
+    attribute float heat;
+    uniform float pointScale;
+    uniform float particleScale;
+    uniform vec3 starColor;
+    uniform vec3 ringColor;
+    varying vec3 vColor;
+
+    ${observerMotionChunk}
+    ${lensSplitChunk}
+
+    void main() {
+        vec3 worldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+        vColor = mix(starColor, ringColor, heat) * intensity;
+
+        vec4 mvPosition = viewMatrix * vec4(observerApparentPosition(worldPosition), 1.0);
+        gl_PointSize = size * particleScale * (pointScale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+        if (intensity <= 0.0 || !lensSplitVisible(worldPosition)) {
+            // 移到裁剪空间之外
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+        }
+    }
+`;
+
+export const debrisFragmentShader = `
+    varying vec3 vColor;
+
+    void main() {
+        // 圆形软边粒子
+        float falloff = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5));
+        gl_FragColor = vec4(vColor * falloff, 1.0);
+    }
+`;
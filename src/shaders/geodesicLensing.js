@@ -0,0 +1,344 @@
+import { kerrChunk } from './kerr.js';
+import { blackbodyChunk } from './blackbody.js';
+import { diskEmissionChunk } from './disk.js';
+import { observerMotionChunk } from './relativity.js';
+import { volumeEmissionChunk } from './volume.js';
+
+// 测地线透镜着色器
+// 对每个像素沿零测地线追踪光线: 光线穿过盘面时累积吸积盘发光,
+// 落入视界则为黑色, 逃逸到远处则按最终方向采样星空立方体贴图
+// 定义 KERR 时积分克尔度规 (Mino 时间下的 Carter 方程), 否则使用更便宜的史瓦西笛卡尔形式
+// 相机运动时先把像素方向按光行差逆变换到静止 (ZAMO) 系再追踪, 所得颜色按多普勒因子频移
+// 定义 THICK_DISK 时以体积厚盘代替赤道面薄盘, 定义 JETS 时叠加喷流, 二者沿每一步测地线分段采样
+
+export const geodesicLensingVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+export const geodesicLensingFragmentShader = `
+    #ifdef KERR
+        #define MAX_STEPS 600
+    #else
+        #define MAX_STEPS 400
+    #endif
+
+    uniform samplerCube tSky;
+    uniform mat4 cameraWorldMatrix;
+    uniform mat4 cameraProjectionInverse;
+    uniform vec3 cameraWorldPosition;
+    uniform vec3 blackHolePos;
+    uniform float schwarzschildRadius;
+    uniform float innerRadius;
+    uniform float outerRadius;
+    uniform float stepScale;
+    uniform float time;
+    varying vec2 vUv;
+
+    ${kerrChunk}
+    ${blackbodyChunk}
+    ${diskEmissionChunk}
+    ${observerMotionChunk}
+    ${volumeEmissionChunk}
+
+    // 光线穿过赤道面时按前向合成累积吸积盘发光
+    // lambda 为光子比角动量 (单位 M), 沿测地线守恒
+    void accumulateDisk(vec2 hit, float lambda, inout vec3 color, inout float transmittance) {
+        float hitRadius = length(hit);
+        if (hitRadius > innerRadius && hitRadius < outerRadius) {
+            vec4 emission = diskEmission(hit, time, innerRadius, outerRadius, lambda);
+            float alpha = clamp(emission.a, 0.0, 1.0);
+            color += transmittance * emission.rgb * alpha;
+            transmittance *= 1.0 - alpha;
+        }
+    }
+
+#if defined(THICK_DISK) || defined(JETS)
+    #define VOLUME_SUBSTEPS 2
+
+    // 把一步测地线视为线段 from -> to (相对黑洞的世界坐标), 在其上等距采样厚盘与喷流
+    // 光线逆向追踪, 真实光子沿 to -> from 传播
+    void accumulateVolume(vec3 from, vec3 to, float lambda, inout vec3 color, inout float transmittance) {
+        vec3 segment = to - from;
+        float segmentLength = length(segment);
+        if (segmentLength < 1e-6) {
+            return;
+        }
+        vec3 toObserver = -segment / segmentLength;
+        float ds = segmentLength / float(VOLUME_SUBSTEPS);
+        for (int i = 0; i < VOLUME_SUBSTEPS; i++) {
+            vec3 p = from + segment * ((float(i) + 0.5) / float(VOLUME_SUBSTEPS));
+            #ifdef THICK_DISK
+                accumulateThickDisk(p, time, innerRadius, outerRadius, lambda, ds, color, transmittance);
+            #endif
+            #ifdef JETS
+                accumulateJet(p, time, toObserver, ds, color, transmittance);
+            #endif
+        }
+    }
+#endif
+
+#ifdef KERR
+    // 世界坐标与自旋坐标系互换: 自旋轴 (极轴) 为世界 -y, φ 从 +x 转向 +z, 与吸积盘公转方向一致
+    vec3 toSpinFrame(vec3 v) {
+        return vec3(v.x, v.z, -v.y);
+    }
+
+    vec3 fromSpinFrame(vec3 v) {
+        return vec3(v.x, -v.z, v.y);
+    }
+
+    // Boyer-Lindquist 坐标 (单位 M) 对应的世界坐标 (相对黑洞, 场景单位)
+    vec3 kerrWorldPosition(float r, float theta, float phi) {
+        float rho = sqrt(r * r + blackHoleSpin * blackHoleSpin) * sin(theta);
+        return fromSpinFrame(vec3(rho * cos(phi), rho * sin(phi), r * cos(theta))) * blackHoleMass;
+    }
+
+    // Mino 时间下的径向与极向二阶方程: r'' = R'(r) / 2, θ'' = Θ'(θ) / 2
+    float kerrRadialAcceleration(float r, float a, float L, float Q) {
+        return 2.0 * r * (r * r + a * a - a * L) - (r - 1.0) * ((L - a) * (L - a) + Q);
+    }
+
+    float kerrPolarAcceleration(float theta, float a, float L) {
+        float s = sin(theta);
+        float c = cos(theta);
+        s = sign(s) * max(abs(s), 1e-4);
+        return -a * a * s * c + L * L * c / (s * s * s);
+    }
+
+    // 径向与极向势函数 R(r)、Θ(θ), 满足 r'^2 = R, θ'^2 = Θ
+    float kerrRadialPotential(float r, float a, float L, float Q) {
+        float delta = r * r - 2.0 * r + a * a;
+        float k = r * r + a * a - a * L;
+        return k * k - delta * ((L - a) * (L - a) + Q);
+    }
+
+    float kerrPolarPotential(float theta, float a, float L, float Q) {
+        float s = max(abs(sin(theta)), 1e-4);
+        float c = cos(theta);
+        return Q + a * a * c * c - L * L * c * c / (s * s);
+    }
+
+    float kerrAzimuthalRate(float r, float theta, float a, float L) {
+        float s = max(abs(sin(theta)), 1e-4);
+        float delta = r * r - 2.0 * r + a * a;
+        return a * (r * r + a * a - a * L) / delta + L / (s * s) - a;
+    }
+
+    // 状态: x = (r, θ, r', θ'), 另行积分 φ
+    void kerrDerivative(vec4 x, float a, float L, float Q, out vec4 dx, out float dphi) {
+        dx = vec4(x.z, x.w, kerrRadialAcceleration(x.x, a, L, Q), kerrPolarAcceleration(x.y, a, L));
+        // 逆时间积分: 一阶量反号
+        dphi = -kerrAzimuthalRate(x.x, x.y, a, L);
+    }
+
+    void traceGeodesic(vec3 pos, vec3 dir, inout vec3 color, inout float transmittance, out bool captured, out vec3 skyDir) {
+        float a = blackHoleSpin;
+        float M = blackHoleMass;
+        vec3 p = toSpinFrame(pos) / M;
+        vec3 d = toSpinFrame(dir);
+
+        // 由椭球坐标反解 Boyer-Lindquist 坐标
+        float R2 = dot(p, p);
+        float k = R2 - a * a;
+        float r = sqrt(0.5 * (k + sqrt(k * k + 4.0 * a * a * p.z * p.z)));
+        float theta = acos(clamp(p.z / r, -1.0, 1.0));
+        float phi = atan(p.y, p.x);
+
+        // 相机所在处的局部正交基
+        float sinT = sin(theta);
+        float cosT = cos(theta);
+        vec3 er = vec3(sinT * cos(phi), sinT * sin(phi), cosT);
+        vec3 eth = vec3(cosT * cos(phi), cosT * sin(phi), -sinT);
+        vec3 eph = vec3(-sin(phi), cos(phi), 0.0);
+        float nr = dot(d, er);
+        float nth = dot(d, eth);
+        float nph = dot(d, eph);
+
+        // 相机视为零角动量观测者 (ZAMO)
+        float sigma = r * r + a * a * cosT * cosT;
+        float delta = r * r - 2.0 * r + a * a;
+        float A = (r * r + a * a) * (r * r + a * a) - a * a * delta * sinT * sinT;
+        float lapse = sqrt(sigma * delta / A);
+        float omega = 2.0 * a * r / A;
+        float varpi = sqrt(A / sigma) * sinT;
+
+        // 真实光子沿 -dir 射入相机, 取 E = 1 求守恒量 L 与 Carter 常数 Q
+        float EF = 1.0 / (lapse - omega * varpi * nph);
+        float L = -EF * varpi * nph;
+        float pTheta = -EF * sqrt(sigma) * nth;
+        float Q = pTheta * pTheta + cosT * cosT * (L * L / (sinT * sinT) - a * a);
+
+        vec4 x = vec4(r, theta, EF * sqrt(sigma * delta) * nr, EF * sqrt(sigma) * nth);
+        float horizon = kerrHorizonRadius(a);
+        float escapeRadius = max(r * 1.5, 100.0);
+        float dphi = 0.0;
+        captured = true;
+
+        for (int i = 0; i < MAX_STEPS; i++) {
+            if (x.x < horizon * 1.01) {
+                break;
+            }
+            if (x.x > escapeRadius && x.z > 0.0) {
+                captured = false;
+                break;
+            }
+
+            // 自适应步长: 限制每步 r、θ、φ 的相对变化
+            vec4 k1;
+            float p1;
+            kerrDerivative(x, a, L, Q, k1, p1);
+            float sinTheta = max(abs(sin(x.y)), 0.02);
+            float rate = max(max(abs(x.z) / x.x, abs(x.w) / sinTheta), max(abs(p1), 1e-3));
+            float h = stepScale / rate;
+
+            // RK4
+            vec4 k2, k3, k4;
+            float p2, p3, p4;
+            kerrDerivative(x + 0.5 * h * k1, a, L, Q, k2, p2);
+            kerrDerivative(x + 0.5 * h * k2, a, L, Q, k3, p3);
+            kerrDerivative(x + h * k3, a, L, Q, k4, p4);
+            vec4 next = x + h / 6.0 * (k1 + 2.0 * k2 + 2.0 * k3 + k4);
+            float nextPhi = phi + h / 6.0 * (p1 + 2.0 * p2 + 2.0 * p3 + p4);
+
+            // 二阶方程会让 r'^2 = R 的约束逐渐漂移 (远处的微小相对误差到视界附近被放大),
+            // 因此在势函数为正时按约束重设一阶导数的大小, 仅保留积分得到的符号
+            float radialPotential = kerrRadialPotential(next.x, a, L, Q);
+            if (radialPotential > 0.0) {
+                next.z = sign(next.z) * sqrt(radialPotential);
+            }
+            float polarPotential = kerrPolarPotential(next.y, a, L, Q);
+            if (polarPotential > 0.0) {
+                next.w = sign(next.w) * sqrt(polarPotential);
+            }
+
+            // 穿过极轴时翻折到另一侧
+            if (next.y < 0.0) {
+                next.y = -next.y;
+                next.w = -next.w;
+                nextPhi += 3.14159265;
+            } else if (next.y > 3.14159265) {
+                next.y = 6.2831853 - next.y;
+                next.w = -next.w;
+                nextPhi += 3.14159265;
+            }
+
+            #if defined(THICK_DISK) || defined(JETS)
+                accumulateVolume(kerrWorldPosition(x.x, x.y, phi), kerrWorldPosition(next.x, next.y, nextPhi), L, color, transmittance);
+            #endif
+            #ifndef THICK_DISK
+                // 穿过赤道面时采样吸积盘 (盘面半径取 Boyer-Lindquist r)
+                float c0 = cos(x.y);
+                float c1 = cos(next.y);
+                if (c0 * c1 < 0.0) {
+                    float t = c0 / (c0 - c1);
+                    float hitR = mix(x.x, next.x, t) * M;
+                    float hitPhi = mix(phi, nextPhi, t);
+                    accumulateDisk(hitR * vec2(cos(hitPhi), sin(hitPhi)), L, color, transmittance);
+                }
+            #endif
+
+            x = next;
+            phi = nextPhi;
+            dphi = p1;
+
+            if (transmittance < 0.01) {
+                captured = false;
+                break;
+            }
+        }
+
+        // 逃逸方向 (远处近似平直)
+        float s = sin(x.y);
+        float c = cos(x.y);
+        vec3 outR = vec3(s * cos(phi), s * sin(phi), c);
+        vec3 outTheta = vec3(c * cos(phi), c * sin(phi), -s);
+        vec3 outPhi = vec3(-sin(phi), cos(phi), 0.0);
+        vec3 v = outR * x.z + outTheta * x.x * x.w + outPhi * x.x * s * dphi;
+        skyDir = fromSpinFrame(normalize(v));
+    }
+#else
+    // 史瓦西度规下光子的等效加速度 (以光线参数为时间):
+    // a = -1.5 * rs * h^2 * x / r^5, 其中 h = |x × v| 为守恒的比角动量
+    vec3 geodesicAcceleration(vec3 x, float h2) {
+        float r2 = dot(x, x);
+        return -1.5 * schwarzschildRadius * h2 * x / (r2 * r2 * sqrt(r2));
+    }
+
+    void traceGeodesic(vec3 pos, vec3 dir, inout vec3 color, inout float transmittance, out bool captured, out vec3 skyDir) {
+        vec3 h = cross(pos, dir);
+        float h2 = dot(h, h);
+        // 真实光子沿 -dir 射入静止相机, 其绕自旋轴 (世界 -y) 的比角动量
+        float lambda = h.y / (blackHoleMass * sqrt(1.0 - schwarzschildRadius / length(pos)));
+        float escapeRadius = max(length(pos) * 1.5, schwarzschildRadius * 50.0);
+        captured = true;
+
+        for (int i = 0; i < MAX_STEPS; i++) {
+            float r = length(pos);
+            if (r < schwarzschildRadius) {
+                break;
+            }
+            if (r > escapeRadius && dot(pos, dir) > 0.0) {
+                captured = false;
+                break;
+            }
+
+            // 越靠近黑洞步长越小
+            float dt = stepScale * max(r - schwarzschildRadius * 0.5, schwarzschildRadius * 0.05);
+
+            // 速度 Verlet 积分
+            vec3 acc = geodesicAcceleration(pos, h2);
+            vec3 nextPos = pos + dir * dt + 0.5 * acc * dt * dt;
+            vec3 nextAcc = geodesicAcceleration(nextPos, h2);
+            vec3 nextDir = dir + 0.5 * (acc + nextAcc) * dt;
+
+            #if defined(THICK_DISK) || defined(JETS)
+                accumulateVolume(pos, nextPos, lambda, color, transmittance);
+            #endif
+            #ifndef THICK_DISK
+                // 穿过赤道面时采样吸积盘
+                if (pos.y * nextPos.y < 0.0) {
+                    float t = pos.y / (pos.y - nextPos.y);
+                    accumulateDisk(mix(pos, nextPos, t).xz, lambda, color, transmittance);
+                }
+            #endif
+
+            // 注意不能对 dir 归一化, 否则 h 将不再守恒
+            pos = nextPos;
+            dir = nextDir;
+
+            if (transmittance < 0.01) {
+                captured = false;
+                break;
+            }
+        }
+
+        skyDir = normalize(dir);
+    }
+#endif
+
+    void main() {
+        // 由屏幕坐标重建世界空间的视线方向
+        vec4 viewPoint = cameraProjectionInverse * vec4(vUv * 2.0 - 1.0, 1.0, 1.0);
+        vec3 viewDir = normalize(viewPoint.xyz / viewPoint.w);
+        vec3 observedDir = normalize(mat3(cameraWorldMatrix) * viewDir);
+        vec3 dir = aberrateDirection(observedDir, -observerVelocity);
+        observerFrequencyShift = observerDoppler(dir, observerVelocity);
+        vec3 pos = cameraWorldPosition - blackHolePos;
+
+        vec3 color = vec3(0.0);
+        float transmittance = 1.0;
+        bool captured;
+        vec3 skyDir;
+        traceGeodesic(pos, dir, color, transmittance, captured, skyDir);
+
+        if (!captured) {
+            color += transmittance * dopplerShiftRadiance(textureCube(tSky, skyDir).rgb, observerFrequencyShift);
+        }
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
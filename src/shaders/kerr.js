@@ -0,0 +1,37 @@
+// 克尔度规相关的 GLSL 函数 (几何单位 M = 1), 与 src/physics/kerr.js 一一对应
+
+export const kerrChunk = `
+    // 顺行开普勒圆轨道角速度, 已包含参考系拖拽
+    float keplerAngularVelocity(float r, float a) {
+        return 1.0 / (pow(r, 1.5) + a);
+    }
+
+    float kerrHorizonRadius(float a) {
+        return 1.0 + sqrt(1.0 - a * a);
+    }
+
+    // 赤道面上沿 ZAMO 局部方向射出的光子的比角动量 λ = L / E
+    // nPhi 为光子方向沿公转方向 (φ) 的分量
+    float equatorialPhotonLambda(float r, float a, float nPhi) {
+        float delta = r * r - 2.0 * r + a * a;
+        float A = (r * r + a * a) * (r * r + a * a) - a * a * delta;
+        float lapse = r * sqrt(delta / A);
+        float omega = 2.0 * a * r / A;
+        float varpi = sqrt(A) / r;
+        return varpi * nPhi / (lapse + omega * varpi * nPhi);
+    }
+
+    // 开普勒圆轨道发射体到无穷远观测者的频移 g = 1 / (u^t (1 - Ωλ)),
+    // 拆分为 x: 引力红移 (ZAMO -> 无穷远), y: 多普勒因子 (发射体 -> ZAMO), 二者乘积为总频移
+    vec2 circularOrbitRedshift(float r, float a, float lambda) {
+        float delta = r * r - 2.0 * r + a * a;
+        float A = (r * r + a * a) * (r * r + a * a) - a * a * delta;
+        float lapse = r * sqrt(max(delta, 0.0) / A);
+        float omega = 2.0 * a * r / A;
+        float omegaK = keplerAngularVelocity(r, a);
+        float ut = (pow(r, 1.5) + a) / (pow(r, 0.75) * sqrt(max(pow(r, 1.5) - 3.0 * sqrt(r) + 2.0 * a, 1e-4)));
+        float gravitational = lapse / (1.0 - omega * lambda);
+        float total = 1.0 / (ut * (1.0 - omegaK * lambda));
+        return vec2(gravitational, total / max(gravitational, 1e-4));
+    }
+`;
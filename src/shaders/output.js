@@ -0,0 +1,73 @@
+// 多视图输出的合成着色器 (全屏三角形, 顶点着色器为 postVertexShader)
+// 输入为各视图的线性 HDR 缓冲, 合成结果再经后期处理链与色调映射
+
+// 左右并排: 左半幅为左眼, 右半幅为右眼 (每眼的渲染宽度为输出的一半, 不压缩)
+export const sideBySideShader = `
+    uniform sampler2D tLeft;
+    uniform sampler2D tRight;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 uv = vec2(fract(vUv.x * 2.0), vUv.y);
+        vec3 color = vUv.x < 0.5 ? texture2D(tLeft, uv).rgb : texture2D(tRight, uv).rgb;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// 红青立体 (半彩色): 红通道取左眼的亮度, 绿蓝通道取右眼; 盘面的红色不再只进入一只眼睛, 减少串扰与视网膜竞争
+export const anaglyphShader = `
+    uniform sampler2D tLeft;
+    uniform sampler2D tRight;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 left = texture2D(tLeft, vUv).rgb;
+        vec3 right = texture2D(tRight, vUv).rgb;
+        float luminance = dot(left, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = vec4(luminance, right.g, right.b, 1.0);
+    }
+`;
+
+// 立方体六个面 (90° 视场) 重投影为等距柱状全景图
+// 方向在水平参考系中: 经度 0 为相机的水平前方 (-z), 向右 (+x) 为正; 纬度向上 (+y) 为正
+// 各面的相机前方为 forward、上方为 up, 右方为 forward × up, 与 src/multiView.js 中的面朝向一致
+export const equirectShader = `
+    uniform sampler2D tPositiveX;
+    uniform sampler2D tNegativeX;
+    uniform sampler2D tPositiveY;
+    uniform sampler2D tNegativeY;
+    uniform sampler2D tPositiveZ;
+    uniform sampler2D tNegativeZ;
+    varying vec2 vUv;
+
+    const float PI = 3.141592653589793;
+
+    vec3 sampleFace(sampler2D face, vec3 direction, vec3 forward, vec3 up) {
+        vec3 right = cross(forward, up);
+        vec2 uv = 0.5 + 0.5 * vec2(dot(direction, right), dot(direction, up)) / dot(direction, forward);
+        return texture2D(face, uv).rgb;
+    }
+
+    void main() {
+        float longitude = (vUv.x - 0.5) * 2.0 * PI;
+        float latitude = (vUv.y - 0.5) * PI;
+        vec3 direction = vec3(sin(longitude) * cos(latitude), sin(latitude), -cos(longitude) * cos(latitude));
+        vec3 a = abs(direction);
+
+        vec3 color;
+        if (a.x >= a.y && a.x >= a.z) {
+            color = direction.x > 0.0
+                ? sampleFace(tPositiveX, direction, vec3(1.0, 0.0, 0.0), vec3(0.0, 1.0, 0.0))
+                : sampleFace(tNegativeX, direction, vec3(-1.0, 0.0, 0.0), vec3(0.0, 1.0, 0.0));
+        } else if (a.y >= a.z) {
+            color = direction.y > 0.0
+                ? sampleFace(tPositiveY, direction, vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0))
+                : sampleFace(tNegativeY, direction, vec3(0.0, -1.0, 0.0), vec3(0.0, 0.0, -1.0));
+        } else {
+            color = direction.z > 0.0
+                ? sampleFace(tPositiveZ, direction, vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0))
+                : sampleFace(tNegativeZ, direction, vec3(0.0, 0.0, -1.0), vec3(0.0, 1.0, 0.0));
+        }
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
@@ -0,0 +1,115 @@
+import { kerrChunk } from './kerr.js';
+
+// 吸积盘粒子的 GPU 模拟着色器 (GPUComputationRenderer 乒乓纹理)
+// texturePosition: xyz 为相对黑洞的位置 (场景单位), w 保留
+// textureVelocity: xyz 为速度 (场景单位 / 动画秒), w 保留
+// 位置与速度两个变量执行完全相同的积分, 各自输出自己的一半, 保证二者一致
+
+const particleDynamicsChunk = `
+    uniform float delta;                  // 固定积分步长 (动画时间)
+    uniform float blackHoleMass;          // 几何单位质量 M (场景单位)
+    uniform float blackHoleSpin;
+    uniform float orbitalTimeScale;       // 几何时间与动画时间的换算比例
+    uniform float pseudoNewtonianRadius;  // Paczyński–Wiita 势的 rg (单位 M)
+    uniform float viscosity;              // 粘滞系数: 每个轨道弧度损失的角动量比例
+    uniform float spawnInnerRadius;       // 外缘注入区间 (场景单位)
+    uniform float spawnOuterRadius;
+    uniform float spawnScaleHeight;       // 注入高度与半径之比 (厚盘为 H / R, 薄盘为 0)
+    uniform float escapeRadius;           // 超出该半径的粒子重新注入 (场景单位)
+    uniform float seed;                   // 每步变化的随机种子
+
+    ${kerrChunk}
+
+    float particleRandom(vec2 st) {
+        return fract(sin(dot(st, vec2(12.9898, 78.233))) * 43758.5453123);
+    }
+
+    // 赤道面顺行圆轨道角速度 (含参考系拖拽), 与 src/physics/pseudoNewtonian.js 相同
+    float keplerOmega(float r) {
+        float drag = blackHoleSpin / (r * r);
+        return (sqrt(drag * drag + r / ((r - pseudoNewtonianRadius) * (r - pseudoNewtonianRadius))) - drag) / r;
+    }
+
+    // 几何单位下的加速度: Paczyński–Wiita 引力 + 参考系拖拽 (引力磁) + 沿公转方向的粘滞力矩
+    // 自旋轴为 -y; 引力磁场 B = a (3 (Ĵ·r̂) r̂ - Ĵ) / r³, 加速度 -2 v × B 使顺行轨道变慢、倾斜轨道绕自旋轴进动
+    vec3 particleAcceleration(vec3 p, vec3 v) {
+        float r = length(p);
+        vec3 gravity = -p / (r * (r - pseudoNewtonianRadius) * (r - pseudoNewtonianRadius));
+        vec3 spinAxis = vec3(0.0, -1.0, 0.0);
+        vec3 radial = p / r;
+        vec3 gravitomagnetic = blackHoleSpin * (3.0 * dot(spinAxis, radial) * radial - spinAxis) / (r * r * r);
+        vec3 frameDragging = -2.0 * cross(v, gravitomagnetic);
+
+        vec3 orbitDir = vec3(-p.z, 0.0, p.x);
+        float cylindrical = length(orbitDir);
+        orbitDir /= max(cylindrical, 1e-4);
+        vec3 torque = -viscosity * keplerOmega(max(r, pseudoNewtonianRadius * 1.01)) * dot(v, orbitDir) * orbitDir;
+        return gravity + frameDragging + torque;
+    }
+
+    // 经典四阶 Runge–Kutta
+    void integrateParticle(inout vec3 p, inout vec3 v, float h) {
+        vec3 k1x = v;
+        vec3 k1v = particleAcceleration(p, v);
+        vec3 k2x = v + 0.5 * h * k1v;
+        vec3 k2v = particleAcceleration(p + 0.5 * h * k1x, k2x);
+        vec3 k3x = v + 0.5 * h * k2v;
+        vec3 k3v = particleAcceleration(p + 0.5 * h * k2x, k3x);
+        vec3 k4x = v + h * k3v;
+        vec3 k4v = particleAcceleration(p + h * k3x, k4x);
+        p += h / 6.0 * (k1x + 2.0 * k2x + 2.0 * k3x + k4x);
+        v += h / 6.0 * (k1v + 2.0 * k2v + 2.0 * k3v + k4v);
+    }
+
+    // 在盘外缘以圆轨道速度重新注入 (场景单位)
+    void respawnParticle(vec2 uv, out vec3 p, out vec3 v) {
+        float radius = mix(spawnInnerRadius, spawnOuterRadius, particleRandom(uv + seed));
+        float angle = 6.2831853 * particleRandom(uv * 1.37 + seed + 0.5);
+        float thickness = max(0.5, 2.0 * spawnScaleHeight * radius);
+        float height = (particleRandom(uv * 2.11 + seed + 0.25) - 0.5) * thickness;
+        p = vec3(radius * cos(angle), height, radius * sin(angle));
+        float omega = orbitalTimeScale * keplerOmega(radius / blackHoleMass) / blackHoleMass;
+        v = omega * vec3(-p.z, 0.0, p.x);
+    }
+
+    void advanceParticle(out vec3 position, out vec3 velocity) {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+
+        // 转换为几何单位 (M = 1, 时间以 M 计) 后积分
+        vec3 p = texture2D(texturePosition, uv).xyz / blackHoleMass;
+        vec3 v = texture2D(textureVelocity, uv).xyz / orbitalTimeScale;
+        integrateParticle(p, v, delta * orbitalTimeScale / blackHoleMass);
+
+        // 落入视界 (或势的奇点) 及逃逸的粒子从外缘重新注入
+        float r = length(p);
+        float plungeRadius = 1.05 * max(kerrHorizonRadius(blackHoleSpin), pseudoNewtonianRadius);
+        if (!(r > plungeRadius) || r * blackHoleMass > escapeRadius) {
+            respawnParticle(uv, position, velocity);
+            return;
+        }
+        position = p * blackHoleMass;
+        velocity = v * orbitalTimeScale;
+    }
+`;
+
+export const particlePositionShader = `
+    ${particleDynamicsChunk}
+
+    void main() {
+        vec3 position;
+        vec3 velocity;
+        advanceParticle(position, velocity);
+        gl_FragColor = vec4(position, 1.0);
+    }
+`;
+
+export const particleVelocityShader = `
+    ${particleDynamicsChunk}
+
+    void main() {
+        vec3 position;
+        vec3 velocity;
+        advanceParticle(position, velocity);
+        gl_FragColor = vec4(velocity, 1.0);
+    }
+`;
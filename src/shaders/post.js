@@ -0,0 +1,161 @@
+// HDR 后期处理着色器 (全屏三角形, vUv 为渲染目标的纹理坐标)
+// viewRect 把渲染目标坐标映射到完整图像坐标 (xy: 偏移, zw: 缩放); 分块导出时每块只是完整图像的一部分,
+// 暗角、色差等以完整图像为参照的效果据此保持连续
+
+export const postVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// 亮部提取并降采样一半: 2x2 双线性采样 (覆盖 4x4 像素), 软阈值避免亮部边缘突变
+export const brightPassShader = `
+    uniform sampler2D tInput;
+    uniform vec2 texelSize;
+    uniform float threshold;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = 0.25 * (
+            texture2D(tInput, vUv + texelSize * vec2(-1.0, -1.0)).rgb +
+            texture2D(tInput, vUv + texelSize * vec2(1.0, -1.0)).rgb +
+            texture2D(tInput, vUv + texelSize * vec2(-1.0, 1.0)).rgb +
+            texture2D(tInput, vUv + texelSize * vec2(1.0, 1.0)).rgb
+        );
+        // 限制极亮的单个像素, 防止闪烁
+        color = min(color, vec3(64.0));
+        float brightness = max(color.r, max(color.g, color.b));
+        float knee = threshold * 0.5 + 1e-4;
+        float soft = clamp(brightness - threshold + knee, 0.0, 2.0 * knee);
+        soft = soft * soft / (4.0 * knee);
+        float contribution = max(soft, brightness - threshold) / max(brightness, 1e-4);
+        gl_FragColor = vec4(color * contribution, 1.0);
+    }
+`;
+
+// 双重滤波 (dual filter) 降采样: 中心与四个对角样本
+export const downsampleShader = `
+    uniform sampler2D tInput;
+    uniform vec2 texelSize;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 offset = texelSize * 0.5;
+        vec3 color = texture2D(tInput, vUv).rgb * 4.0;
+        color += texture2D(tInput, vUv + vec2(-offset.x, -offset.y)).rgb;
+        color += texture2D(tInput, vUv + vec2(offset.x, -offset.y)).rgb;
+        color += texture2D(tInput, vUv + vec2(-offset.x, offset.y)).rgb;
+        color += texture2D(tInput, vUv + vec2(offset.x, offset.y)).rgb;
+        gl_FragColor = vec4(color / 8.0, 1.0);
+    }
+`;
+
+// 双重滤波上采样低一级的结果, 乘以 radius 后叠加到本级: radius 越大光晕越宽
+export const upsampleShader = `
+    uniform sampler2D tInput;
+    uniform sampler2D tDetail;
+    uniform vec2 texelSize;
+    uniform float radius;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 offset = texelSize * 0.5;
+        vec3 color = texture2D(tInput, vUv + vec2(-offset.x * 2.0, 0.0)).rgb;
+        color += texture2D(tInput, vUv + vec2(offset.x * 2.0, 0.0)).rgb;
+        color += texture2D(tInput, vUv + vec2(0.0, -offset.y * 2.0)).rgb;
+        color += texture2D(tInput, vUv + vec2(0.0, offset.y * 2.0)).rgb;
+        color += texture2D(tInput, vUv + vec2(-offset.x, offset.y)).rgb * 2.0;
+        color += texture2D(tInput, vUv + vec2(offset.x, offset.y)).rgb * 2.0;
+        color += texture2D(tInput, vUv + vec2(-offset.x, -offset.y)).rgb * 2.0;
+        color += texture2D(tInput, vUv + vec2(offset.x, -offset.y)).rgb * 2.0;
+        gl_FragColor = vec4(texture2D(tDetail, vUv).rgb + radius * color / 12.0, 1.0);
+    }
+`;
+
+// 变形镜头眩光: 沿水平方向逐级拉长亮部, 每级样本间距为 stride 个像素, 权重按 attenuation^距离 衰减
+export const streakShader = `
+    uniform sampler2D tInput;
+    uniform vec2 texelSize;
+    uniform float stride;
+    uniform float attenuation;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = vec3(0.0);
+        float total = 0.0;
+        for (int i = -3; i <= 3; i++) {
+            float span = abs(float(i)) * stride;
+            float weight = pow(attenuation, span);
+            color += texture2D(tInput, vUv + vec2(float(i) * stride * texelSize.x, 0.0)).rgb * weight;
+            total += weight;
+        }
+        gl_FragColor = vec4(color / total, 1.0);
+    }
+`;
+
+// 把低分辨率的光晕叠加到画面上; 分块导出时光晕取自整幅图像的预渲染结果, 按 viewRect 采样
+export const glowCompositeShader = `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tGlow;
+    uniform vec3 tint;
+    uniform float strength;
+    uniform vec4 glowRect;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 glow = texture2D(tGlow, glowRect.xy + vUv * glowRect.zw).rgb;
+        gl_FragColor = vec4(texture2D(tDiffuse, vUv).rgb + glow * tint * strength, 1.0);
+    }
+`;
+
+// 径向色差: 红、蓝通道向相反方向偏移, 偏移量随到图像中心的距离增大 (原先位于屏幕空间透镜着色器中)
+export const chromaticAberrationShader = `
+    uniform sampler2D tDiffuse;
+    uniform vec4 viewRect;
+    uniform float strength;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 imageUv = viewRect.xy + vUv * viewRect.zw;
+        vec2 offset = (imageUv - 0.5) * strength / viewRect.zw;
+        vec3 color;
+        color.r = texture2D(tDiffuse, vUv + offset).r;
+        color.g = texture2D(tDiffuse, vUv).g;
+        color.b = texture2D(tDiffuse, vUv - offset).b;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// 胶片颗粒与暗角; 颗粒由模拟时间作种子, 导出时相同时间得到相同的颗粒
+export const filmGrainShader = `
+    uniform sampler2D tDiffuse;
+    uniform vec4 viewRect;
+    uniform float aspect;
+    uniform float grainIntensity;
+    uniform float vignetteIntensity;
+    uniform float seed;
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+        p3 += dot(p3, p3.yzx + 33.33);
+        return fract((p3.x + p3.y) * p3.z);
+    }
+
+    void main() {
+        vec3 color = texture2D(tDiffuse, vUv).rgb;
+
+        vec2 imageUv = viewRect.xy + vUv * viewRect.zw;
+        vec2 centered = (imageUv - 0.5) * vec2(aspect, 1.0);
+        float radius = length(centered) / length(vec2(aspect, 1.0) * 0.5);
+        color *= 1.0 - vignetteIntensity * smoothstep(0.2, 1.0, radius);
+
+        float noise = hash(gl_FragCoord.xy + fract(seed) * 1000.0) - 0.5;
+        color *= 1.0 + noise * grainIntensity * 2.0;
+        color += noise * grainIntensity * 0.02;
+
+        gl_FragColor = vec4(max(color, vec3(0.0)), 1.0);
+    }
+`;
@@ -0,0 +1,32 @@
+// 运动观测者的光行差与多普勒频移 (GLSL), 与 src/physics/relativity.js 一一对应
+// observerVelocity 为零时所有函数都退化为恒等变换, 因此着色器可以无条件使用
+
+export const observerMotionChunk = `
+    uniform vec3 observerVelocity;   // 观测者速度 β (世界空间, 以光速为单位)
+
+    // 静止系中指向光源的方向 n 在运动观测者眼中的方向; 以 -β 调用即为逆变换
+    vec3 aberrateDirection(vec3 n, vec3 beta) {
+        float speed = length(beta);
+        if (speed < 1e-6) {
+            return n;
+        }
+        float gamma = 1.0 / sqrt(1.0 - speed * speed);
+        float cosine = dot(n, beta) / speed;
+        return normalize(n + ((gamma - 1.0) * cosine + gamma * speed) / speed * beta);
+    }
+
+    // 观测频率与静止系频率之比 D = γ (1 + β · n)
+    float observerDoppler(vec3 n, vec3 beta) {
+        return (1.0 + dot(n, beta)) / sqrt(1.0 - dot(beta, beta));
+    }
+
+    // 世界空间中的点在运动观测者眼中的位置: 方向按光行差偏转, 到相机的距离不变
+    vec3 observerApparentPosition(vec3 worldPosition) {
+        vec3 offset = worldPosition - cameraPosition;
+        float range = length(offset);
+        if (range < 1e-6) {
+            return worldPosition;
+        }
+        return cameraPosition + aberrateDirection(offset / range, observerVelocity) * range;
+    }
+`;
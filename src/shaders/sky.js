@@ -0,0 +1,105 @@
+import { blackbodyChunk } from './blackbody.js';
+import { observerMotionChunk } from './relativity.js';
+
+// 背景图层的天空着色器: 星点与全景天球
+// 两者都只在背景图层中绘制, 由屏幕空间透镜的背景纹理或测地线追踪的星空立方体贴图采样
+// 观测者运动时按光行差偏移、按多普勒因子频移 (渲染星空立方体贴图时观测者速度置零, 由测地线着色器处理)
+
+// 星点: 大小以角直径给出, 按当前视口换算为像素, 因此屏幕与立方体贴图中的星点角大小一致
+// 恒星视为温度 temperature 的黑体: 频移 D 后温度变为 DT, 光行差使星点所张立体角缩小为 1/D², 流量相应乘以 1/D²
+export const starVertexShader = `
+    attribute float size;
+    attribute vec3 starColor;
+    attribute float temperature;
+    uniform float viewportHeight;
+    uniform float minPointSize;
+    varying vec3 vColor;
+
+    ${blackbodyChunk}
+    ${observerMotionChunk}
+
+    void main() {
+        vec3 worldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+        float doppler = observerDoppler(normalize(worldPosition - cameraPosition), observerVelocity);
+        vColor = doppler == 1.0 ? starColor : starColor * blackbodyShiftRatio(temperature, doppler) / (doppler * doppler);
+        gl_Position = projectionMatrix * viewMatrix * vec4(observerApparentPosition(worldPosition), 1.0);
+        gl_PointSize = max(size * projectionMatrix[1][1] * 0.5 * viewportHeight, minPointSize);
+    }
+`;
+
+export const starFragmentShader = `
+    varying vec3 vColor;
+
+    void main() {
+        // 高斯星点轮廓
+        vec2 offset = gl_PointCoord - 0.5;
+        float falloff = exp(-dot(offset, offset) * 16.0);
+        gl_FragColor = vec4(vColor * falloff, 1.0);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+// 天球顶点按光行差偏移; 片元由偏移后的位置得到观测方向, 再逆变换回静止系方向取色, 网格线在透镜中保持精确
+export const skyVertexShader = `
+    varying vec3 vApparentPosition;
+
+    ${observerMotionChunk}
+
+    void main() {
+        vApparentPosition = observerApparentPosition((modelMatrix * vec4(position, 1.0)).xyz);
+        gl_Position = projectionMatrix * viewMatrix * vec4(vApparentPosition, 1.0);
+    }
+`;
+
+// skyMode: 0 等距柱状全景图, 1 经纬网格, 2 棋盘格
+// 网格与棋盘格每 15° 一格, 颜色随经度变化, 便于辨认透镜成像中的镜像与多重像
+export const skyFragmentShader = `
+    #define PI 3.141592653589793
+    uniform int skyMode;
+    uniform sampler2D tPanorama;
+    uniform mat3 skyRotation;        // 世界空间到天球局部坐标 (天球随星空旋转)
+    varying vec3 vApparentPosition;
+
+    ${blackbodyChunk}
+    ${observerMotionChunk}
+
+    void main() {
+        vec3 restDirection = aberrateDirection(normalize(vApparentPosition - cameraPosition), -observerVelocity);
+        vec3 direction = normalize(skyRotation * restDirection);
+        float longitude = atan(direction.z, direction.x);
+        float latitude = asin(clamp(direction.y, -1.0, 1.0));
+        vec3 tint = 0.6 + 0.4 * cos(longitude + vec3(0.0, 2.094, 4.189));
+        vec3 color;
+
+        if (skyMode == 0) {
+            vec2 uv = vec2(0.5 - longitude / (2.0 * PI), 0.5 + latitude / PI);
+            color = texture2D(tPanorama, uv).rgb;
+        } else {
+            vec2 cell = vec2(longitude, latitude) / radians(15.0);
+            if (skyMode == 1) {
+                // atan 在 ±π 处跳变, 经度方向的导数取接缝移到另一侧的版本
+                float seamFree = atan(-direction.z, -direction.x) / radians(15.0);
+                vec2 width = vec2(min(fwidth(cell.x), fwidth(seamFree)), fwidth(cell.y));
+                vec2 lineDistance = abs(fract(cell + 0.5) - 0.5) / max(width, vec2(1e-4));
+                float line = 1.0 - clamp(min(lineDistance.x, lineDistance.y) - 0.5, 0.0, 1.0);
+                bool parallel = lineDistance.y < lineDistance.x;
+                vec3 lineColor = tint;
+                if (parallel && abs(cell.y) < 0.5) {
+                    lineColor = vec3(1.0, 0.25, 0.2);  // 赤道
+                } else if (!parallel && abs(cell.x) < 0.5) {
+                    lineColor = vec3(0.2, 1.0, 0.3);   // 零经线
+                }
+                color = mix(vec3(0.01, 0.012, 0.03), lineColor, line);
+            } else {
+                float parity = mod(floor(cell.x) + floor(cell.y), 2.0);
+                color = tint * mix(0.08, 0.6, parity);
+            }
+        }
+
+        color = dopplerShiftRadiance(color, observerDoppler(restDirection, observerVelocity));
+        gl_FragColor = vec4(color, 1.0);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
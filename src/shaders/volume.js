@@ -0,0 +1,189 @@
+import { kerrChunk } from './kerr.js';
+import { blackbodyChunk } from './blackbody.js';
+import { diskEmissionChunk } from './disk.js';
+import { observerMotionChunk } from './relativity.js';
+
+// 体积吸积流与相对论喷流
+// 厚盘: 标高随半径线性增长 (H = h R) 的高斯垂直分布, 密度带三维湍流, 发光沿用薄盘的温度与频移模型
+// 喷流: 沿自旋轴的双极锥形外流, 幂律 (同步辐射) 谱, 按喷流速度做多普勒增亮
+// 网格路径中由包围盒的片元着色器光线步进, 测地线路径中沿每一步测地线采样, 两者共用本片段
+// 使用前需先包含 kerrChunk、blackbodyChunk 与 diskEmissionChunk
+
+export const volumeEmissionChunk = `
+    uniform float diskScaleHeight;   // 厚盘标高与柱面半径之比 H / R
+    uniform float diskOpacity;       // 竖直穿过厚盘的光学深度
+    uniform float jetSpeed;          // 喷流速度 β
+    uniform float jetOpeningAngle;   // 喷流半张角 (弧度)
+    uniform float jetLength;         // 喷流长度 (场景单位)
+    uniform float jetBaseRadius;     // 喷流起点到黑洞的距离 (场景单位)
+    uniform float jetBrightness;
+
+    float volumeHash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float volumeNoise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        vec3 u = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(volumeHash(i), volumeHash(i + vec3(1.0, 0.0, 0.0)), u.x),
+                mix(volumeHash(i + vec3(0.0, 1.0, 0.0)), volumeHash(i + vec3(1.0, 1.0, 0.0)), u.x), u.y),
+            mix(mix(volumeHash(i + vec3(0.0, 0.0, 1.0)), volumeHash(i + vec3(1.0, 0.0, 1.0)), u.x),
+                mix(volumeHash(i + vec3(0.0, 1.0, 1.0)), volumeHash(i + vec3(1.0, 1.0, 1.0)), u.x), u.y),
+            u.z
+        );
+    }
+
+    float volumeTurbulence(vec3 p) {
+        return volumeNoise(p) * 0.65 + volumeNoise(p * 2.03) * 0.35;
+    }
+
+    // 厚盘在 p (相对黑洞的世界坐标, y 沿自旋轴) 处的发光系数 (rgb) 与吸收系数 (a), 单位为每场景单位长度
+    // 密度按竖直方向积分归一化, 因此光学薄时正对盘面看到的亮度与薄盘一致
+    vec4 thickDiskSample(vec3 p, float time, float innerRadius, float outerRadius, float lambda) {
+        float radius = length(p.xz);
+        if (radius < innerRadius || radius > outerRadius) {
+            return vec4(0.0);
+        }
+        float height = max(diskScaleHeight * radius, 1e-3);
+        float z = p.y / height;
+        if (abs(z) > 3.0) {
+            return vec4(0.0);
+        }
+        float normalizedRadius = (radius - innerRadius) / (outerRadius - innerRadius);
+        float edgeFade = smoothstep(0.0, 0.1, normalizedRadius) * smoothstep(1.0, 0.9, normalizedRadius);
+
+        // 随盘面较差自转的花纹, 再叠加随高度变化、缓慢翻涌的三维湍流
+        float pattern = diskFlowPattern(radius, atan(p.z, p.x), time);
+        float puff = 0.3 + 1.4 * volumeTurbulence(vec3(p.x, p.y * 2.0, p.z) * (1.5 / height) + vec3(0.0, time * 0.2, 0.0));
+        float density = exp(-0.5 * z * z) / (2.5066283 * height) * puff * edgeFade;
+
+        vec3 radiance = diskObservedRadiance(radius, innerRadius, lambda);
+        return vec4(radiance * pattern * 2.0 * density, diskOpacity * density);
+    }
+
+    // 喷流在 p 处的发光系数; toObserver 为指向观测者的单位向量
+    // 结块以 jetSpeed 向外运动 (光速为每动画秒 orbitalTimeScale 场景单位), 亮度按 D^(2 + α) 增亮, α = 0.7
+    vec3 jetSample(vec3 p, float time, vec3 toObserver) {
+        float s = abs(p.y);
+        if (jetBrightness <= 0.0 || s < jetBaseRadius || s > jetLength) {
+            return vec3(0.0);
+        }
+        float width = jetBaseRadius * 0.3 + tan(jetOpeningAngle) * s;
+        float offset = length(p.xz) / width;
+        if (offset > 3.0) {
+            return vec3(0.0);
+        }
+        float profile = exp(-offset * offset) *
+                        smoothstep(jetBaseRadius, jetBaseRadius * 2.0, s) *
+                        (1.0 - smoothstep(jetLength * 0.5, jetLength, s));
+        float knots = 0.3 + 1.4 * volumeTurbulence(vec3(p.xz / width, (s - jetSpeed * orbitalTimeScale * time) / width * 0.5));
+
+        float gamma = 1.0 / sqrt(1.0 - jetSpeed * jetSpeed);
+        float doppler = observerFrequencyShift / (gamma * (1.0 - jetSpeed * sign(p.y) * toObserver.y));
+        return vec3(0.55, 0.7, 1.0) * jetBrightness * profile * knots / width * pow(doppler, 2.7);
+    }
+
+    // 沿光线前向合成一小段 (长度 ds) 介质
+    void accumulateThickDisk(vec3 p, float time, float innerRadius, float outerRadius, float lambda, float ds,
+                             inout vec3 color, inout float transmittance) {
+        vec4 medium = thickDiskSample(p, time, innerRadius, outerRadius, lambda);
+        color += transmittance * medium.rgb * ds;
+        transmittance *= exp(-medium.a * ds);
+    }
+
+    // 喷流光学薄, 只发光不吸收
+    void accumulateJet(vec3 p, float time, vec3 toObserver, float ds, inout vec3 color, float transmittance) {
+        color += transmittance * jetSample(p, time, toObserver) * ds;
+    }
+`;
+
+export const volumeVertexShader = `
+    varying vec3 vApparentPosition;
+
+    ${observerMotionChunk}
+
+    void main() {
+        vApparentPosition = observerApparentPosition((modelMatrix * vec4(position, 1.0)).xyz);
+        gl_Position = projectionMatrix * viewMatrix * vec4(vApparentPosition, 1.0);
+    }
+`;
+
+// 包围盒以黑洞为中心, 只绘制背面, 每个像素恰好步进一次 (相机位于盒内时同样适用)
+// 定义 THICK_DISK 或 JETS 选择步进的介质; 输出预乘透明度的颜色
+export const volumeFragmentShader = `
+    #define MAX_VOLUME_STEPS 128
+
+    uniform float time;
+    uniform float innerRadius;
+    uniform float outerRadius;
+    uniform float horizonRadius;
+    uniform vec3 blackHolePos;
+    uniform vec3 volumeExtent;   // 包围盒半边长 (场景单位)
+    uniform int volumeSteps;
+    varying vec3 vApparentPosition;
+
+    ${kerrChunk}
+    ${blackbodyChunk}
+    ${diskEmissionChunk}
+    ${observerMotionChunk}
+    ${volumeEmissionChunk}
+
+    // 交错梯度噪声, 使相邻像素的步进起点错开, 以少量步数换取无条带的结果
+    float interleavedGradientNoise(vec2 pixel) {
+        return fract(52.9829189 * fract(dot(pixel, vec2(0.06711056, 0.00583715))));
+    }
+
+    void main() {
+        // 观测方向按光行差逆变换回静止系后步进
+        vec3 observedDir = normalize(vApparentPosition - cameraPosition);
+        vec3 dir = aberrateDirection(observedDir, -observerVelocity);
+        observerFrequencyShift = observerDoppler(dir, observerVelocity);
+        vec3 origin = cameraPosition - blackHolePos;
+
+        // 光线与包围盒求交
+        vec3 dirSign = vec3(greaterThanEqual(dir, vec3(0.0))) * 2.0 - 1.0;
+        vec3 inverseDir = dirSign / max(abs(dir), vec3(1e-6));
+        vec3 t0 = (-volumeExtent - origin) * inverseDir;
+        vec3 t1 = (volumeExtent - origin) * inverseDir;
+        vec3 tMin = min(t0, t1);
+        vec3 tMax = max(t0, t1);
+        float tNear = max(max(max(tMin.x, tMin.y), tMin.z), 0.0);
+        float tFar = min(min(tMax.x, tMax.y), tMax.z);
+
+        // 视界遮挡其后方的介质
+        float b = dot(origin, dir);
+        float discriminant = b * b - dot(origin, origin) + horizonRadius * horizonRadius;
+        if (discriminant > 0.0) {
+            float tHit = -b - sqrt(discriminant);
+            if (tHit > 0.0) {
+                tFar = min(tFar, tHit);
+            }
+        }
+        if (tFar <= tNear) {
+            discard;
+        }
+
+        float stepLength = (tFar - tNear) / float(volumeSteps);
+        float t = tNear + stepLength * interleavedGradientNoise(gl_FragCoord.xy);
+        vec3 color = vec3(0.0);
+        float transmittance = 1.0;
+        for (int i = 0; i < MAX_VOLUME_STEPS; i++) {
+            if (i >= volumeSteps || transmittance < 0.01) {
+                break;
+            }
+            vec3 p = origin + dir * t;
+            #ifdef THICK_DISK
+                accumulateThickDisk(p, time, innerRadius, outerRadius, diskPhotonLambda(p, -dir), stepLength, color, transmittance);
+            #endif
+            #ifdef JETS
+                accumulateJet(p, time, -dir, stepLength, color, transmittance);
+            #endif
+            t += stepLength;
+        }
+        gl_FragColor = vec4(color, 1.0 - transmittance);
+    }
+`;
@@ -0,0 +1,119 @@
+import { BRIGHT_STARS } from './data/brightStars.js';
+import { blackbodyColor, colorIndexTemperature } from './physics/blackbody.js';
+
+// 星表与星空点云属性: 视星等决定星点大小与亮度, 色指数 B−V 经黑体温度决定颜色
+// 星表条目格式与 BRIGHT_STARS 相同: [名称, 赤经 (小时), 赤纬 (度), 视星等 V, B−V]
+
+export { BRIGHT_STARS };
+
+// 星表之外补齐的暗星星等范围
+const SYNTHETIC_MAGNITUDE_RANGE = [3, 8];
+
+// 按引号拆分一行 CSV
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// 解析星表文本: JSON 数组 (与 BRIGHT_STARS 同格式) 或 HYG 格式的 CSV (ra 以小时计, 需要 ra, dec, mag 列, ci 可缺省)
+// 太阳 (视星等 -26.7) 等明显不属于夜空的条目被忽略
+export function parseStarCatalog(text) {
+    if (text.trim().startsWith('[')) {
+        return JSON.parse(text);
+    }
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = splitCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+    const [ra, dec, mag, ci, proper] = ['ra', 'dec', 'mag', 'ci', 'proper'].map(name => header.indexOf(name));
+    if (ra < 0 || dec < 0 || mag < 0) {
+        throw new Error('星表缺少 ra / dec / mag 列');
+    }
+
+    const stars = [];
+    for (let i = 1; i < lines.length; i++) {
+        const fields = splitCsvLine(lines[i]);
+        const colorIndex = ci >= 0 && fields[ci] !== '' ? Number(fields[ci]) : 0.6;
+        const entry = [proper >= 0 ? fields[proper] : '', Number(fields[ra]), Number(fields[dec]), Number(fields[mag]), colorIndex];
+        if (entry.slice(1).every(Number.isFinite) && entry[3] > -2) {
+            stars.push(entry);
+        }
+    }
+    return stars;
+}
+
+// 星点角直径 (弧度): 天狼星约 0.007, 每暗 1 等缩小约 20%
+export function starAngularSize(magnitude) {
+    return 0.007 * Math.pow(10, -0.1 * (magnitude + 1.5));
+}
+
+// 星点亮度: 比真实流量比 (每等 2.512 倍) 平缓, 否则屏幕上只能看到少数亮星
+export function starBrightness(magnitude) {
+    return Math.min(2.5, Math.pow(10, -0.15 * (magnitude - 2)));
+}
+
+// B−V 对应的黑体颜色 (线性 sRGB, 最大分量归一化为 1); 按 0.02 量化缓存, 载入大星表时避免重复积分光谱
+const colorCache = new Map();
+
+export function starColor(bv) {
+    const key = Math.round(Math.min(Math.max(bv, -0.4), 2.0) * 50);
+    let color = colorCache.get(key);
+    if (!color) {
+        const { r, g, b } = blackbodyColor(colorIndexTemperature(key / 50));
+        const max = Math.max(r, g, b);
+        color = [r / max, g / max, b / max];
+        colorCache.set(key, color);
+    }
+    return color;
+}
+
+// 生成星空点云属性: 星表中的星按赤道坐标放置 (天球北极指向 +y), 再补齐 syntheticCount 颗随机暗星
+// 另外记录各星的有效温度, 供运动观测者的多普勒频移使用
+// 暗星数量随星等按 N(<m) ∝ 10^(0.4m) 增长, 色指数集中在类太阳恒星附近
+export function createStarAttributes(catalog, syntheticCount, random, radius) {
+    const count = catalog.length + syntheticCount;
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const temperatures = new Float32Array(count);
+
+    const addStar = (index, x, y, z, magnitude, bv) => {
+        const brightness = starBrightness(magnitude);
+        const color = starColor(bv);
+        positions.set([x * radius, y * radius, z * radius], index * 3);
+        colors.set([color[0] * brightness, color[1] * brightness, color[2] * brightness], index * 3);
+        sizes[index] = starAngularSize(magnitude);
+        temperatures[index] = colorIndexTemperature(bv);
+    };
+
+    catalog.forEach(([, raHours, decDegrees, magnitude, bv], index) => {
+        const ra = raHours * Math.PI / 12;
+        const dec = decDegrees * Math.PI / 180;
+        addStar(index, Math.cos(dec) * Math.cos(ra), Math.sin(dec), -Math.cos(dec) * Math.sin(ra), magnitude, bv);
+    });
+
+    const [minMagnitude, maxMagnitude] = SYNTHETIC_MAGNITUDE_RANGE;
+    const lowest = Math.pow(10, -0.4 * (maxMagnitude - minMagnitude));
+    for (let i = 0; i < syntheticCount; i++) {
+        // 在球面上均匀分布
+        const theta = random() * Math.PI * 2;
+        const cosPhi = 2 * random() - 1;
+        const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+        const magnitude = maxMagnitude + Math.log10(lowest + (1 - lowest) * random()) / 0.4;
+        const bv = -0.3 + (random() + random()) * 0.9;
+        addStar(catalog.length + i, sinPhi * Math.cos(theta), sinPhi * Math.sin(theta), cosPhi, magnitude, bv);
+    }
+
+    return { positions, colors, sizes, temperatures };
+}